@@ -1,9 +1,23 @@
 // discord-ai-core.js - Discord AI Core Framework Entry Point
 import { DiscordCore } from './modules/core.js';
+import { ProviderRegistry } from './modules/ai-providers.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
+/**
+ * Read AI_PROVIDERS, exiting with the configuration problem instead of a stack trace
+ */
+function loadAIProviders() {
+  try {
+    return ProviderRegistry.parseConfig(process.env.AI_PROVIDERS);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error('🔧 See AI_PROVIDERS in .env.template for the expected format');
+    process.exit(1);
+  }
+}
+
 // Discord AI Core Configuration
 const coreConfig = {
   // Discord Bot Token (from Discord Developer Portal)
@@ -12,6 +26,16 @@ const coreConfig = {
   // AI API Keys
   togetherApiKey: process.env.TOGETHER_API_KEY,
   openrouterApiKey: process.env.OPENROUTER_API_KEY,
+
+  // Ordered AI providers replacing the Together/OpenRouter pair (JSON array, see .env.template)
+  aiProviders: loadAIProviders(),
+
+  // AI request policy (per-attempt timeout, retries on 429/5xx, base backoff delay)
+  aiRequest: {
+    timeout: parseInt(process.env.AI_TIMEOUT) || 30000,
+    maxRetries: Math.max(0, parseInt(process.env.AI_MAX_RETRIES ?? 3) || 0),
+    retryDelay: parseInt(process.env.AI_RETRY_DELAY) || 1000
+  },
   
   // Bot Configuration
   applicationId: process.env.APPLICATION_ID,
@@ -35,13 +59,36 @@ const coreConfig = {
     decisionConfidence: 0.8
   },
 
+  // Bot presence; BOT_ACTIVITIES rotates "|"-separated templates like "{guilds} servers"
+  presence: {
+    status: process.env.BOT_STATUS || 'online',
+    activityType: process.env.BOT_ACTIVITY_TYPE || 'playing',
+    activities: (process.env.BOT_ACTIVITIES || process.env.BOT_ACTIVITY || 'with AI intelligence')
+      .split('|')
+      .map(activity => activity.trim())
+      .filter(Boolean),
+    interval: parseInt(process.env.BOT_ACTIVITY_INTERVAL) || 60000
+  },
+
+  // Gateway shards: 'auto' uses Discord's recommendation, 1 runs a single connection
+  shardCount: process.env.SHARD_COUNT === 'auto' ? 'auto' : parseInt(process.env.SHARD_COUNT) || 1,
+
+  // Entity cache limits (applied to the user cache)
+  cache: {
+    ttl: parseInt(process.env.CACHE_TTL) || 300000,
+    maxSize: parseInt(process.env.MAX_CACHE_SIZE) || 1000
+  },
+
   // Discord Intents (for bot functionality)
   intents: [
     'GUILDS',
     'GUILD_MESSAGES', 
     'GUILD_MESSAGE_REACTIONS',
     'GUILD_MEMBERS',
-    'MESSAGE_CONTENT'
+    'MESSAGE_CONTENT',
+    'GUILD_SCHEDULED_EVENTS',
+    'AUTO_MODERATION_CONFIGURATION',
+    'AUTO_MODERATION_EXECUTION'
   ]
 };
 
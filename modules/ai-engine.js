@@ -5,14 +5,112 @@
  * Multi-provider AI system with built-in fallback and learning
  */
 
+import { OpenAICompatibleProvider, ProviderRegistry } from './ai-providers.js';
+import { BreakerState } from './circuit-breaker.js';
+import { StructuredOutputError, extractJSON, validateSchema } from './structured-output.js';
+import { ToolError, ToolRisk } from './tool-registry.js';
+
+// Re-prompts allowed after an invalid structured reply
+const DEFAULT_STRUCTURED_RETRIES = 2;
+
+// Model turns allowed in a tool-calling loop
+const DEFAULT_TOOL_STEPS = 5;
+
+// How models without native tool calls are asked to call tools
+const TOOL_EMULATION_PROMPT = `You can call these tools:
+{tools}
+
+To call tools, respond with only JSON: {"tool_calls": [{"name": "tool_name", "arguments": {...}}]}
+Tool results are sent back to you. When you are done, respond with only JSON: {"content": "your final answer"}`;
+
+const ERROR_ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['severity', 'category', 'root_cause', 'auto_resolvable'],
+  properties: {
+    severity: { enum: ['low', 'medium', 'high', 'critical'] },
+    category: { type: 'string' },
+    root_cause: { type: 'string' },
+    auto_resolvable: { type: 'boolean' },
+    resolution_steps: { type: 'array', items: { type: 'string' } },
+    prevention_measures: { type: 'array', items: { type: 'string' } },
+    user_impact: { type: 'string' },
+    communication_strategy: { type: 'string' },
+    learning_opportunity: { type: 'string' }
+  }
+};
+
+const PREDICTION_SCHEMA = {
+  type: 'object',
+  required: ['predictions', 'preventive_recommendations'],
+  properties: {
+    overall_health_trend: { enum: ['improving', 'stable', 'declining', 'critical'] },
+    predictions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['issue_type', 'probability', 'description'],
+        properties: {
+          issue_type: { type: 'string' },
+          probability: { type: 'number', minimum: 0, maximum: 1 },
+          timeframe: { enum: ['immediate', 'soon', 'eventual', 'unlikely'] },
+          description: { type: 'string' },
+          impact: { enum: ['low', 'medium', 'high', 'critical'] },
+          early_warning_signs: { type: 'array', items: { type: 'string' } },
+          prevention_strategy: { type: 'string' }
+        }
+      }
+    },
+    preventive_recommendations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['action'],
+        properties: {
+          action: { type: 'string' },
+          urgency: { enum: ['immediate', 'soon', 'routine'] },
+          prevents: { type: 'array', items: { type: 'string' } },
+          difficulty: { enum: ['easy', 'moderate', 'complex'] }
+        }
+      }
+    },
+    monitoring_strategy: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+// Built-in provider pair, used when no provider list is configured
+const DEFAULT_PRIMARY_URL = 'https://api.together.xyz/v1/chat/completions';
+const DEFAULT_FALLBACK_URL = 'https://openrouter.ai/api/v1/chat/completions';
+const DEFAULT_PRIMARY_MODEL = 'meta-llama/Llama-3.3-70B-Instruct-Turbo-Free';
+const DEFAULT_FALLBACK_MODEL = 'deepseek/deepseek-r1-0528-qwen3-8b:free';
+
 export class AIEngine {
-  constructor(primaryKey, fallbackKey) {
+  /**
+   * @param {string} primaryKey - Together AI key for the built-in primary provider
+   * @param {string} fallbackKey - OpenRouter key for the built-in fallback provider
+   * @param {Object} options
+   * @param {Object[]} options.providers - Ordered provider configs replacing the built-in pair
+   *   ({ type: 'openai'|'local'|'offline', name, model, timeout, weight, ... })
+   * @param {number} options.timeout - Default per-attempt timeout in ms
+   * @param {number} options.maxRetries - Default retries on 429/5xx responses
+   * @param {number} options.retryDelay - Default base backoff delay in ms
+   */
+  constructor(primaryKey, fallbackKey, { providers = null, timeout = 30000, maxRetries = 3, retryDelay = 1000 } = {}) {
     this.primaryKey = primaryKey;
     this.fallbackKey = fallbackKey;
-    this.primaryURL = 'https://api.together.xyz/v1/chat/completions';
-    this.fallbackURL = 'https://openrouter.ai/api/v1/chat/completions';
-    this.primaryModel = 'meta-llama/Llama-3.3-70B-Instruct-Turbo-Free';
-    this.fallbackModel = 'deepseek/deepseek-r1-0528-qwen3-8b:free';
+    this.primaryURL = DEFAULT_PRIMARY_URL;
+    this.fallbackURL = DEFAULT_FALLBACK_URL;
+    this.primaryModel = DEFAULT_PRIMARY_MODEL;
+    this.fallbackModel = DEFAULT_FALLBACK_MODEL;
+
+    // Request settings every provider inherits unless its config overrides them
+    this.requestOptions = { timeout, maxRetries, retryDelay };
+
+    // Offline providers answer with the built-in responses unless given their own responder
+    this.providers = providers?.length
+      ? ProviderRegistry.fromConfig(providers.map(entry => ({ ...this.requestOptions, ...entry })), {
+        offline: { respond: prompt => this.generateBuiltInResponse(prompt, {}) }
+      })
+      : this.createDefaultProviders();
     
     // Intelligence state
     this.intelligenceLevel = 'adaptive';
@@ -29,8 +127,9 @@ export class AIEngine {
       adaptations: 0,
       errorRecoveries: 0,
       predictionAccuracy: 0.0,
-      primaryProviderUsage: 0,
-      fallbackProviderUsage: 0
+      providerUsage: {},
+      structuredRetries: 0,
+      toolCalls: 0
     };
     
     // Intelligence configuration
@@ -43,12 +142,39 @@ export class AIEngine {
       adaptationSpeed: 'medium',
       responseLength: 'optimal'
     };
-    
-    // Provider status
-    this.providerStatus = {
-      primary: { available: true, lastError: null, errorCount: 0 },
-      fallback: { available: true, lastError: null, errorCount: 0 }
-    };
+  }
+
+  /**
+   * Together AI first, OpenRouter as fallback
+   */
+  createDefaultProviders() {
+    return new ProviderRegistry([
+      new OpenAICompatibleProvider({
+        ...this.requestOptions,
+        name: 'primary',
+        url: this.primaryURL,
+        apiKey: this.primaryKey,
+        model: this.primaryModel
+      }),
+      new OpenAICompatibleProvider({
+        ...this.requestOptions,
+        name: 'fallback',
+        url: this.fallbackURL,
+        apiKey: this.fallbackKey,
+        model: this.fallbackModel,
+        headers: {
+          'HTTP-Referer': 'https://github.com/discord-ai-core/framework',
+          'X-Title': 'Discord AI Core Framework'
+        }
+      })
+    ]);
+  }
+
+  /**
+   * Provider status keyed by provider name
+   */
+  get providerStatus() {
+    return this.providers.getStatus();
   }
 
   /**
@@ -84,59 +210,43 @@ export class AIEngine {
   async testProviderConnections() {
     console.log('🔍 AI Engine: Testing provider connections...');
     
-    const testPrompt = 'Respond with "INTELLIGENCE_ONLINE" to confirm connection.';
-    const messages = [{ role: 'user', content: testPrompt }];
-    
-    // Test primary provider
-    try {
-      const primaryResponse = await this.callAIProvider(
-        this.primaryURL,
-        this.primaryKey,
-        this.primaryModel,
-        messages,
-        50
-      );
-      
-      if (primaryResponse.includes('INTELLIGENCE_ONLINE')) {
-        this.providerStatus.primary.available = true;
-        console.log('✅ Primary AI provider: ONLINE');
+    for (const provider of this.providers) {
+      try {
+        const healthy = await provider.healthCheck();
+        provider.lastError = healthy ? null : 'Health check failed';
+      } catch (error) {
+        provider.lastError = error.message;
       }
-    } catch (error) {
-      this.providerStatus.primary.available = false;
-      this.providerStatus.primary.lastError = error.message;
-      console.warn('⚠️ Primary AI provider: OFFLINE');
-    }
-    
-    // Test fallback provider
-    try {
-      const fallbackResponse = await this.callAIProvider(
-        this.fallbackURL,
-        this.fallbackKey,
-        this.fallbackModel,
-        messages,
-        50,
-        true
-      );
-      
-      if (fallbackResponse.includes('INTELLIGENCE_ONLINE')) {
-        this.providerStatus.fallback.available = true;
-        console.log('✅ Fallback AI provider: ONLINE');
+
+      // Failed providers start open and are probed again once the reset timeout passes
+      if (provider.lastError) {
+        provider.breaker.open();
+      } else {
+        provider.breaker.recordSuccess();
+      }
+
+      if (provider.status.available) {
+        console.log(`✅ AI provider ${provider.name}: ONLINE`);
+      } else {
+        console.warn(`⚠️ AI provider ${provider.name}: OFFLINE`);
       }
-    } catch (error) {
-      this.providerStatus.fallback.available = false;
-      this.providerStatus.fallback.lastError = error.message;
-      console.warn('⚠️ Fallback AI provider: OFFLINE');
     }
     
-    if (!this.providerStatus.primary.available && !this.providerStatus.fallback.available) {
+    if (![...this.providers].some(provider => provider.status.available)) {
       throw new Error('No AI providers available');
     }
   }
 
   /**
-   * Core intelligence processing with dual AI system
+   * Core intelligence processing across the configured providers
+   *
+   * @param {Object} options
+   * @param {boolean} options.json - Ask providers that support it for JSON output
+   * @param {boolean} options.builtInFallback - Answer with the built-in response when every provider fails (throws otherwise)
+   * @param {number} options.timeout - Per-attempt timeout in ms, overriding each provider's
+   * @param {number} options.maxRetries - Retries on 429/5xx, overriding each provider's
    */
-  async processIntelligence(prompt, context = {}, maxTokens = 1000) {
+  async processIntelligence(prompt, context = {}, maxTokens = 1000, { json = false, builtInFallback = true, timeout, maxRetries } = {}) {
     const startTime = Date.now();
     
     console.log(`🧠 AI Engine: Processing intelligence request (${prompt.length} chars)`);
@@ -145,124 +255,415 @@ export class AIEngine {
       // Build contextual messages
       const messages = this.buildIntelligentContext(prompt, context);
       
-      // Try primary provider first
-      if (this.providerStatus.primary.available) {
-        try {
-          const response = await this.callAIProvider(
-            this.primaryURL,
-            this.primaryKey,
-            this.primaryModel,
-            messages,
-            maxTokens
-          );
-          
-          if (response) {
-            const processingTime = Date.now() - startTime;
-            console.log(`✅ Primary AI responded (${processingTime}ms)`);
-            
-            this.metrics.primaryProviderUsage++;
-            await this.learnFromIntelligence(prompt, response, context, 'primary', processingTime);
-            
-            this.metrics.decisionsGenerated++;
-            return response;
-          }
-          
-        } catch (primaryError) {
-          console.log(`⚠️ Primary AI failed: ${primaryError.message}`);
-          this.providerStatus.primary.errorCount++;
-          
-          // Disable primary if too many errors
-          if (this.providerStatus.primary.errorCount > 5) {
-            this.providerStatus.primary.available = false;
-            console.log(`❌ Primary AI provider disabled due to repeated failures`);
-          }
-        }
-      }
-      
-      // Try fallback provider
-      if (this.providerStatus.fallback.available) {
+      // Try each available provider in turn
+      for (const [attempt, provider] of this.providers.getAttemptOrder().entries()) {
+        if (!provider.breaker.allowRequest()) continue;
+
         try {
-          const response = await this.callAIProvider(
-            this.fallbackURL,
-            this.fallbackKey,
-            this.fallbackModel,
-            messages,
+          const response = await this.callProvider(provider, () => provider.complete(messages, {
             maxTokens,
-            true
-          );
+            temperature: this.config.creativityLevel,
+            json,
+            timeout,
+            maxRetries
+          }));
           
           if (response) {
             const processingTime = Date.now() - startTime;
-            console.log(`✅ Fallback AI responded (${processingTime}ms)`);
+            console.log(`✅ ${provider.name} AI responded (${processingTime}ms)`);
             
-            this.metrics.fallbackProviderUsage++;
-            await this.learnFromIntelligence(prompt, response, context, 'fallback', processingTime);
+            this.metrics.providerUsage[provider.name] = (this.metrics.providerUsage[provider.name] || 0) + 1;
+            await this.learnFromIntelligence(prompt, response, context, provider.name, processingTime);
             
             this.metrics.decisionsGenerated++;
-            this.metrics.errorRecoveries++;
+            if (attempt > 0) this.metrics.errorRecoveries++;
             return response;
           }
           
-        } catch (fallbackError) {
-          console.error('❌ Fallback AI failed:', fallbackError.message);
-          this.providerStatus.fallback.errorCount++;
+        } catch (providerError) {
+          // Already recorded by callProvider, try the next provider
         }
       }
       
-      // If both providers failed, use built-in intelligence
+      if (!builtInFallback) {
+        throw new Error('No AI provider responded');
+      }
+
+      // If every provider failed, use built-in intelligence
       console.log('🧠 Using built-in intelligence fallback...');
       return this.generateBuiltInResponse(prompt, context);
       
     } catch (error) {
+      if (!builtInFallback) throw error;
+
       console.error('❌ Intelligence processing failed:', error);
       return this.generateEmergencyResponse(prompt, context);
     }
   }
 
   /**
-   * Call AI provider with intelligent error handling
+   * Generate data matching a JSON Schema (subset, see structured-output.js)
+   * Invalid replies are re-prompted with the validation errors up to `retries` times;
+   * throws StructuredOutputError when no valid reply arrives and when no provider answers
+   *
+   * @param {string} prompt - What to generate; the schema is appended
+   * @param {Object} schema - JSON Schema the result must match
+   * @param {Object} options
+   * @param {Object} options.context - processIntelligence() context
+   * @param {number} options.maxTokens - Token limit per attempt
+   * @param {number} options.retries - Re-prompts after invalid replies
+   * @param {number} options.timeout - Per-attempt provider timeout in ms
+   * @param {number} options.maxRetries - Provider retries on 429/5xx
    */
-  async callAIProvider(url, apiKey, model, messages, maxTokens, isFallback = false) {
-    const headers = {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`
-    };
-    
-    if (isFallback) {
-      headers['HTTP-Referer'] = 'https://github.com/discord-ai-core/framework';
-      headers['X-Title'] = 'Discord AI Core Framework';
+  async generateStructured(prompt, schema, { context = {}, maxTokens = 1000, retries = DEFAULT_STRUCTURED_RETRIES, timeout, maxRetries } = {}) {
+    const basePrompt = `${prompt}
+
+Respond with only a JSON value matching this JSON Schema, without code fences or commentary:
+${JSON.stringify(schema)}`;
+
+    let currentPrompt = basePrompt;
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      let response;
+
+      try {
+        response = await this.processIntelligence(currentPrompt, context, maxTokens, {
+          json: true,
+          builtInFallback: false,
+          timeout,
+          maxRetries
+        });
+      } catch (error) {
+        throw new StructuredOutputError(error.message, { errors: lastError?.errors });
+      }
+
+      try {
+        const data = extractJSON(response);
+        const errors = validateSchema(data, schema);
+
+        if (errors.length === 0) return data;
+        lastError = new StructuredOutputError('Response does not match the schema', { errors, response });
+      } catch (error) {
+        lastError = error instanceof StructuredOutputError ? error : new StructuredOutputError(error.message, { response });
+      }
+
+      if (attempt < retries) {
+        this.metrics.structuredRetries++;
+        console.log(`🔁 AI Engine: Invalid structured response, re-prompting (${attempt + 1}/${retries})`);
+
+        currentPrompt = `${basePrompt}
+
+Your previous response was rejected:
+${(lastError.errors.length ? lastError.errors : [lastError.message]).map(error => `- ${error}`).join('\n')}
+
+Previous response:
+${String(lastError.response ?? '').slice(0, 1500)}
+
+Respond again with only the corrected JSON.`;
+      }
     }
-    
-    const requestBody = {
-      model,
-      messages,
-      max_tokens: maxTokens,
-      temperature: this.config.creativityLevel,
-      top_p: 0.9,
-      frequency_penalty: 0.1,
-      presence_penalty: 0.1
-    };
-    
-    // Use built-in fetch (Node.js 18+) or import
-    const fetch = globalThis.fetch || (await import('node-fetch')).default;
-    
-    const response = await fetch(url, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(requestBody)
-    });
-    
-    if (!response.ok) {
-      throw new Error(`AI Provider Error: ${response.status} ${response.statusText}`);
+
+    throw lastError;
+  }
+
+  /**
+   * Stream intelligence as text chunks
+   * Providers are tried in order until one starts answering; if none does the
+   * built-in response is yielded whole. Failures after the first chunk are thrown.
+   */
+  async *streamIntelligence(prompt, context = {}, maxTokens = 1000, { signal = null } = {}) {
+    const startTime = Date.now();
+    const messages = this.buildIntelligentContext(prompt, context);
+
+    console.log(`🧠 AI Engine: Streaming intelligence request (${prompt.length} chars)`);
+
+    for (const [attempt, provider] of this.providers.getAttemptOrder().entries()) {
+      if (!provider.breaker.allowRequest()) continue;
+
+      const recovering = provider.breaker.state === BreakerState.HALF_OPEN;
+      let response = '';
+      let settled = false;
+
+      try {
+        for await (const chunk of provider.stream(messages, {
+          maxTokens,
+          temperature: this.config.creativityLevel,
+          signal
+        })) {
+          response += chunk;
+          yield chunk;
+        }
+
+        // Recorded below once the stream ends normally
+        settled = true;
+      } catch (error) {
+        settled = true;
+        this.recordProviderError(provider, error);
+        if (response || signal?.aborted) throw error;
+        continue;
+      } finally {
+        // The consumer stopped reading early (the generator was closed at a yield)
+        if (!settled && response) {
+          settled = true;
+          this.recordProviderSuccess(provider, recovering);
+        } else if (!settled) {
+          provider.breaker.releaseProbe();
+        }
+      }
+
+      this.recordProviderSuccess(provider, recovering);
+
+      if (response) {
+        const processingTime = Date.now() - startTime;
+        console.log(`✅ ${provider.name} AI streamed (${processingTime}ms)`);
+
+        this.metrics.providerUsage[provider.name] = (this.metrics.providerUsage[provider.name] || 0) + 1;
+        await this.learnFromIntelligence(prompt, response, context, provider.name, processingTime);
+
+        this.metrics.decisionsGenerated++;
+        if (attempt > 0) this.metrics.errorRecoveries++;
+        return;
+      }
     }
-    
-    const data = await response.json();
-    
-    if (data.choices && data.choices[0] && data.choices[0].message) {
-      return data.choices[0].message.content.trim();
+
+    console.log('🧠 Using built-in intelligence fallback...');
+    yield this.generateBuiltInResponse(prompt, context);
+  }
+
+  /**
+   * Let the model call registered tools until it gives a final answer
+   * Providers with the "tools" capability use native tool calls, the rest are
+   * prompted to reply with JSON tool calls. Unknown tools and invalid arguments
+   * are sent back to the model as errors instead of running.
+   * Resolves with { content, calls: [{ id, name, arguments, result, error }], complete }
+   *
+   * @param {string} prompt - The task
+   * @param {ToolRegistry} tools - Tools the model may call
+   * @param {Object} toolContext - { guildId, channelId, userId } of the request; permissions are
+   *   checked against the userId member and handlers receive the whole object
+   * @param {Object} options
+   * @param {Object} options.context - processIntelligence() context
+   * @param {number} options.maxTokens - Token limit per model turn
+   * @param {number} options.maxSteps - Model turns before giving up on a final answer
+   * @param {Function} options.onToolCall - async (tool, args, call, toolContext) => result, runs the tool's handler when not given
+   *   (high-risk tools are refused then, use onToolCall to queue them for confirmation)
+   */
+  async runTools(prompt, tools, toolContext, { context = {}, maxTokens = 1000, maxSteps = DEFAULT_TOOL_STEPS, onToolCall = null } = {}) {
+    if (!toolContext || typeof toolContext !== 'object') {
+      throw new TypeError('runTools() needs a tool context ({ guildId, channelId, userId })');
+    }
+
+    const messages = this.buildIntelligentContext(prompt, context);
+    const turns = [];
+    const calls = [];
+
+    console.log(`🧰 AI Engine: Running tool loop with ${tools.size} tools`);
+
+    for (let step = 0; step < maxSteps; step++) {
+      const reply = await this.requestToolStep(messages, turns, tools, maxTokens);
+
+      if (reply.toolCalls.length === 0) {
+        this.metrics.decisionsGenerated++;
+        return { content: reply.content || '', calls, complete: true };
+      }
+
+      const turn = { content: reply.content, calls: [] };
+      for (const call of reply.toolCalls) {
+        turn.calls.push(await this.invokeTool(call, tools, toolContext, onToolCall));
+      }
+
+      turns.push(turn);
+      calls.push(...turn.calls);
+    }
+
+    console.warn(`⚠️ AI Engine: Tool loop stopped after ${maxSteps} steps without a final answer`);
+    return { content: turns.at(-1)?.content || '', calls, complete: false };
+  }
+
+  /**
+   * Ask the first provider that answers for the next turn of a tool loop
+   */
+  async requestToolStep(messages, turns, tools, maxTokens) {
+    const options = { maxTokens, temperature: this.config.creativityLevel };
+
+    for (const provider of this.providers.getAttemptOrder()) {
+      if (!provider.breaker.allowRequest()) continue;
+
+      try {
+        const reply = await this.callProvider(provider, () => (provider.supports('tools')
+          ? provider.completeWithTools(this.buildToolMessages(messages, turns, true), tools.toDefinitions(), options)
+          : this.emulateToolStep(provider, messages, turns, tools, options)));
+
+        this.metrics.providerUsage[provider.name] = (this.metrics.providerUsage[provider.name] || 0) + 1;
+        return reply;
+
+      } catch (providerError) {
+        // Already recorded by callProvider, try the next provider
+      }
+    }
+
+    throw new Error('No AI provider responded');
+  }
+
+  /**
+   * One tool loop turn for providers without native tool calls
+   * Replies that aren't tool call JSON are taken as the final answer
+   */
+  async emulateToolStep(provider, messages, turns, tools, options) {
+    const [system, ...rest] = this.buildToolMessages(messages, turns, false);
+    const instructions = TOOL_EMULATION_PROMPT.replace('{tools}', tools.describe());
+
+    const reply = await provider.complete([
+      { ...system, content: `${system.content}\n\n${instructions}` },
+      ...rest
+    ], { ...options, json: true });
+
+    let data = null;
+    try {
+      data = extractJSON(reply);
+    } catch {
+      // Plain text answer
+    }
+
+    if (Array.isArray(data?.tool_calls)) {
+      return {
+        content: typeof data.content === 'string' ? data.content : null,
+        toolCalls: data.tool_calls.map((call, index) => ({
+          id: `call_${turns.length}_${index}`,
+          name: call?.name,
+          arguments: call?.arguments ?? {}
+        }))
+      };
+    }
+
+    return { content: typeof data?.content === 'string' ? data.content : reply, toolCalls: [] };
+  }
+
+  /**
+   * Conversation so far, with tool calls in native or emulated (JSON text) form
+   */
+  buildToolMessages(messages, turns, native) {
+    const history = [...messages];
+
+    for (const turn of turns) {
+      const results = turn.calls.map(call => ({
+        id: call.id,
+        name: call.name,
+        ...(call.error ? { error: call.error } : { result: call.result ?? null })
+      }));
+
+      if (native) {
+        history.push({
+          role: 'assistant',
+          content: turn.content,
+          tool_calls: turn.calls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.arguments ?? {}) }
+          }))
+        });
+        history.push(...results.map(({ id, ...result }) => ({
+          role: 'tool',
+          tool_call_id: id,
+          content: JSON.stringify(result)
+        })));
+      } else {
+        history.push({
+          role: 'assistant',
+          content: JSON.stringify({ tool_calls: turn.calls.map(call => ({ name: call.name, arguments: call.arguments })) })
+        });
+        history.push({ role: 'user', content: `Tool results:\n${JSON.stringify(results)}` });
+      }
+    }
+
+    return history;
+  }
+
+  /**
+   * Validate, authorize and run one tool call, capturing its result or error for the model
+   */
+  async invokeTool(call, tools, toolContext, onToolCall) {
+    const outcome = { id: call.id, name: call.name, arguments: call.arguments };
+
+    try {
+      if (typeof call.arguments === 'string') {
+        outcome.arguments = call.arguments.trim() ? extractJSON(call.arguments) : {};
+      }
+
+      const errors = tools.validate(call.name, outcome.arguments);
+      if (errors.length > 0) {
+        throw new ToolError(`Invalid call to ${call.name}`, { tool: call.name, errors });
+      }
+
+      const denied = await tools.checkAccess(call.name, outcome.arguments, toolContext);
+      if (denied.length > 0) {
+        throw new ToolError(`Not allowed to call ${call.name}`, { tool: call.name, errors: denied });
+      }
+
+      // High-risk tools are only planned through onToolCall, never run straight from model output
+      const tool = tools.get(call.name);
+      if (!onToolCall && tool.risk === ToolRisk.HIGH) {
+        throw new ToolError(`${call.name} is high risk and needs admin confirmation`, { tool: call.name });
+      }
+
+      outcome.result = onToolCall
+        ? await onToolCall(tool, outcome.arguments, outcome, toolContext)
+        : await tool.handler(outcome.arguments, toolContext);
+
+      this.metrics.toolCalls++;
+      console.log(`🔧 AI Engine: Tool ${call.name} called`);
+
+    } catch (error) {
+      outcome.error = error.message;
+      console.log(`⚠️ AI Engine: Tool call ${call.name} failed: ${error.message}`);
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Run a request against a provider, feeding the outcome to its circuit breaker
+   */
+  async callProvider(provider, request) {
+    const recovering = provider.breaker.state === BreakerState.HALF_OPEN;
+
+    try {
+      const result = await request();
+
+      this.recordProviderSuccess(provider, recovering);
+      return result;
+
+    } catch (error) {
+      this.recordProviderError(provider, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close a provider's circuit after a successful request
+   */
+  recordProviderSuccess(provider, recovering = false) {
+    provider.breaker.recordSuccess();
+    provider.lastError = null;
+
+    if (recovering) console.log(`✅ ${provider.name} AI provider recovered`);
+  }
+
+  /**
+   * Count a provider failure, opening its circuit after repeated errors
+   */
+  recordProviderError(provider, error) {
+    console.log(`⚠️ ${provider.name} AI failed: ${error.message}`);
+    provider.lastError = error.message;
+
+    const wasOpen = provider.breaker.state === BreakerState.OPEN;
+    provider.breaker.recordFailure();
+
+    if (!wasOpen && provider.breaker.state === BreakerState.OPEN) {
+      const { retryAt } = provider.breaker.toJSON();
+      console.log(`❌ ${provider.name} AI provider circuit opened, probing again in ${retryAt - Date.now()}ms`);
     }
-    
-    throw new Error('Invalid AI provider response structure');
   }
 
   /**
@@ -393,21 +794,7 @@ Use this server context to make informed, intelligent decisions.`;
    * Generate intelligent responses for Discord interactions
    */
   async generateIntelligentResponse(message, author, context) {
-    const prompt = `
-INTELLIGENT DISCORD RESPONSE
-
-Message: "${message}"
-Author: ${author}
-Context: ${JSON.stringify(context, null, 2)}
-
-Generate an intelligent, helpful response that:
-1. Understands the user's intent and needs
-2. Provides valuable information or assistance
-3. Maintains a friendly, professional tone
-4. Considers the Discord context and environment
-5. Encourages engagement and community building
-
-Create a natural, intelligent response (under 1500 characters):`;
+    const prompt = this.buildResponsePrompt(message, author, context);
 
     try {
       const response = await this.processIntelligence(prompt, { 
@@ -424,6 +811,41 @@ Create a natural, intelligent response (under 1500 characters):`;
     }
   }
 
+  /**
+   * Stream an intelligent response as text chunks; answers can be longer than
+   * generateIntelligentResponse() since callers split them over several messages
+   */
+  async *streamIntelligentResponse(message, author, context, { signal = null } = {}) {
+    const prompt = this.buildResponsePrompt(message, author, context, 4000);
+
+    yield* this.streamIntelligence(prompt, {
+      type: 'command_processing',
+      author,
+      ...context
+    }, 1200, { signal });
+  }
+
+  /**
+   * Prompt for a conversational reply to a Discord message
+   */
+  buildResponsePrompt(message, author, context, maxLength = 1500) {
+    return `
+INTELLIGENT DISCORD RESPONSE
+
+Message: "${message}"
+Author: ${author}
+Context: ${JSON.stringify(context, null, 2)}
+
+Generate an intelligent, helpful response that:
+1. Understands the user's intent and needs
+2. Provides valuable information or assistance
+3. Maintains a friendly, professional tone
+4. Considers the Discord context and environment
+5. Encourages engagement and community building
+
+Create a natural, intelligent response (under ${maxLength} characters):`;
+  }
+
   /**
    * Analyze system errors for intelligent handling
    */
@@ -457,12 +879,13 @@ Respond with error analysis in JSON:
 }`;
 
     try {
-      const response = await this.processIntelligence(prompt, { 
-        type: 'error_analysis',
-        error: error.message 
-      }, 800);
-      
-      return JSON.parse(response);
+      return await this.generateStructured(prompt, ERROR_ANALYSIS_SCHEMA, {
+        context: {
+          type: 'error_analysis',
+          error: error.message
+        },
+        maxTokens: 800
+      });
       
     } catch (analysisError) {
       console.error('❌ Error analysis failed:', analysisError);
@@ -526,8 +949,7 @@ Respond with predictive analysis in JSON:
 }`;
 
     try {
-      const response = await this.processIntelligence(prompt, {}, 1500);
-      return JSON.parse(response);
+      return await this.generateStructured(prompt, PREDICTION_SCHEMA, { maxTokens: 1500 });
       
     } catch (error) {
       console.error('❌ Predictive analysis failed:', error);
@@ -666,7 +1088,9 @@ Respond with predictive analysis in JSON:
       intelligenceLevel: this.intelligenceLevel,
       metrics: this.metrics,
       config: this.config,
-      providerStatus: this.providerStatus
+      providerStatus: this.providerStatus,
+      providers: [...this.providers].map(provider => provider.toJSON()),
+      circuitBreakers: Object.fromEntries([...this.providers].map(provider => [provider.name, provider.breaker.toJSON()]))
     };
   }
 
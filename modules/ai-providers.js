@@ -0,0 +1,697 @@
+// modules/ai-providers.js - Discord AI Core AI Provider Adapters
+/**
+ * AI Providers - Interchangeable chat completion backends
+ * Every provider has a name, capabilities, complete() and healthCheck();
+ * ProviderRegistry builds them from an ordered config list so vendors can be
+ * swapped without touching the AI engine
+ */
+
+import { CircuitBreaker } from './circuit-breaker.js';
+import { validateSchema } from './structured-output.js';
+
+// Provider types created by the registry, extended with ProviderRegistry.registerType()
+const PROVIDER_TYPES = new Map();
+
+// Longest wait between retries, whatever the backoff or Retry-After says
+const MAX_RETRY_DELAY = 30000;
+
+// Shape of one AI_PROVIDERS entry; type-specific requirements are checked by the constructors
+const PROVIDER_CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    type: { type: 'string' },
+    name: { type: 'string', minLength: 1 },
+    url: { type: 'string', pattern: '^https?://' },
+    apiKey: { type: 'string' },
+    model: { type: 'string' },
+    server: { enum: ['ollama', 'llama.cpp'] },
+    timeout: { type: 'number', minimum: 1 },
+    weight: { type: 'number', minimum: 0 },
+    maxRetries: { type: 'integer', minimum: 0 },
+    retryDelay: { type: 'number', minimum: 0 },
+    capabilities: { type: 'array', items: { type: 'string' } },
+    headers: { type: 'object' },
+    breaker: { type: 'object' }
+  }
+};
+
+/**
+ * Error returned by an AI provider (HTTP status is null for network failures and timeouts)
+ */
+export class AIProviderError extends Error {
+  constructor(message, { provider, status = null, retryAfter = null, timeout = false, cause } = {}) {
+    super(message, { cause });
+
+    this.name = 'AIProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Rate limits and server errors are worth retrying, other client errors aren't
+   */
+  get retryable() {
+    return this.status === 429 || this.status >= 500;
+  }
+}
+
+/**
+ * Base provider, subclasses implement complete() and usually healthCheck()
+ */
+export class AIProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Unique provider name
+   * @param {string} options.model - Model to request
+   * @param {number} options.timeout - Per-attempt timeout in ms
+   * @param {number} options.weight - Traffic share, 0 for fallback-only
+   * @param {number} options.maxRetries - Retries on 429/5xx responses
+   * @param {number} options.retryDelay - Base backoff delay in ms, doubled per retry
+   * @param {Object} options.breaker - CircuitBreaker options (failureThreshold, resetTimeout)
+   */
+  constructor({
+    name,
+    model = null,
+    timeout = 30000,
+    weight = 0,
+    capabilities = ['chat'],
+    maxRetries = 3,
+    retryDelay = 1000,
+    breaker = {}
+  } = {}) {
+    if (!name) {
+      throw new TypeError('AI providers need a name');
+    }
+
+    this.name = name;
+    this.model = model;
+    this.timeout = timeout;
+    this.weight = weight;
+    this.capabilities = new Set(capabilities);
+    this.maxRetries = maxRetries;
+    this.retryDelay = retryDelay;
+
+    this.breaker = new CircuitBreaker(breaker);
+    this.lastError = null;
+  }
+
+  /**
+   * Availability as seen by the engine, derived from the circuit breaker
+   */
+  get status() {
+    return {
+      available: this.breaker.isAvailable(),
+      state: this.breaker.state,
+      lastError: this.lastError,
+      errorCount: this.breaker.failures
+    };
+  }
+
+  supports(capability) {
+    return this.capabilities.has(capability);
+  }
+
+  /**
+   * Complete a chat, resolving with the reply text
+   */
+  async complete(messages, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement complete()`);
+  }
+
+  /**
+   * Stream a chat completion as text chunks (providers with the "stream" capability)
+   */
+  async *stream(messages, options = {}) {
+    yield await this.complete(messages, options);
+  }
+
+  /**
+   * Complete a chat the model may answer with tool calls (providers with the "tools" capability)
+   * Resolves with { content, toolCalls: [{ id, name, arguments }] }
+   *
+   * @param {Object[]} tools - Definitions in the OpenAI "tools" format
+   */
+  async completeWithTools(messages, tools, options = {}) {
+    throw new Error(`${this.constructor.name} does not support tool calls`);
+  }
+
+  /**
+   * Check the provider answers at all (a single attempt, failures are probed again by the breaker)
+   */
+  async healthCheck() {
+    const reply = await this.complete([{ role: 'user', content: 'Respond with "OK".' }], { maxTokens: 5, maxRetries: 0 });
+    return reply.length > 0;
+  }
+
+  /**
+   * POST or GET JSON, retrying 429/5xx responses with exponential backoff and jitter
+   * Throws AIProviderError once retries are used up
+   *
+   * @param {Object} options - method, headers, body, signal, and per-call timeout and maxRetries overrides
+   */
+  async request(url, options = {}) {
+    return this.withRetries(() => this.attempt(url, options), options.maxRetries);
+  }
+
+  /**
+   * POST and yield the JSON data of each server-sent event
+   * Connecting is retried like request(), then the timeout applies to every gap between chunks
+   */
+  async *streamEvents(url, options = {}) {
+    let timeout = null;
+
+    try {
+      const response = await this.withRetries(async () => {
+        timeout?.clear();
+        timeout = this.createTimeout(options.signal, options.timeout);
+
+        try {
+          return await this.send(url, { ...options, method: 'POST' }, timeout.signal);
+        } catch (error) {
+          throw this.toProviderError(error, timeout);
+        }
+      }, options.maxRetries);
+
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      for await (const chunk of response.body) {
+        timeout.touch();
+        buffer += decoder.decode(chunk, { stream: true });
+
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          // Anything but data lines (comments, keep-alives, event names) is ignored
+          if (!line.startsWith('data:')) continue;
+
+          const data = line.slice(5).trim();
+          if (data === '[DONE]') return;
+          if (data) yield JSON.parse(data);
+        }
+      }
+
+    } catch (error) {
+      throw this.toProviderError(error, timeout);
+
+    } finally {
+      // Also stops the download when the consumer stops reading early
+      timeout?.clear();
+      timeout?.abort();
+    }
+  }
+
+  /**
+   * Run a request, retrying retryable errors
+   */
+  async withRetries(operation, maxRetries = this.maxRetries) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await operation();
+      } catch (error) {
+        if (!error.retryable || attempt >= maxRetries) throw error;
+
+        const delay = this.getRetryDelay(attempt, error.retryAfter);
+        console.log(`🔁 ${this.name}: ${error.status} response, retrying in ${delay}ms (${attempt + 1}/${maxRetries})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * One JSON request
+   */
+  async attempt(url, options = {}) {
+    const timeout = this.createTimeout(options.signal, options.timeout);
+
+    try {
+      const response = await this.send(url, options, timeout.signal);
+      return await response.json();
+    } catch (error) {
+      throw this.toProviderError(error, timeout);
+    } finally {
+      timeout.clear();
+    }
+  }
+
+  /**
+   * Fetch, throwing AIProviderError for error statuses
+   */
+  async send(url, { method = 'GET', headers = {}, body } = {}, signal = null) {
+    const response = await fetch(url, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json', ...headers } : headers,
+      body: body ? JSON.stringify(body) : undefined,
+      signal
+    });
+
+    if (!response.ok) {
+      const retryAfter = parseFloat(response.headers.get('retry-after'));
+      throw new AIProviderError(`AI Provider Error (${this.name}): ${response.status} ${response.statusText}`, {
+        provider: this.name,
+        status: response.status,
+        retryAfter: Number.isFinite(retryAfter) ? retryAfter * 1000 : null
+      });
+    }
+
+    return response;
+  }
+
+  /**
+   * AbortController that fires after the timeout (restarted by touch())
+   * or when the caller's signal aborts
+   */
+  createTimeout(signal = null, ms = this.timeout) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    let timer = null;
+
+    const timeout = {
+      signal: controller.signal,
+      ms: ms ?? this.timeout,
+      timedOut: false,
+      touch: () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          timeout.timedOut = true;
+          controller.abort();
+        }, timeout.ms);
+      },
+      clear: () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+      },
+      abort: () => controller.abort()
+    };
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+    timeout.touch();
+
+    return timeout;
+  }
+
+  /**
+   * Wrap network failures, timeouts and parse errors as AIProviderError
+   */
+  toProviderError(error, timeout) {
+    if (error instanceof AIProviderError) return error;
+
+    const reason = timeout?.timedOut ? `timed out after ${timeout.ms}ms` : error.message;
+    return new AIProviderError(`AI Provider Error (${this.name}): ${reason}`, {
+      provider: this.name,
+      timeout: Boolean(timeout?.timedOut),
+      cause: error
+    });
+  }
+
+  /**
+   * Exponential backoff with equal jitter, never shorter than Retry-After
+   */
+  getRetryDelay(attempt, retryAfter = null) {
+    const backoff = this.retryDelay * 2 ** attempt;
+    const jittered = backoff / 2 + Math.random() * backoff / 2;
+
+    return Math.round(Math.min(Math.max(jittered, retryAfter || 0), MAX_RETRY_DELAY));
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      type: this.constructor.type,
+      model: this.model,
+      weight: this.weight,
+      capabilities: [...this.capabilities],
+      ...this.status,
+      breaker: this.breaker.toJSON()
+    };
+  }
+}
+
+/**
+ * Tool calls of an OpenAI or Ollama assistant message
+ * Arguments are left as the JSON string OpenAI sends, Ollama sends an object
+ */
+function readToolCalls(message) {
+  return (message?.tool_calls || []).map((call, index) => ({
+    id: call.id || `call_${index}`,
+    name: call.function?.name,
+    arguments: call.function?.arguments ?? {}
+  }));
+}
+
+/**
+ * Any OpenAI-compatible /chat/completions endpoint (Together, OpenRouter, OpenAI, Groq, vLLM...)
+ */
+export class OpenAICompatibleProvider extends AIProvider {
+  static type = 'openai';
+
+  constructor({ url, apiKey = null, headers = {}, ...options }) {
+    super({ capabilities: ['chat', 'stream'], ...options });
+
+    if (!url) {
+      throw new TypeError(`AI provider "${this.name}" needs a url`);
+    }
+
+    this.url = url;
+    this.apiKey = apiKey;
+    this.headers = headers;
+  }
+
+  getHeaders() {
+    return this.apiKey ? { Authorization: `Bearer ${this.apiKey}`, ...this.headers } : { ...this.headers };
+  }
+
+  /**
+   * JSON mode is only requested from endpoints configured with the "json" capability
+   */
+  getBody(messages, { maxTokens = 1000, temperature = 0.7, json = false, tools = null } = {}) {
+    return {
+      model: this.model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      top_p: 0.9,
+      frequency_penalty: 0.1,
+      presence_penalty: 0.1,
+      ...(json && this.supports('json') ? { response_format: { type: 'json_object' } } : {}),
+      ...(tools ? { tools, tool_choice: 'auto' } : {})
+    };
+  }
+
+  async complete(messages, options = {}) {
+    const { content } = await this.chat(messages, options);
+    if (typeof content !== 'string') {
+      throw new AIProviderError('Invalid AI provider response structure', { provider: this.name });
+    }
+
+    return content.trim();
+  }
+
+  async completeWithTools(messages, tools, options = {}) {
+    const message = await this.chat(messages, { ...options, tools });
+    return { content: message.content?.trim() || null, toolCalls: readToolCalls(message) };
+  }
+
+  /**
+   * Request a completion, resolving with the assistant message
+   */
+  async chat(messages, options = {}) {
+    const data = await this.request(this.url, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: this.getBody(messages, options),
+      signal: options.signal,
+      timeout: options.timeout,
+      maxRetries: options.maxRetries
+    });
+
+    const message = data.choices?.[0]?.message;
+    if (!message) {
+      throw new AIProviderError('Invalid AI provider response structure', { provider: this.name });
+    }
+
+    return message;
+  }
+
+  /**
+   * Stream a chat completion, yielding text as it is generated
+   */
+  async *stream(messages, options = {}) {
+    const events = this.streamEvents(this.url, {
+      headers: this.getHeaders(),
+      body: { ...this.getBody(messages, options), stream: true },
+      signal: options.signal,
+      timeout: options.timeout,
+      maxRetries: options.maxRetries
+    });
+
+    for await (const event of events) {
+      if (event.error) {
+        throw new AIProviderError(`AI Provider Error (${this.name}): ${event.error.message || 'stream error'}`, {
+          provider: this.name
+        });
+      }
+
+      const delta = event.choices?.[0]?.delta?.content;
+      if (delta) yield delta;
+    }
+  }
+
+  /**
+   * One authenticated GET instead of spending tokens on a completion
+   * OpenRouter lists models without a key, so its key endpoint is checked instead
+   */
+  async healthCheck() {
+    const base = this.url.replace(/\/chat\/completions\/?$/, '');
+    const checksKey = new URL(this.url).hostname === 'openrouter.ai';
+
+    const data = await this.request(`${base}${checksKey ? '/key' : '/models'}`, {
+      headers: this.getHeaders(),
+      maxRetries: 0
+    });
+
+    return checksKey ? Boolean(data.data) : Array.isArray(data.data ?? data);
+  }
+}
+
+/**
+ * Local Ollama or llama.cpp server, no API key needed
+ */
+export class LocalProvider extends AIProvider {
+  static type = 'local';
+
+  constructor({ url = null, server = 'ollama', ...options }) {
+    super({ capabilities: ['chat', 'json'], ...options });
+
+    if (!['ollama', 'llama.cpp'].includes(server)) {
+      throw new TypeError(`Unknown local AI server "${server}" (expected ollama or llama.cpp)`);
+    }
+
+    this.server = server;
+    this.url = (url || (server === 'ollama' ? 'http://localhost:11434' : 'http://localhost:8080')).replace(/\/$/, '');
+  }
+
+  async complete(messages, options = {}) {
+    const message = await this.chat(messages, options);
+    return (message?.content || '').trim();
+  }
+
+  async completeWithTools(messages, tools, options = {}) {
+    const message = await this.chat(messages, { ...options, tools });
+    return { content: message?.content?.trim() || null, toolCalls: readToolCalls(message) };
+  }
+
+  /**
+   * Request a completion, resolving with the assistant message
+   */
+  async chat(messages, { maxTokens = 1000, temperature = 0.7, json = false, tools = null, signal = null, timeout, maxRetries } = {}) {
+    const jsonMode = json && this.supports('json');
+
+    if (this.server === 'ollama') {
+      const data = await this.request(`${this.url}/api/chat`, {
+        method: 'POST',
+        body: {
+          model: this.model,
+          messages,
+          stream: false,
+          options: { num_predict: maxTokens, temperature },
+          ...(jsonMode ? { format: 'json' } : {}),
+          ...(tools ? { tools } : {})
+        },
+        signal,
+        timeout,
+        maxRetries
+      });
+
+      return data.message;
+    }
+
+    // llama.cpp serves the model it was started with, the model field is ignored
+    const data = await this.request(`${this.url}/v1/chat/completions`, {
+      method: 'POST',
+      body: {
+        model: this.model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        ...(jsonMode ? { response_format: { type: 'json_object' } } : {}),
+        ...(tools ? { tools, tool_choice: 'auto' } : {})
+      },
+      signal,
+      timeout,
+      maxRetries
+    });
+
+    return data.choices?.[0]?.message;
+  }
+
+  /**
+   * Ollama must have the model pulled, llama.cpp must have finished loading it
+   */
+  async healthCheck() {
+    if (this.server === 'ollama') {
+      const { models = [] } = await this.request(`${this.url}/api/tags`, { maxRetries: 0 });
+      return !this.model || models.some(model => model.name === this.model || model.name === `${this.model}:latest`);
+    }
+
+    const { status } = await this.request(`${this.url}/health`, { maxRetries: 0 });
+    return status === 'ok';
+  }
+}
+
+/**
+ * Deterministic provider for offline development and tests
+ * The same conversation always gets the same reply
+ */
+export class OfflineProvider extends AIProvider {
+  static type = 'offline';
+
+  constructor({ respond = null, ...options } = {}) {
+    super({ name: 'offline', timeout: 0, ...options });
+
+    this.respond = respond || (prompt => `Offline mode: received "${prompt.slice(0, 100)}"`);
+  }
+
+  async complete(messages) {
+    const prompt = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+    return this.respond(prompt, messages);
+  }
+
+  async healthCheck() {
+    return true;
+  }
+}
+
+/**
+ * Ordered set of providers
+ * Providers with a weight above 0 share traffic in proportion to their weight
+ * and are tried first; the rest follow in configured order as fallbacks
+ */
+export class ProviderRegistry {
+  constructor(providers = []) {
+    this.providers = [];
+
+    for (const provider of providers) {
+      this.add(provider);
+    }
+  }
+
+  /**
+   * Register a provider type so configs can use { type: name }
+   */
+  static registerType(type, ProviderClass) {
+    PROVIDER_TYPES.set(type, ProviderClass);
+  }
+
+  /**
+   * Parse and check the AI_PROVIDERS JSON, empty for no custom providers
+   * Throws TypeError naming the bad entry so misconfiguration fails at startup
+   */
+  static parseConfig(text) {
+    if (!text || !text.trim()) return [];
+
+    let entries;
+    try {
+      entries = JSON.parse(text);
+    } catch (error) {
+      throw new TypeError(`AI_PROVIDERS is not valid JSON (${error.message})`);
+    }
+
+    if (!Array.isArray(entries)) {
+      throw new TypeError('AI_PROVIDERS must be a JSON array of provider entries');
+    }
+
+    entries.forEach((entry, index) => {
+      const label = `AI_PROVIDERS[${index}]${entry?.name ? ` (${entry.name})` : ''}`;
+      const errors = validateSchema(entry, PROVIDER_CONFIG_SCHEMA, label);
+      const type = entry?.type ?? 'openai';
+
+      if (errors.length === 0 && !PROVIDER_TYPES.has(type)) {
+        errors.push(`${label}.type: unknown provider type "${type}" (expected ${[...PROVIDER_TYPES.keys()].join(', ')})`);
+      }
+      if (errors.length === 0 && type === 'openai' && !entry.url) {
+        errors.push(`${label}.url: required for openai providers`);
+      }
+      if (errors.length > 0) {
+        throw new TypeError(`Invalid AI provider configuration: ${errors.join('; ')}`);
+      }
+    });
+
+    return entries;
+  }
+
+  /**
+   * Build a registry from config entries ({ type, name, model, timeout, weight, ... })
+   * Defaults are keyed by type and passed to those providers (e.g. { offline: { respond } })
+   */
+  static fromConfig(entries, defaults = {}) {
+    return new ProviderRegistry(entries.map(({ type = 'openai', ...entry }) => {
+      const ProviderClass = PROVIDER_TYPES.get(type);
+
+      if (!ProviderClass) {
+        throw new TypeError(`Unknown AI provider type "${type}" (expected ${[...PROVIDER_TYPES.keys()].join(', ')})`);
+      }
+
+      return new ProviderClass({ ...defaults[type], ...entry });
+    }));
+  }
+
+  add(provider) {
+    if (this.get(provider.name)) {
+      throw new Error(`AI provider "${provider.name}" is already registered`);
+    }
+
+    this.providers.push(provider);
+    return provider;
+  }
+
+  remove(name) {
+    this.providers = this.providers.filter(provider => provider.name !== name);
+  }
+
+  get(name) {
+    return this.providers.find(provider => provider.name === name) || null;
+  }
+
+  /**
+   * Available providers in the order they should be tried
+   */
+  getAttemptOrder(capability = 'chat') {
+    const candidates = this.providers.filter(provider => provider.status.available && provider.supports(capability));
+    const weighted = candidates.filter(provider => provider.weight > 0);
+    const ordered = [];
+
+    // Weighted draw without replacement
+    while (weighted.length > 0) {
+      const total = weighted.reduce((sum, provider) => sum + provider.weight, 0);
+      let roll = Math.random() * total;
+      const index = weighted.findIndex(provider => (roll -= provider.weight) < 0);
+
+      ordered.push(...weighted.splice(index === -1 ? weighted.length - 1 : index, 1));
+    }
+
+    return [...ordered, ...candidates.filter(provider => provider.weight <= 0)];
+  }
+
+  /**
+   * Status of every provider, keyed by name
+   */
+  getStatus() {
+    return Object.fromEntries(this.providers.map(provider => [provider.name, provider.status]));
+  }
+
+  [Symbol.iterator]() {
+    return this.providers[Symbol.iterator]();
+  }
+
+  get size() {
+    return this.providers.length;
+  }
+}
+
+ProviderRegistry.registerType(OpenAICompatibleProvider.type, OpenAICompatibleProvider);
+ProviderRegistry.registerType(LocalProvider.type, LocalProvider);
+ProviderRegistry.registerType(OfflineProvider.type, OfflineProvider);
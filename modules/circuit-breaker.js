@@ -0,0 +1,108 @@
+// modules/circuit-breaker.js - Discord AI Core Circuit Breaker
+/**
+ * Circuit Breaker - Stops calling a failing dependency and probes it back
+ * closed: requests flow, consecutive failures are counted
+ * open: requests are refused until resetTimeout has passed
+ * half_open: one probe request decides between closed and open again
+ */
+
+export const BreakerState = Object.freeze({
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+});
+
+export class CircuitBreaker {
+  constructor({ failureThreshold = 5, resetTimeout = 30000, maxResetTimeout = 600000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.maxResetTimeout = maxResetTimeout;
+
+    this.state = BreakerState.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+
+    // Each failed probe doubles the wait, a success resets it
+    this.currentResetTimeout = resetTimeout;
+
+    this.stats = { successes: 0, failures: 0, rejections: 0, trips: 0 };
+  }
+
+  /**
+   * Whether a request could be made now (doesn't claim the half-open probe)
+   */
+  isAvailable() {
+    if (this.state === BreakerState.CLOSED) return true;
+    if (this.state === BreakerState.HALF_OPEN) return !this.probing;
+
+    return Date.now() >= this.openedAt + this.currentResetTimeout;
+  }
+
+  /**
+   * Ask to make a request; in half-open state only one caller gets through
+   */
+  allowRequest() {
+    if (this.state === BreakerState.OPEN && this.isAvailable()) {
+      this.state = BreakerState.HALF_OPEN;
+    }
+
+    if (this.state === BreakerState.HALF_OPEN && !this.probing) {
+      this.probing = true;
+      return true;
+    }
+
+    if (this.state === BreakerState.CLOSED) return true;
+
+    this.stats.rejections++;
+    return false;
+  }
+
+  recordSuccess() {
+    this.stats.successes++;
+    this.state = BreakerState.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+    this.currentResetTimeout = this.resetTimeout;
+  }
+
+  /**
+   * Give back a claimed half-open probe that ended without a result
+   */
+  releaseProbe() {
+    this.probing = false;
+  }
+
+  recordFailure() {
+    this.stats.failures++;
+    this.failures++;
+
+    if (this.state === BreakerState.HALF_OPEN) {
+      this.currentResetTimeout = Math.min(this.currentResetTimeout * 2, this.maxResetTimeout);
+      this.open();
+    } else if (this.failures >= this.failureThreshold) {
+      this.open();
+    }
+  }
+
+  /**
+   * Stop requests until the reset timeout has passed
+   */
+  open() {
+    if (this.state !== BreakerState.OPEN) this.stats.trips++;
+
+    this.state = BreakerState.OPEN;
+    this.openedAt = Date.now();
+    this.probing = false;
+  }
+
+  toJSON() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      retryAt: this.state === BreakerState.OPEN ? this.openedAt + this.currentResetTimeout : null,
+      ...this.stats
+    };
+  }
+}
@@ -5,10 +5,41 @@
  * Uses only Discord Bot API - fully ToS compliant
  */
 
+import { describeError } from './discord-errors.js';
+import { ScheduledEventEntityType, ScheduledEventStatus } from './discord-client.js';
+import { PermissionFlags, Permissions, channelMention, formatTimestamp, parseDuration, resolveId } from './discord-utils.js';
+import { StreamingReply } from './streaming-reply.js';
+
+// Length of /event create events when no duration is given
+const DEFAULT_EVENT_DURATION = 60 * 60 * 1000;
+
+// Discord drops autocomplete responses after 3 seconds
+const AUTOCOMPLETE_TIMEOUT = 2500;
+
+// AI autocomplete suggestions, in Discord's choice limits
+const AUTOCOMPLETE_SCHEMA = {
+  type: 'object',
+  required: ['choices'],
+  properties: {
+    choices: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'value'],
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 100 },
+          value: { type: ['string', 'number'] }
+        }
+      }
+    }
+  }
+};
+
 export class CommandHandler {
-  constructor(discordClient, aiEngine) {
+  constructor(discordClient, aiEngine, nlpEngine = null) {
     this.client = discordClient;
     this.ai = aiEngine;
+    this.nlp = nlpEngine;
 
     // Command storage
     this.commands = new Map();
@@ -16,6 +47,9 @@ export class CommandHandler {
     this.components = new Map();
     this.modals = new Map();
 
+    // Threads opened by /ai chat, where the AI answers without a mention
+    this.chatThreads = new Set();
+
     // Command usage tracking
     this.commandUsage = new Map();
     this.interactionHistory = new Map();
@@ -53,6 +87,12 @@ export class CommandHandler {
               name: 'message',
               description: 'Your message to the AI',
               required: true
+            },
+            {
+              type: 5, // BOOLEAN
+              name: 'thread',
+              description: 'Continue the conversation in a thread',
+              required: false
             }
           ]
         },
@@ -81,7 +121,7 @@ export class CommandHandler {
     this.addCommand({
       name: 'server',
       description: 'Server management and optimization',
-      default_member_permissions: '32', // MANAGE_GUILD
+      default_member_permissions: String(PermissionFlags.MANAGE_GUILD),
       options: [
         {
           type: 1, // SUB_COMMAND
@@ -105,7 +145,7 @@ export class CommandHandler {
     this.addCommand({
       name: 'admin',
       description: 'Administrative tools and utilities',
-      default_member_permissions: '8', // ADMINISTRATOR
+      default_member_permissions: String(PermissionFlags.ADMINISTRATOR),
       options: [
         {
           type: 1, // SUB_COMMAND
@@ -176,6 +216,79 @@ export class CommandHandler {
       ]
     });
 
+    // Scheduled Events Command
+    this.addCommand({
+      name: 'event',
+      description: 'Schedule and manage server events',
+      default_member_permissions: String(PermissionFlags.MANAGE_EVENTS),
+      dm_permission: false,
+      options: [
+        {
+          type: 1, // SUB_COMMAND
+          name: 'create',
+          description: 'Schedule a new event',
+          options: [
+            {
+              type: 3, // STRING
+              name: 'name',
+              description: 'Event name',
+              required: true
+            },
+            {
+              type: 3, // STRING
+              name: 'time',
+              description: 'When it starts, e.g. "tomorrow at 8pm" or "in 2 hours"',
+              required: true
+            },
+            {
+              type: 3, // STRING
+              name: 'duration',
+              description: 'How long it runs, e.g. "90m" (defaults to 1 hour)',
+              required: false
+            },
+            {
+              type: 7, // CHANNEL
+              name: 'channel',
+              description: 'Voice or stage channel to host it in',
+              channel_types: [2, 13], // GUILD_VOICE, GUILD_STAGE_VOICE
+              required: false
+            },
+            {
+              type: 3, // STRING
+              name: 'location',
+              description: 'Where it happens, for events outside Discord',
+              required: false
+            },
+            {
+              type: 3, // STRING
+              name: 'description',
+              description: 'What the event is about',
+              required: false
+            }
+          ]
+        },
+        {
+          type: 1, // SUB_COMMAND
+          name: 'list',
+          description: 'List upcoming events'
+        },
+        {
+          type: 1, // SUB_COMMAND
+          name: 'cancel',
+          description: 'Cancel a scheduled event',
+          options: [
+            {
+              type: 3, // STRING
+              name: 'event',
+              description: 'Event to cancel',
+              required: true,
+              autocomplete: true
+            }
+          ]
+        }
+      ]
+    });
+
     // Bot Status Command
     this.addCommand({
       name: 'status',
@@ -212,6 +325,7 @@ export class CommandHandler {
       'server': this.handleServerCommand.bind(this),
       'admin': this.handleAdminCommand.bind(this),
       'help': this.handleHelpCommand.bind(this),
+      'event': this.handleEventCommand.bind(this),
       'status': this.handleStatusCommand.bind(this)
     };
 
@@ -300,7 +414,7 @@ export class CommandHandler {
       console.error(`❌ Slash command error:`, error);
 
       await this.editReply(interaction, {
-        content: `❌ An error occurred while executing the command: ${error.message}`,
+        content: `❌ An error occurred while executing the command: ${describeError(error)}`,
         ephemeral: true
       });
 
@@ -339,8 +453,19 @@ export class CommandHandler {
     const user = interaction.user || interaction.member?.user;
     const userName = user?.username || 'Unknown User';
 
+    // Answers show up while they are generated, long ones continue in follow-ups
+    const reply = new StreamingReply(this.client, interaction, {
+      embed: {
+        title: '🤖 AI Response',
+        color: 0x5865f2,
+        footer: {
+          text: 'Discord AI Core Intelligence'
+        }
+      }
+    });
+
     try {
-      const response = await this.ai.generateIntelligentResponse(
+      await reply.pipe(this.ai.streamIntelligentResponse(
         message,
         userName,
         {
@@ -348,21 +473,22 @@ export class CommandHandler {
           guildId: interaction.guild_id,
           channelId: interaction.channel_id
         }
-      );
+      ));
 
-      await this.editReply(interaction, {
-        embeds: [{
-          title: '🤖 AI Response',
-          description: response,
-          color: 0x5865f2,
-          footer: {
-            text: 'Discord AI Core Intelligence'
-          },
-          timestamp: new Date().toISOString()
-        }]
-      });
+      if (this.getOptionValue(subcommand, 'thread') && interaction.guild_id) {
+        await this.openChatThread(interaction, userName, message);
+      }
 
     } catch (error) {
+      // A stream cut short keeps what was generated; a failed final render falls through
+      if (reply.text && !reply.finished) {
+        reply.push('\n\n⚠️ *Response interrupted, please try again.*');
+        await reply.finish().catch(finishError => {
+          console.error('❌ Failed to finish streaming reply:', finishError.message);
+        });
+        return;
+      }
+
       await this.editReply(interaction, {
         content: '❌ AI processing failed. Please try again.',
         ephemeral: true
@@ -370,6 +496,26 @@ export class CommandHandler {
     }
   }
 
+  /**
+   * Start a thread on the AI reply so the conversation can continue there
+   */
+  async openChatThread(interaction, userName, message) {
+    try {
+      const reply = await this.client.api(`webhooks/${this.client.user.id}/${interaction.token}/messages/@original`);
+      const thread = await this.client.startThreadFromMessage(interaction.channel_id, reply.id, {
+        name: `AI chat with ${userName}: ${message}`.slice(0, 100),
+        auto_archive_duration: 60
+      });
+
+      this.chatThreads.add(thread.id);
+      return thread;
+
+    } catch (error) {
+      console.warn(`⚠️ Failed to open AI chat thread: ${describeError(error)}`);
+      return null;
+    }
+  }
+
   /**
    * Handle AI analyze subcommand
    */
@@ -672,6 +818,198 @@ export class CommandHandler {
     }
   }
 
+  /**
+   * Handle event command
+   */
+  async handleEventCommand(interaction) {
+    const subcommand = interaction.data.options[0];
+
+    switch (subcommand.name) {
+      case 'create':
+        await this.handleEventCreate(interaction, subcommand);
+        break;
+      case 'list':
+        await this.handleEventList(interaction);
+        break;
+      case 'cancel':
+        await this.handleEventCancel(interaction, subcommand);
+        break;
+      default:
+        await this.editReply(interaction, {
+          content: '❌ Unknown event subcommand',
+          ephemeral: true
+        });
+    }
+  }
+
+  /**
+   * Handle event create subcommand
+   */
+  async handleEventCreate(interaction, subcommand) {
+    const name = this.getOptionValue(subcommand, 'name');
+    const time = this.getOptionValue(subcommand, 'time');
+    const duration = this.getOptionValue(subcommand, 'duration');
+    const channelId = this.getOptionValue(subcommand, 'channel');
+    const location = this.getOptionValue(subcommand, 'location');
+    const description = this.getOptionValue(subcommand, 'description');
+
+    const start = await this.parseEventTime(time);
+    if (!start) {
+      await this.editReply(interaction, {
+        content: `❌ Couldn't understand the time "${time}". Try "tomorrow at 8pm", "friday 18:30" or "in 2 hours".`,
+        ephemeral: true
+      });
+      return;
+    }
+
+    if (start.getTime() <= Date.now()) {
+      await this.editReply(interaction, {
+        content: '❌ Events have to start in the future.',
+        ephemeral: true
+      });
+      return;
+    }
+
+    const length = duration ? parseDuration(duration) : DEFAULT_EVENT_DURATION;
+    if (!length) {
+      await this.editReply(interaction, {
+        content: `❌ Couldn't understand the duration "${duration}". Try "90m" or "2h".`,
+        ephemeral: true
+      });
+      return;
+    }
+
+    let placement;
+
+    if (channelId) {
+      // Stage channels (type 13) host stage events, everything else is a voice event
+      const channel = interaction.data.resolved?.channels?.[channelId];
+      placement = {
+        channel_id: channelId,
+        entity_type: channel?.type === 13 ? ScheduledEventEntityType.STAGE_INSTANCE : ScheduledEventEntityType.VOICE
+      };
+    } else {
+      placement = {
+        entity_type: ScheduledEventEntityType.EXTERNAL,
+        entity_metadata: { location: location || 'To be announced' }
+      };
+    }
+
+    const user = interaction.user || interaction.member?.user;
+    const created = await this.client.createScheduledEvent(interaction.guild_id, {
+      name,
+      description: description || undefined,
+      scheduled_start_time: start,
+      scheduled_end_time: new Date(start.getTime() + length),
+      ...placement
+    }, `Scheduled by ${user?.username || 'unknown'} via /event create`);
+
+    await this.editReply(interaction, {
+      embeds: [{
+        title: `📅 ${created.name}`,
+        description: created.description || 'Event scheduled!',
+        color: 0x57f287,
+        fields: [
+          { name: 'Starts', value: `${formatTimestamp(start, 'F')} (${formatTimestamp(start, 'R')})`, inline: true },
+          { name: 'Where', value: channelId ? channelMention(channelId) : placement.entity_metadata.location, inline: true }
+        ],
+        footer: {
+          text: `Event ID: ${created.id}`
+        }
+      }]
+    });
+  }
+
+  /**
+   * Handle event list subcommand
+   */
+  async handleEventList(interaction) {
+    const upcoming = await this.getUpcomingEvents(interaction.guild_id);
+
+    if (upcoming.length === 0) {
+      await this.editReply(interaction, {
+        content: '📅 No upcoming events. Use `/event create` to schedule one!'
+      });
+      return;
+    }
+
+    await this.editReply(interaction, {
+      embeds: [{
+        title: '📅 Upcoming Events',
+        color: 0x5865f2,
+        fields: upcoming.slice(0, 10).map(scheduledEvent => {
+          const startsAt = Date.parse(scheduledEvent.scheduled_start_time);
+          const live = scheduledEvent.status === ScheduledEventStatus.ACTIVE ? '🔴 Live • ' : '';
+
+          return {
+            name: scheduledEvent.name,
+            value: `${live}${formatTimestamp(startsAt, 'F')} • ${scheduledEvent.user_count || 0} interested`
+          };
+        }),
+        footer: {
+          text: upcoming.length > 10 ? `Showing 10 of ${upcoming.length} events` : `${upcoming.length} event(s)`
+        }
+      }]
+    });
+  }
+
+  /**
+   * Handle event cancel subcommand (accepts an event id or name)
+   */
+  async handleEventCancel(interaction, subcommand) {
+    const value = this.getOptionValue(subcommand, 'event');
+    const upcoming = await this.getUpcomingEvents(interaction.guild_id);
+    const target = upcoming.find(scheduledEvent =>
+      scheduledEvent.id === value || scheduledEvent.name.toLowerCase() === value.toLowerCase()
+    );
+
+    if (!target) {
+      await this.editReply(interaction, {
+        content: `❌ No upcoming event matches "${value}".`,
+        ephemeral: true
+      });
+      return;
+    }
+
+    if (target.status === ScheduledEventStatus.ACTIVE) {
+      await this.editReply(interaction, {
+        content: `❌ **${target.name}** has already started and can't be canceled.`,
+        ephemeral: true
+      });
+      return;
+    }
+
+    const user = interaction.user || interaction.member?.user;
+    await this.client.cancelScheduledEvent(interaction.guild_id, target.id, `Canceled by ${user?.username || 'unknown'} via /event cancel`);
+
+    await this.editReply(interaction, {
+      content: `🗑️ Canceled **${target.name}**.`
+    });
+  }
+
+  /**
+   * Get scheduled and live events sorted by start time
+   */
+  async getUpcomingEvents(guildId) {
+    const scheduledEvents = await this.client.getScheduledEvents(guildId, { withUserCount: true });
+
+    return (scheduledEvents || [])
+      .filter(scheduledEvent => scheduledEvent.status === ScheduledEventStatus.SCHEDULED || scheduledEvent.status === ScheduledEventStatus.ACTIVE)
+      .sort((a, b) => Date.parse(a.scheduled_start_time) - Date.parse(b.scheduled_start_time));
+  }
+
+  /**
+   * Parse an event time with the NLP engine when available
+   */
+  async parseEventTime(time) {
+    if (this.nlp) {
+      return this.nlp.parseTime(time);
+    }
+
+    const timestamp = Date.parse(time);
+    return Number.isNaN(timestamp) ? null : new Date(timestamp);
+  }
+
   /**
    * Handle help command
    */
@@ -832,7 +1170,7 @@ export class CommandHandler {
     } catch (error) {
       console.error('❌ Component interaction error:', error);
       await this.editReply(interaction, {
-        content: `❌ Interaction failed: ${error.message}`,
+        content: `❌ Interaction failed: ${describeError(error)}`,
         ephemeral: true
       });
     }
@@ -899,6 +1237,62 @@ export class CommandHandler {
         }
       }]
     });
+
+    if (componentData.action === 'clean_channels') {
+      const user = interaction.user || interaction.member?.user;
+      const results = await this.executeCleanChannels(
+        interaction.guild_id,
+        componentData.parameters,
+        `Mass clean_channels requested by ${user?.username || componentData.userId}`
+      );
+
+      await this.editReply(interaction, {
+        embeds: [{
+          title: '🧹 Channels Cleaned',
+          description: results.map(result => result.error
+            ? `❌ ${channelMention(result.channelId)}: ${result.error}`
+            : `✅ ${channelMention(result.channelId)}: ${result.deleted} deleted${result.tooOld ? `, ${result.tooOld} older than 14 days skipped` : ''}`
+          ).join('\n') || 'No channels specified.',
+          color: 0x57f287
+        }]
+      });
+    }
+  }
+
+  /**
+   * Delete recent messages from guild channels
+   * Parameters: channels (ids or mentions), count (default 100), user_id, include_pinned
+   */
+  async executeCleanChannels(guildId, parameters, reason) {
+    const channelIds = [].concat(parameters.channels || parameters.channel_id || parameters.channel || [])
+      .map(resolveId);
+    const count = Math.min(parameters.count || parameters.limit || 100, 1000);
+    const results = [];
+
+    for (const channelId of channelIds) {
+      try {
+        // Never touch channels outside the guild the command came from
+        const channel = await this.client.fetchChannel(channelId);
+        if (channel.guild_id !== guildId) {
+          throw new Error('Channel is not in this server');
+        }
+
+        const messages = [];
+        for await (const message of this.client.iterateMessages(channelId, { limit: count })) {
+          if (message.pinned && !parameters.include_pinned) continue;
+          if (parameters.user_id && message.author?.id !== parameters.user_id) continue;
+          messages.push(message);
+        }
+
+        const { deleted, tooOld } = await this.client.bulkDeleteMessages(channelId, messages, { reason });
+        results.push({ channelId, deleted: deleted.length, tooOld: tooOld.length });
+
+      } catch (error) {
+        results.push({ channelId, error: describeError(error) });
+      }
+    }
+
+    return results;
   }
 
   /**
@@ -959,7 +1353,9 @@ export class CommandHandler {
    * Handle autocomplete interactions
    */
   async handleAutocomplete(interaction) {
-    const focusedOption = interaction.data.options.find(option => option.focused);
+    // Options of a subcommand are nested one level down
+    const subcommand = interaction.data.options[0]?.type === 1 ? interaction.data.options[0] : null;
+    const focusedOption = (subcommand?.options || interaction.data.options).find(option => option.focused);
 
     if (!focusedOption) return;
 
@@ -967,7 +1363,8 @@ export class CommandHandler {
       const choices = await this.generateAutocompleteChoices(
         interaction.data.name,
         focusedOption.name,
-        focusedOption.value
+        focusedOption.value,
+        interaction.guild_id
       );
 
       await this.client.api(`interactions/${interaction.id}/${interaction.token}/callback`, {
@@ -986,16 +1383,27 @@ export class CommandHandler {
   /**
    * Generate autocomplete choices
    */
-  async generateAutocompleteChoices(commandName, optionName, currentValue) {
+  async generateAutocompleteChoices(commandName, optionName, currentValue, guildId = null) {
+    if (commandName === 'event' && optionName === 'event') {
+      const upcoming = await this.getUpcomingEvents(guildId);
+      const search = String(currentValue || '').toLowerCase();
+
+      return upcoming
+        .filter(scheduledEvent => scheduledEvent.name.toLowerCase().includes(search))
+        .slice(0, 25)
+        .map(scheduledEvent => ({ name: scheduledEvent.name.slice(0, 100), value: scheduledEvent.id }));
+    }
+
     // Generate AI-powered autocomplete suggestions
     try {
-      const suggestions = await this.ai.processIntelligence(
-        `Generate autocomplete suggestions for command "${commandName}" option "${optionName}" with current value "${currentValue}". Return array of {name, value} objects.`,
-        { type: 'autocomplete' },
-        300
+      // One bounded attempt: no re-prompting and no provider retries
+      const { choices } = await this.ai.generateStructured(
+        `Generate autocomplete suggestions for command "${commandName}" option "${optionName}" with current value "${currentValue}". Return {"choices": [{name, value}]}.`,
+        AUTOCOMPLETE_SCHEMA,
+        { context: { type: 'autocomplete' }, maxTokens: 300, retries: 0, timeout: AUTOCOMPLETE_TIMEOUT, maxRetries: 0 }
       );
 
-      return JSON.parse(suggestions).slice(0, 25); // Discord limit
+      return choices.slice(0, 25); // Discord limit
     } catch {
       return [{ name: 'No suggestions available', value: currentValue }];
     }
@@ -1105,10 +1513,13 @@ export class CommandHandler {
   }
 
   async editReply(interaction, data) {
+    const { files, ...body } = data;
+
     try {
       await this.client.api(`webhooks/${this.client.user.id}/${interaction.token}/messages/@original`, {
         method: 'PATCH',
-        body: data
+        body,
+        files
       });
     } catch (error) {
       console.warn(`⚠️ Failed to edit interaction reply ${interaction.id}: ${error.message}`);
@@ -1118,8 +1529,9 @@ export class CommandHandler {
           method: 'POST',
           body: {
             type: 4, // CHANNEL_MESSAGE_WITH_SOURCE
-            data: data
-          }
+            data: body
+          },
+          files
         });
       } catch (fallbackError) {
         console.error(`❌ Failed to respond to interaction ${interaction.id}:`, fallbackError.message);
@@ -1133,21 +1545,15 @@ export class CommandHandler {
   }
 
   hasPermission(interaction, permission) {
-    // Check if user has the required permission
-    const userPermissions = BigInt(interaction.member?.permissions || '0');
+    // Check if user has the required permission (Administrator implies every permission)
     const requiredPermission = this.getPermissionBit(permission);
-    return (userPermissions & requiredPermission) !== 0n;
+    if (!requiredPermission) return false;
+
+    return new Permissions(interaction.member?.permissions).has(requiredPermission);
   }
 
   getPermissionBit(permission) {
-    const permissions = {
-      'ADMINISTRATOR': 1n << 3n,
-      'MANAGE_GUILD': 1n << 5n,
-      'MANAGE_CHANNELS': 1n << 4n,
-      'MANAGE_ROLES': 1n << 28n,
-      'MANAGE_MESSAGES': 1n << 13n
-    };
-    return permissions[permission] || 0n;
+    return PermissionFlags[permission] || 0n;
   }
 
   trackCommandUsage(commandName, userId) {
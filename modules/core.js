@@ -5,6 +5,17 @@ import { CommandHandler } from './command-handler.js';
 import { ServerManager } from './server-manager.js';
 import { NLPEngine } from './nlp-engine.js';
 import { EventSystem } from './event-system.js';
+import { PresenceManager } from './presence-manager.js';
+import { ShardManager } from './shard-manager.js';
+import {
+  DiscordAPIError,
+  DiscordError,
+  DiscordErrorCodes,
+  NetworkError,
+  RateLimitError,
+  describeError,
+  getRouteTargets
+} from './discord-errors.js';
 
 export class DiscordCore {
   constructor(config) {
@@ -12,20 +23,42 @@ export class DiscordCore {
     this.version = '1.0.0';
     this.codename = 'Genesis';
 
-    // Initialize core modules
-    this.client = new DiscordClient({
-      intents: this.calculateIntents(config.intents || [])
+    // Initialize core modules; above one shard the client is backed by a ShardManager
+    const clientOptions = {
+      intents: this.calculateIntents(config.intents || []),
+      cache: config.cache
+    };
+    const sharded = config.shardCount === 'auto' || config.shardCount > 1;
+
+    // Core reads the entity caches directly, and worker shards keep theirs in the child process
+    if (sharded && config.shardMode === 'process') {
+      throw new Error('shardMode "process" is not supported by DiscordCore, its caches would always be empty; use "in-process"');
+    }
+
+    this.shards = sharded
+      ? new ShardManager({ ...clientOptions, totalShards: config.shardCount })
+      : null;
+    this.client = this.shards ? this.shards.rest : new DiscordClient(clientOptions);
+    this.ai = new AIEngine(config.togetherApiKey, config.openrouterApiKey, {
+      ...config.aiRequest,
+      providers: config.aiProviders
     });
-    this.ai = new AIEngine(config.togetherApiKey, config.openrouterApiKey);
-    this.commands = new CommandHandler(this.client, this.ai);
-    this.serverManager = new ServerManager(this.client, this.ai);
     this.nlp = new NLPEngine(this.ai);
+    this.commands = new CommandHandler(this.client, this.ai, this.nlp);
+    this.serverManager = new ServerManager(this.client, this.ai);
     this.events = new EventSystem();
+    this.presence = new PresenceManager(this.client, {
+      ...config.presence,
+      getStats: () => this.getStats()
+    });
 
     // Core state
     this.isActive = false;
     this.botUser = null;
 
+    // Guilds handed to the server manager, so outages don't re-run onGuildJoin
+    this.managedGuilds = new Set();
+
     // Intelligence configuration
     this.intelligence = {
       learningMode: config.aiConfig?.learningRate || 'high',
@@ -156,6 +189,15 @@ export class DiscordCore {
     return intents;
   }
 
+  /**
+   * Start managing a joined or available guild
+   */
+  async manageGuild(guild) {
+    this.managedGuilds.add(guild.id);
+    await this.serverManager.onGuildJoin(guild);
+    this.metrics.serversManaged++;
+  }
+
   /**
    * Setup Discord event handlers
    */
@@ -164,14 +206,12 @@ export class DiscordCore {
     this.client.on('ready', async () => {
       console.log(`🟢 Bot is ready! Logged in as ${this.botUser.username}`);
 
-      // Set bot activity
-      await this.client.setPresence({
-        activities: [{
-          name: 'with AI intelligence',
-          type: 0 // Playing
-        }],
-        status: 'online'
-      });
+      // Apply the configured presence (the client re-sends it after reconnects)
+      try {
+        await this.presence.start();
+      } catch (error) {
+        console.error('❌ Failed to set presence:', error.message);
+      }
     });
 
     // Interaction handling (slash commands, buttons, etc.)
@@ -182,6 +222,10 @@ export class DiscordCore {
       } catch (error) {
         console.error('❌ Interaction handling failed:', error);
         await this.handleInteractionError(interaction, error);
+
+        if (error instanceof DiscordError) {
+          await this.handleSystemError(error, { source: 'interaction', interactionId: interaction.id });
+        }
       }
     });
 
@@ -198,21 +242,44 @@ export class DiscordCore {
     // Guild events for server management
     this.client.on('guildCreate', async (guild) => {
       console.log(`📈 Joined new guild: ${guild.name} (${guild.member_count} members)`);
-      await this.serverManager.onGuildJoin(guild);
-      this.metrics.serversManaged++;
+      await this.manageGuild(guild);
+    });
+
+    // Guilds from READY arrive as guildAvailable, and again after each outage
+    this.client.on('guildAvailable', async (guild) => {
+      if (this.managedGuilds.has(guild.id)) return;
+
+      console.log(`📈 Guild available: ${guild.name} (${guild.member_count} members)`);
+      await this.manageGuild(guild);
     });
 
     this.client.on('guildDelete', async (guild) => {
       console.log(`📉 Left guild: ${guild.name}`);
+      this.managedGuilds.delete(guild.id);
       await this.serverManager.onGuildLeave(guild);
     });
 
+    // AutoMod triggers
+    this.client.on('autoModerationActionExecution', async (execution) => {
+      try {
+        await this.serverManager.handleAutoModExecution(execution);
+      } catch (error) {
+        console.error('❌ AutoMod execution handling failed:', error);
+      }
+    });
+
     // Error handling
     this.client.on('error', async (error) => {
       console.error('❌ Discord client error:', error);
       await this.handleSystemError(error, { source: 'discord_client' });
     });
 
+    // A sharded client reports each shard's errors (fatal close codes included) as shardError
+    this.client.on('shardError', async (error, shardId) => {
+      console.error(`❌ Discord shard ${shardId} error:`, error);
+      await this.handleSystemError(error, { source: 'discord_client', shardId });
+    });
+
     // Reconnection handling
     this.client.on('disconnect', () => {
       console.log('🔄 Discord connection lost, attempting to reconnect...');
@@ -255,7 +322,11 @@ export class DiscordCore {
           break;
 
         case 3: // MESSAGE_COMPONENT (buttons, select menus)
-          await this.commands.handleComponent(interaction);
+          if (interaction.data?.custom_id?.startsWith('aiplan_')) {
+            await this.serverManager.handlePlanComponent(interaction);
+          } else {
+            await this.commands.handleComponent(interaction);
+          }
           break;
 
         case 4: // APPLICATION_COMMAND_AUTOCOMPLETE
@@ -290,11 +361,13 @@ export class DiscordCore {
    * Handle regular messages with natural language processing
    */
   async handleMessage(message) {
-    // Skip if not mentioned or in DM
+    // Skip if not mentioned, in DM or in an /ai chat thread
+    const channelId = message.channel_id || message.channel?.id;
     const isMentioned = message.mentions?.users?.has?.(this.botUser?.id) || false;
     const isDM = message.channel?.type === 1;
+    const isChatThread = this.commands.chatThreads.has(channelId);
 
-    if (!isMentioned && !isDM) return;
+    if (!isMentioned && !isDM && !isChatThread) return;
 
     console.log(`💬 Processing message from ${message.author?.username}: "${message.content}"`);
 
@@ -303,8 +376,8 @@ export class DiscordCore {
       const intent = await this.nlp.analyzeIntent(
         message.content,
         message.author?.username || 'Unknown User',
-        message.channel?.id,
-        { guildId: message.guild?.id }
+        channelId,
+        { guildId: message.guild_id || message.guild?.id }
       );
 
       // Generate AI response based on intent
@@ -316,7 +389,7 @@ export class DiscordCore {
 
       // Send response
       if (response && response.trim()) {
-        await this.client.sendMessage(message.channel.id, response);
+        await this.client.sendMessage(channelId, response);
       }
 
       this.metrics.intelligentDecisions++;
@@ -324,7 +397,7 @@ export class DiscordCore {
     } catch (error) {
       console.error('❌ Message processing failed:', error);
       try {
-        await this.client.sendMessage(message.channel.id,
+        await this.client.sendMessage(channelId,
           'I encountered an issue processing your message, but I\'m learning from it!'
         );
       } catch (sendError) {
@@ -337,7 +410,10 @@ export class DiscordCore {
    * Handle interaction errors gracefully - FIXED
    */
   async handleInteractionError(interaction, error) {
-    const errorMessage = 'An error occurred while processing your request. The issue has been logged and will be addressed.';
+    // Discord errors can tell the user what went wrong (e.g. "Missing Permissions on channel 123")
+    const errorMessage = error instanceof DiscordAPIError || error instanceof RateLimitError
+      ? `❌ ${describeError(error)}`
+      : 'An error occurred while processing your request. The issue has been logged and will be addressed.';
 
     try {
       // FIX: Use Discord API directly instead of interaction methods
@@ -518,6 +594,14 @@ export class DiscordCore {
     console.error(`🚨 System error:`, error);
 
     try {
+      // Discord REST errors have known recoveries, no AI analysis needed
+      const recovery = await this.recoverFromDiscordError(error);
+
+      if (recovery) {
+        this.logErrorForLearning(error, context, recovery);
+        return;
+      }
+
       // Generate AI error analysis
       const errorAnalysis = await this.ai.analyzeSystemError(error, context);
 
@@ -534,6 +618,58 @@ export class DiscordCore {
     }
   }
 
+  /**
+   * Recover from typed Discord errors by code, returns null for anything else
+   */
+  async recoverFromDiscordError(error) {
+    if (error instanceof RateLimitError) {
+      // The client's rate limiter already waits out the limit
+      console.warn(`⏳ Rate limited on ${error.route}, retry after ${error.retryAfter}ms`);
+      return { category: 'rate_limit', action: 'wait' };
+    }
+
+    if (error instanceof NetworkError) {
+      // A scheduled or running reconnect would race a second one
+      if (!this.client.connected && !this.client.isReconnecting()) {
+        await this.client.reconnect();
+      }
+      return { category: 'network', action: 'reconnect' };
+    }
+
+    if (!(error instanceof DiscordAPIError)) {
+      return null;
+    }
+
+    const targets = getRouteTargets(error.endpoint);
+
+    switch (error.code) {
+      // The entity is gone, drop it so we stop acting on it
+      case DiscordErrorCodes.UNKNOWN_CHANNEL:
+        this.client.channels.delete(targets.channel);
+        return { category: 'stale_cache', action: 'evict_channel' };
+
+      case DiscordErrorCodes.UNKNOWN_GUILD:
+        this.client.guilds.delete(targets.guild);
+        return { category: 'stale_cache', action: 'evict_guild' };
+
+      case DiscordErrorCodes.UNKNOWN_USER:
+        this.client.users.delete(targets.user);
+        return { category: 'stale_cache', action: 'evict_user' };
+
+      case DiscordErrorCodes.MISSING_ACCESS:
+      case DiscordErrorCodes.MISSING_PERMISSIONS:
+        console.warn(`🔒 ${error.describe()} (${error.method} ${error.route})`);
+        return { category: 'permissions', action: 'report' };
+
+      case DiscordErrorCodes.UNAUTHORIZED:
+        console.error('🔑 Bot token rejected by Discord, check BOT_TOKEN');
+        return { category: 'authentication', action: 'report' };
+
+      default:
+        return null;
+    }
+  }
+
   /**
    * Attempt self-healing from errors
    */
@@ -548,7 +684,11 @@ export class DiscordCore {
       } else if (strategy.includes('cache')) {
         await this.clearSystemCache();
       } else if (strategy.includes('reconnect')) {
-        await this.client.reconnect();
+        if (this.client.isReconnecting()) {
+          console.log('🔄 Reconnect already in progress, skipping');
+        } else {
+          await this.client.reconnect();
+        }
       }
 
       console.log(`✅ Self-healing completed`);
@@ -631,6 +771,7 @@ export class DiscordCore {
       this.isActive = false;
 
       // Disconnect from Discord
+      this.presence.stop();
       this.client.disconnect();
 
       // Shutdown AI systems
@@ -1,6 +1,101 @@
 // modules/discord-client.js - Discord Gateway Client (Bot Token Only) - FIXED
 import { EventEmitter } from 'events';
+import { readFile } from 'fs/promises';
+import path from 'path';
 import WebSocket from 'ws';
+import { JSONCodec, ZlibStreamInflater, validateCodec } from './gateway-codec.js';
+import { EntityCache } from './entity-cache.js';
+import { DiscordAPIError, HTTPError, RateLimitError, NetworkError } from './discord-errors.js';
+import { compareSnowflakes, getSnowflakeTimestamp, parseDuration } from './discord-utils.js';
+
+// Gateway close codes and their meaning
+const GATEWAY_CLOSE_CODES = {
+  4000: 'Unknown error',
+  4001: 'Unknown opcode',
+  4002: 'Decode error',
+  4003: 'Not authenticated',
+  4004: 'Authentication failed',
+  4005: 'Already authenticated',
+  4007: 'Invalid seq',
+  4008: 'Rate limited',
+  4009: 'Session timed out',
+  4010: 'Invalid shard',
+  4011: 'Sharding required',
+  4012: 'Invalid API version',
+  4013: 'Invalid intent(s)',
+  4014: 'Disallowed intent(s)'
+};
+
+// Close codes that will never succeed on retry
+const FATAL_CLOSE_CODES = new Set([4004, 4010, 4011, 4012, 4013, 4014]);
+
+// Close codes that invalidate the session and require a fresh identify
+const REIDENTIFY_CLOSE_CODES = new Set([1000, 1001, 4007, 4009]);
+
+// Upload limits for message attachments (per file size applies to unboosted guilds)
+const MAX_UPLOAD_SIZE = 10 * 1024 * 1024;
+const MAX_ATTACHMENTS = 10;
+
+// Discord truncates audit log reasons at 512 characters
+const MAX_AUDIT_LOG_REASON = 512;
+
+// Bulk delete only accepts 2-100 messages younger than 14 days
+const BULK_DELETE_MAX_AGE = 14 * 24 * 60 * 60 * 1000;
+const BULK_DELETE_MAX = 100;
+
+// Members can be timed out for at most 28 days, bulk bans take 200 users
+const MAX_TIMEOUT_DURATION = 28 * 24 * 60 * 60 * 1000;
+const BULK_BAN_MAX = 200;
+
+// Discord closes connections sending over 120 gateway events per 60 seconds;
+// queued sends leave room for heartbeats, identifies and resumes
+const GATEWAY_SEND_LIMIT = 120;
+const GATEWAY_SEND_WINDOW = 60000;
+const GATEWAY_SEND_RESERVED = 10;
+
+// Request Guild Members (op 8) limits
+const MEMBER_REQUEST_MAX_USER_IDS = 100;
+const MEMBER_REQUEST_TIMEOUT = 30000;
+
+// Presence statuses and activity types
+const PRESENCE_STATUSES = ['online', 'idle', 'dnd', 'invisible'];
+export const ActivityType = { PLAYING: 0, STREAMING: 1, LISTENING: 2, WATCHING: 3, CUSTOM: 4, COMPETING: 5 };
+const MAX_ACTIVITY_NAME = 128;
+const STREAM_URL = /^https:\/\/(www\.)?(twitch\.tv|youtube\.com)\//;
+
+// Scheduled event entity types and statuses
+export const ScheduledEventEntityType = { STAGE_INSTANCE: 1, VOICE: 2, EXTERNAL: 3 };
+export const ScheduledEventStatus = { SCHEDULED: 1, ACTIVE: 2, COMPLETED: 3, CANCELED: 4 };
+const SCHEDULED_EVENT_PRIVACY_GUILD_ONLY = 2;
+
+// AutoMod trigger, action and preset types
+export const AutoModTriggerType = { KEYWORD: 1, SPAM: 3, KEYWORD_PRESET: 4, MENTION_SPAM: 5, MEMBER_PROFILE: 6 };
+export const AutoModActionType = { BLOCK_MESSAGE: 1, SEND_ALERT_MESSAGE: 2, TIMEOUT: 3, BLOCK_MEMBER_INTERACTION: 4 };
+export const AutoModKeywordPreset = { PROFANITY: 1, SEXUAL_CONTENT: 2, SLURS: 3 };
+const AUTOMOD_EVENT_MESSAGE_SEND = 1;
+const AUTOMOD_EVENT_MEMBER_UPDATE = 2;
+
+// Intents whose events keep each cache up to date (for requireIntents policies)
+const CACHE_INTENTS = {
+  guilds: 1 << 0, // GUILDS
+  channels: 1 << 0, // GUILDS
+  users: 1 << 1 // GUILD_MEMBERS
+};
+
+/**
+ * Convert a gateway dispatch name to its client event name (GUILD_DELETE -> guildDelete)
+ */
+export function toEventName(dispatch) {
+  return dispatch.toLowerCase().replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * Encode an emoji for reaction routes (custom emojis as name:id)
+ */
+function encodeEmoji(emoji) {
+  const custom = /^<?(?:a?:)?(\w+):(\d+)>?$/.exec(emoji);
+  return encodeURIComponent(custom ? `${custom[1]}:${custom[2]}` : emoji);
+}
 
 export class DiscordClient extends EventEmitter {
   constructor(options = {}) {
@@ -8,43 +103,106 @@ export class DiscordClient extends EventEmitter {
 
     this.token = null;
     this.user = null;
-    this.guilds = new Map();
-    this.channels = new Map();
-    this.users = new Map();
 
     // Client configuration
     this.options = {
       intents: options.intents || 0,
+      shardId: options.shardId || 0,
       shardCount: options.shardCount || 1,
+      restRetries: options.restRetries ?? 3,
+      maxUploadSize: options.maxUploadSize || MAX_UPLOAD_SIZE,
+      compress: options.compress || false, // false, 'zlib-stream'
       ...options
     };
 
+    // Entity caches
+    this.createCaches(options.cache || {});
+
     // Connection state
     this.ws = null;
     this.sessionId = null;
     this.lastSequence = null;
+    this.resumeGatewayURL = null;
     this.heartbeatInterval = null;
+    this.heartbeatTimeout = null;
+    this.lastHeartbeatSent = 0;
+    this.lastHeartbeatAcked = true;
+    this.ping = -1;
     this.connected = false;
 
+    // Reconnect state
+    this.shouldReconnect = false;
+    this.resuming = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimeout = null;
+    this.invalidSessionTimeout = null;
+
+    // Rejects the connectGateway() promise while it waits for READY
+    this.rejectConnect = null;
+
+    // Last presence set, sent again on identify and after resumes
+    this.presence = null;
+
+    // Gateway sends within the current rate limit window, and sends waiting for room
+    this.gatewaySendTimes = [];
+    this.gatewayQueue = [];
+    this.gatewayQueueTimer = null;
+
+    // Pending Request Guild Members calls, keyed by nonce
+    this.memberRequests = new Map();
+    this.memberRequestNonce = 0;
+
     // API configuration
     this.apiVersion = '10';
     this.baseURL = `https://discord.com/api/v${this.apiVersion}`;
-    this.gatewayURL = 'wss://gateway.discord.gg/?v=10&encoding=json';
+
+    // Gateway payload codec and transport compression
+    this.codec = validateCodec(options.codec || JSONCodec);
+    this.inflater = null;
+    this.gatewayURL = this.buildGatewayURL(options.gatewayURL || 'wss://gateway.discord.gg');
 
     // Rate limiting
     this.rateLimits = new Map();
+    this.bucketHashes = new Map();
+    this.bucketQueues = new Map();
     this.requestQueue = [];
+    this.globalRateLimitReset = 0;
   }
 
   /**
-   * Login to Discord using bot token
+   * Create the entity caches; guilds and channels are kept complete by the gateway,
+   * users are bounded by the global maxSize/ttl unless configured otherwise
    */
-  async login(token) {
-    if (!token || !token.startsWith('Bot ')) {
-      token = `Bot ${token}`;
+  createCaches(cache) {
+    this.guilds = this.createCache('guilds', cache.guilds);
+    this.channels = this.createCache('channels', cache.channels);
+    this.users = this.createCache('users', {
+      maxSize: cache.maxSize,
+      ttl: cache.ttl,
+      ...cache.users
+    });
+  }
+
+  /**
+   * Create an entity cache from a policy (false disables it)
+   */
+  createCache(name, policy = {}) {
+    if (policy === false) {
+      policy = { enabled: false };
     }
 
-    this.token = token;
+    // Without the covering intent the cache would silently go stale
+    const required = CACHE_INTENTS[name];
+    const covered = !policy.requireIntents || (this.options.intents & required) === required;
+
+    return new EntityCache({ ...policy, enabled: (policy.enabled ?? true) && covered });
+  }
+
+  /**
+   * Login to Discord using bot token
+   */
+  async login(token) {
+    this.setToken(token);
 
     console.log('🔐 Authenticating with Discord...');
 
@@ -65,53 +223,265 @@ export class DiscordClient extends EventEmitter {
     }
   }
 
+  /**
+   * Set the bot token used for REST and gateway authentication
+   */
+  setToken(token) {
+    if (!token || !token.startsWith('Bot ')) {
+      token = `Bot ${token}`;
+    }
+
+    this.token = token;
+  }
+
+  /**
+   * Get recommended shard count and session start limits
+   */
+  async getGatewayBot() {
+    return this.api('gateway/bot');
+  }
+
+  /**
+   * Build a gateway URL with version, encoding and compression parameters
+   */
+  buildGatewayURL(baseURL) {
+    const params = new URLSearchParams({ v: this.apiVersion, encoding: this.codec.encoding });
+
+    if (this.options.compress === 'zlib-stream') {
+      params.set('compress', 'zlib-stream');
+    }
+
+    return `${baseURL.replace(/\/?(\?.*)?$/, '')}/?${params}`;
+  }
+
   /**
    * Connect to Discord Gateway
    */
   async connectGateway() {
     return new Promise((resolve, reject) => {
+      const onReady = (data) => {
+        this.rejectConnect = null;
+        resolve(data);
+      };
+
+      // Settle once: fatal closes and socket errors before READY reject
+      this.rejectConnect = (error) => {
+        this.off('ready', onReady);
+        this.rejectConnect = null;
+        reject(error);
+      };
+
       try {
-        console.log('🌐 Connecting to Discord Gateway...');
+        this.shouldReconnect = true;
 
-        // Create WebSocket connection
-        this.ws = new WebSocket(this.gatewayURL);
+        // Resolve when ready
+        this.once('ready', onReady);
 
-        this.ws.on('open', () => {
-          console.log('📡 Gateway connection established');
-          this.sendIdentify();
-        });
+        this.openGatewaySocket(this.gatewayURL, this.rejectConnect);
 
-        this.ws.on('message', (data) => {
-          try {
-            const message = data.toString();
-            this.handleGatewayMessage(JSON.parse(message));
-          } catch (error) {
-            console.error('❌ Failed to parse gateway message:', error);
-          }
-        });
+      } catch (error) {
+        console.error('❌ Gateway connection failed:', error);
+        this.rejectConnect?.(error);
+      }
+    });
+  }
 
-        this.ws.on('close', (code) => {
-          console.log(`🔌 Gateway connection closed (${code})`);
-          this.connected = false;
-          this.emit('disconnect', code);
+  /**
+   * Open a gateway WebSocket and wire its handlers
+   */
+  openGatewaySocket(url, onError = null) {
+    console.log('🌐 Connecting to Discord Gateway...');
 
-          // Auto-reconnect logic
-          setTimeout(() => this.connectGateway(), 5000);
-        });
+    // Create WebSocket connection
+    const ws = new WebSocket(url);
+    this.ws = ws;
 
-        this.ws.on('error', (error) => {
-          console.error('❌ Gateway error:', error);
-          reject(error);
-        });
+    // Each connection has its own send rate limit
+    this.gatewaySendTimes = [];
 
-        // Resolve when ready
-        this.once('ready', resolve);
+    // Each connection gets a fresh zlib context
+    this.inflater?.close();
+    this.inflater = this.options.compress === 'zlib-stream' ? new ZlibStreamInflater() : null;
+    const inflater = this.inflater;
+
+    ws.on('open', () => {
+      console.log('📡 Gateway connection established');
+      // Identify or resume is sent once Hello (op 10) arrives
+    });
+
+    ws.on('message', async (data) => {
+      if (ws !== this.ws) return;
 
+      let message;
+
+      try {
+        message = inflater ? await inflater.push(data) : data;
       } catch (error) {
-        console.error('❌ Gateway connection failed:', error);
-        reject(error);
+        // A failed inflate corrupts the shared zlib context, resume on a fresh connection
+        console.error('❌ Failed to inflate gateway message, reconnecting:', error.message);
+        if (ws === this.ws) ws.close(4000, 'Corrupt zlib stream');
+        return;
+      }
+
+      // Compressed messages may span several frames
+      if (message === null || ws !== this.ws) return;
+
+      try {
+        this.handleGatewayMessage(this.codec.decode(message));
+      } catch (error) {
+        console.error('❌ Failed to decode gateway message:', error);
       }
     });
+
+    ws.on('close', (code) => {
+      // Ignore close events from sockets we have already replaced
+      if (ws !== this.ws) return;
+      this.handleGatewayClose(code);
+    });
+
+    ws.on('error', (error) => {
+      console.error('❌ Gateway error:', error);
+      if (onError && this.rejectConnect === onError) onError(error);
+    });
+
+    return ws;
+  }
+
+  /**
+   * Handle gateway close and decide whether to resume, re-identify or stop
+   */
+  handleGatewayClose(code) {
+    console.log(`🔌 Gateway connection closed (${code})`);
+    this.connected = false;
+    this.stopHeartbeat();
+    this.clearInvalidSessionTimeout();
+    this.emit('disconnect', code);
+
+    if (!this.shouldReconnect) return;
+
+    const action = this.classifyCloseCode(code);
+
+    if (action === 'fatal') {
+      this.shouldReconnect = false;
+      console.error(`❌ Gateway closed with fatal code ${code} (${GATEWAY_CLOSE_CODES[code] || 'unknown'}), not reconnecting`);
+
+      const error = new Error(`Gateway closed with fatal code ${code}: ${GATEWAY_CLOSE_CODES[code] || 'unknown'}`);
+      this.rejectConnect?.(error);
+      this.emit('error', error);
+      return;
+    }
+
+    if (action === 'reidentify') {
+      this.resetSession();
+    }
+
+    this.scheduleReconnect(action === 'resume');
+  }
+
+  /**
+   * Classify a gateway close code as 'fatal', 'reidentify' or 'resume'
+   */
+  classifyCloseCode(code) {
+    if (FATAL_CLOSE_CODES.has(code)) {
+      return 'fatal';
+    }
+
+    if (REIDENTIFY_CLOSE_CODES.has(code) || !this.canResume()) {
+      return 'reidentify';
+    }
+
+    return 'resume';
+  }
+
+  /**
+   * Check whether the current session can be resumed
+   */
+  canResume() {
+    return Boolean(this.sessionId && this.lastSequence !== null);
+  }
+
+  /**
+   * Forget the current session so the next connection identifies fresh
+   */
+  resetSession() {
+    this.sessionId = null;
+    this.lastSequence = null;
+    this.resumeGatewayURL = null;
+  }
+
+  /**
+   * Schedule a reconnect with exponential backoff
+   */
+  scheduleReconnect(resume = true) {
+    if (this.reconnectTimeout) {
+      clearTimeout(this.reconnectTimeout);
+    }
+
+    const delay = Math.min(1000 * 2 ** this.reconnectAttempts, 30000);
+    this.reconnectAttempts++;
+    this.resuming = resume && this.canResume();
+
+    console.log(`🔄 ${this.resuming ? 'Resuming' : 'Reconnecting'} gateway session in ${delay}ms...`);
+
+    this.reconnectTimeout = setTimeout(() => {
+      this.reconnectTimeout = null;
+      if (!this.shouldReconnect) return;
+
+      const url = this.resuming && this.resumeGatewayURL
+        ? this.buildGatewayURL(this.resumeGatewayURL)
+        : this.gatewayURL;
+
+      this.openGatewaySocket(url);
+    }, delay);
+  }
+
+  /**
+   * Close the current socket and reconnect, optionally resuming the session
+   */
+  reconnectGateway(resume = true) {
+    const ws = this.ws;
+
+    // Detach first so the old socket's close event is ignored
+    this.ws = null;
+    this.connected = false;
+    this.stopHeartbeat();
+    this.clearInvalidSessionTimeout();
+
+    if (ws) {
+      try {
+        // Non-1000 close codes keep the session resumable
+        ws.close(resume ? 4000 : 1000);
+      } catch (error) {
+        console.warn(`⚠️ Failed to close gateway socket: ${error.message}`);
+      }
+    }
+
+    if (!resume) {
+      this.resetSession();
+    }
+
+    this.scheduleReconnect(resume);
+  }
+
+  /**
+   * Identify once the shard manager's identify queue allows it (immediately without one)
+   */
+  async queueIdentify() {
+    const ws = this.ws;
+
+    if (this.options.identifyQueue) {
+      try {
+        await this.options.identifyQueue(this.options.shardId);
+      } catch (error) {
+        this.emit('error', error);
+        return;
+      }
+    }
+
+    // The socket may have been replaced while waiting
+    if (ws === this.ws) {
+      this.sendIdentify();
+    }
   }
 
   /**
@@ -130,15 +500,90 @@ export class DiscordClient extends EventEmitter {
         },
         compress: false,
         large_threshold: 50,
-        shard: [0, this.options.shardCount]
+        shard: [this.options.shardId, this.options.shardCount],
+        presence: this.presence || undefined
       }
     };
 
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify(identify));
+    this.sendPayload(identify);
+  }
+
+  /**
+   * Encode and send a gateway payload, returning whether it was sent
+   */
+  sendPayload(payload) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      return false;
+    }
+
+    this.ws.send(this.codec.encode(payload));
+    this.gatewaySendTimes.push(Date.now());
+    return true;
+  }
+
+  /**
+   * Send a payload once the connection's rate limit has room, resolving with whether it was sent
+   * For requests that can wait; heartbeats, identifies and resumes use sendPayload() directly
+   */
+  queuePayload(payload) {
+    return new Promise((resolve) => {
+      this.gatewayQueue.push({ payload, resolve });
+      this.drainGatewayQueue();
+    });
+  }
+
+  /**
+   * Send queued payloads while the rate limit window has room
+   */
+  drainGatewayQueue() {
+    if (this.gatewayQueueTimer) return;
+
+    while (this.gatewayQueue.length > 0) {
+      const now = Date.now();
+      this.gatewaySendTimes = this.gatewaySendTimes.filter(time => now - time < GATEWAY_SEND_WINDOW);
+
+      if (this.gatewaySendTimes.length >= GATEWAY_SEND_LIMIT - GATEWAY_SEND_RESERVED) {
+        this.gatewayQueueTimer = setTimeout(() => {
+          this.gatewayQueueTimer = null;
+          this.drainGatewayQueue();
+        }, this.gatewaySendTimes[0] + GATEWAY_SEND_WINDOW - now);
+        return;
+      }
+
+      const { payload, resolve } = this.gatewayQueue.shift();
+      resolve(this.sendPayload(payload));
+    }
+  }
+
+  /**
+   * Drop queued payloads, resolving them as not sent
+   */
+  clearGatewayQueue() {
+    clearTimeout(this.gatewayQueueTimer);
+    this.gatewayQueueTimer = null;
+
+    for (const { resolve } of this.gatewayQueue.splice(0)) {
+      resolve(false);
     }
   }
 
+  /**
+   * Send resume payload
+   */
+  sendResume() {
+    const resume = {
+      op: 6,
+      d: {
+        token: this.token,
+        session_id: this.sessionId,
+        seq: this.lastSequence
+      }
+    };
+
+    console.log(`🔁 Resuming session ${this.sessionId} at sequence ${this.lastSequence}`);
+    this.sendPayload(resume);
+  }
+
   /**
    * Handle gateway messages
    */
@@ -155,14 +600,30 @@ export class DiscordClient extends EventEmitter {
         break;
 
       case 1: // Heartbeat request
-        this.sendHeartbeat();
+        this.sendHeartbeat(true);
+        break;
+
+      case 7: // Reconnect
+        console.log('🔄 Gateway requested reconnect');
+        this.reconnectGateway(true);
+        break;
+
+      case 9: // Invalid Session
+        this.handleInvalidSession(d);
         break;
 
       case 10: // Hello
         this.startHeartbeat(d.heartbeat_interval);
+
+        if (this.resuming && this.canResume()) {
+          this.sendResume();
+        } else {
+          this.queueIdentify();
+        }
         break;
 
       case 11: // Heartbeat ACK
+        this.handleHeartbeatAck();
         break;
 
       default:
@@ -170,6 +631,43 @@ export class DiscordClient extends EventEmitter {
     }
   }
 
+  /**
+   * Handle invalid session (op 9)
+   */
+  handleInvalidSession(resumable) {
+    console.warn(`⚠️ Gateway session invalidated (resumable: ${resumable})`);
+
+    if (!resumable) {
+      this.resetSession();
+    }
+
+    this.resuming = resumable && this.canResume();
+
+    // Discord asks for a random 1-5 second wait before identifying again
+    const delay = 1000 + Math.floor(Math.random() * 4000);
+
+    this.clearInvalidSessionTimeout();
+    this.invalidSessionTimeout = setTimeout(() => {
+      this.invalidSessionTimeout = null;
+
+      if (this.resuming) {
+        this.sendResume();
+      } else {
+        this.queueIdentify();
+      }
+    }, delay);
+  }
+
+  /**
+   * Cancel a pending identify or resume after an invalid session
+   */
+  clearInvalidSessionTimeout() {
+    if (this.invalidSessionTimeout) {
+      clearTimeout(this.invalidSessionTimeout);
+      this.invalidSessionTimeout = null;
+    }
+  }
+
   /**
    * Handle dispatch events
    */
@@ -177,23 +675,114 @@ export class DiscordClient extends EventEmitter {
     switch (event) {
       case 'READY':
         this.handleReady(data);
-        break;
+        return;
+
+      case 'RESUMED':
+        this.handleResumed();
+        return;
 
       case 'GUILD_CREATE':
         this.handleGuildCreate(data);
+        return;
+
+      case 'GUILD_DELETE':
+        this.handleGuildDelete(data);
+        return;
+
+      case 'GUILD_UPDATE':
+        this.guilds.set(data.id, { ...this.guilds.get(data.id), ...data });
         break;
 
-      case 'INTERACTION_CREATE':
-        this.emit('interactionCreate', data);
+      case 'CHANNEL_CREATE':
+      case 'CHANNEL_UPDATE':
+      case 'THREAD_CREATE':
+      case 'THREAD_UPDATE':
+        this.cacheChannel(data);
         break;
 
-      case 'MESSAGE_CREATE':
-        this.emit('messageCreate', data);
+      case 'CHANNEL_DELETE':
+      case 'THREAD_DELETE':
+        this.uncacheChannel(data);
         break;
 
-      default:
-        this.emit(event.toLowerCase(), data);
+      case 'THREAD_LIST_SYNC':
+        this.handleThreadListSync(data);
+        break;
+
+      case 'THREAD_MEMBER_UPDATE':
+        this.patchChannel(data.id, { member: data });
+        break;
+
+      case 'THREAD_MEMBERS_UPDATE':
+        this.handleThreadMembersUpdate(data);
+        break;
+
+      case 'GUILD_ROLE_CREATE':
+      case 'GUILD_ROLE_UPDATE':
+        this.cacheGuildEntity(data.guild_id, 'roles', data.role);
+        break;
+
+      case 'GUILD_ROLE_DELETE':
+        this.uncacheGuildEntity(data.guild_id, 'roles', data.role_id);
+        break;
+
+      case 'GUILD_MEMBER_ADD':
+        this.cacheMember(data.guild_id, data);
+        this.patchMemberCount(data.guild_id, 1);
+        break;
+
+      case 'GUILD_MEMBER_UPDATE':
+        this.cacheMember(data.guild_id, data);
+        break;
+
+      case 'GUILD_MEMBER_REMOVE':
+        this.uncacheGuildEntity(data.guild_id, 'members', data.user.id);
+        this.patchMemberCount(data.guild_id, -1);
+        break;
+
+      case 'GUILD_MEMBERS_CHUNK':
+        this.cacheMembers(data.guild_id, data.members);
+        this.handleMembersChunk(data);
+        break;
+
+      case 'GUILD_SCHEDULED_EVENT_CREATE':
+      case 'GUILD_SCHEDULED_EVENT_UPDATE':
+        this.cacheGuildEntity(data.guild_id, 'guild_scheduled_events', data);
+        break;
+
+      case 'GUILD_SCHEDULED_EVENT_DELETE':
+        this.uncacheGuildEntity(data.guild_id, 'guild_scheduled_events', data.id);
+        break;
+
+      case 'GUILD_SCHEDULED_EVENT_USER_ADD':
+      case 'GUILD_SCHEDULED_EVENT_USER_REMOVE':
+        this.patchScheduledEventUserCount(data, event.endsWith('_ADD') ? 1 : -1);
+        break;
+
+      case 'AUTO_MODERATION_RULE_CREATE':
+      case 'AUTO_MODERATION_RULE_UPDATE':
+        this.cacheGuildEntity(data.guild_id, 'auto_moderation_rules', data);
+        break;
+
+      case 'AUTO_MODERATION_RULE_DELETE':
+        this.uncacheGuildEntity(data.guild_id, 'auto_moderation_rules', data.id);
+        break;
+
+      case 'GUILD_EMOJIS_UPDATE':
+        this.patchGuild(data.guild_id, { emojis: data.emojis });
+        break;
+
+      case 'USER_UPDATE':
+        this.user = { ...this.user, ...data };
+        this.users.set(data.id, this.user);
+        break;
+
+      case 'MESSAGE_CREATE':
+        if (data.author) this.cacheUser(data.author);
+        break;
     }
+
+    this.emit(toEventName(event), data);
   }
 
   /**
@@ -204,70 +793,442 @@ export class DiscordClient extends EventEmitter {
 
     this.user = data.user;
     this.sessionId = data.session_id;
+    this.resumeGatewayURL = data.resume_gateway_url || null;
     this.connected = true;
+    this.resuming = false;
+    this.reconnectAttempts = 0;
 
-    // Cache guilds
+    // Cache guilds (unavailable until their GUILD_CREATE arrives)
     for (const guild of data.guilds) {
       this.guilds.set(guild.id, guild);
     }
 
+    this.cacheUser(data.user);
+
     this.emit('ready');
   }
 
+  /**
+   * Handle resumed event
+   */
+  handleResumed() {
+    console.log(`🟢 Session resumed (${this.sessionId})`);
+
+    this.connected = true;
+    this.resuming = false;
+    this.reconnectAttempts = 0;
+
+    // Keep the presence in sync with what was set while disconnected
+    if (this.presence) {
+      this.sendPayload({ op: 3, d: this.presence });
+    }
+
+    this.emit('reconnect');
+  }
+
   /**
    * Handle guild create
    */
   handleGuildCreate(guild) {
+    const wasUnavailable = this.guilds.get(guild.id)?.unavailable === true;
     this.guilds.set(guild.id, guild);
 
-    // Cache channels
-    if (guild.channels) {
-      for (const channel of guild.channels) {
-        this.channels.set(channel.id, channel);
-      }
+    // Cache channels and threads
+    for (const channel of [...(guild.channels || []), ...(guild.threads || [])]) {
+      this.channels.set(channel.id, { ...channel, guild_id: guild.id });
     }
 
-    this.emit('guildCreate', guild);
+    // Cache member users
+    for (const member of guild.members || []) {
+      if (member.user) this.cacheUser(member.user);
+    }
+
+    // Guilds from READY or an outage become available rather than newly joined
+    this.emit(wasUnavailable ? 'guildAvailable' : 'guildCreate', guild);
   }
 
   /**
-   * Start heartbeat
+   * Handle guild delete (removed from guild, or guild outage)
    */
-  startHeartbeat(interval) {
-    this.heartbeatInterval = setInterval(() => {
+  handleGuildDelete(data) {
+    const guild = this.guilds.get(data.id) || data;
+
+    if (data.unavailable) {
+      this.guilds.set(data.id, { ...guild, unavailable: true });
+      this.emit('guildUnavailable', guild);
+      return;
+    }
+
+    this.guilds.delete(data.id);
+
+    for (const [channelId, channel] of this.channels) {
+      if (channel.guild_id === data.id) {
+        this.channels.delete(channelId);
+      }
+    }
+
+    this.emit('guildDelete', guild);
+  }
+
+  /**
+   * Cache a guild channel or thread
+   */
+  cacheChannel(channel) {
+    this.channels.set(channel.id, { ...this.channels.get(channel.id), ...channel });
+
+    if (channel.guild_id) {
+      const key = channel.thread_metadata ? 'threads' : 'channels';
+      this.cacheGuildEntity(channel.guild_id, key, channel);
+    }
+  }
+
+  /**
+   * Remove a guild channel or thread from the cache
+   */
+  uncacheChannel(channel) {
+    this.channels.delete(channel.id);
+
+    if (channel.guild_id) {
+      this.uncacheGuildEntity(channel.guild_id, 'channels', channel.id);
+      this.uncacheGuildEntity(channel.guild_id, 'threads', channel.id);
+    }
+  }
+
+  /**
+   * Merge fields into a cached channel or thread
+   */
+  patchChannel(channelId, data) {
+    const channel = this.channels.get(channelId);
+    if (channel) {
+      this.cacheChannel({ ...channel, ...data });
+    }
+  }
+
+  /**
+   * Replace cached threads when gaining access to channels (THREAD_LIST_SYNC)
+   */
+  handleThreadListSync(data) {
+    const parents = data.channel_ids ? new Set(data.channel_ids) : null;
+
+    // Drop threads in the synced parents, the payload holds every active one
+    for (const [channelId, channel] of this.channels) {
+      if (channel.guild_id === data.guild_id && channel.thread_metadata &&
+          (!parents || parents.has(channel.parent_id))) {
+        this.uncacheChannel(channel);
+      }
+    }
+
+    const members = new Map((data.members || []).map(member => [member.id, member]));
+
+    for (const thread of data.threads || []) {
+      this.cacheChannel({ ...thread, guild_id: data.guild_id, member: members.get(thread.id) });
+    }
+  }
+
+  /**
+   * Track thread membership changes (THREAD_MEMBERS_UPDATE)
+   */
+  handleThreadMembersUpdate(data) {
+    const thread = this.channels.get(data.id);
+    if (!thread) return;
+
+    const update = { member_count: data.member_count };
+    const botId = this.user?.id;
+
+    if (data.added_members?.some(member => member.user_id === botId)) {
+      update.member = data.added_members.find(member => member.user_id === botId);
+    }
+
+    if (data.removed_member_ids?.includes(botId)) {
+      update.member = null;
+    }
+
+    this.patchChannel(data.id, update);
+  }
+
+  /**
+   * Cache a guild member and its user
+   */
+  cacheMember(guildId, member) {
+    if (member.user) this.cacheUser(member.user);
+
+    this.cacheGuildEntity(guildId, 'members', member, member.user?.id);
+  }
+
+  /**
+   * Cache many members of a guild at once
+   */
+  cacheMembers(guildId, members) {
+    for (const member of members) {
+      if (member.user) this.cacheUser(member.user);
+    }
+
+    const guild = this.guilds.get(guildId);
+    if (!guild) return;
+
+    const merged = new Map((guild.members || []).map(member => [member.user?.id, member]));
+    for (const member of members) {
+      merged.set(member.user.id, { ...merged.get(member.user.id), ...member });
+    }
+
+    guild.members = Array.from(merged.values());
+  }
+
+  /**
+   * Cache a user
+   */
+  cacheUser(user) {
+    this.users.set(user.id, { ...this.users.get(user.id), ...user });
+  }
+
+  /**
+   * Merge fields into a cached guild
+   */
+  patchGuild(guildId, data) {
+    const guild = this.guilds.get(guildId);
+    if (guild) {
+      this.guilds.set(guildId, { ...guild, ...data });
+    }
+  }
+
+  /**
+   * Insert or update an entity in one of a cached guild's collections
+   */
+  cacheGuildEntity(guildId, key, entity, id = entity.id) {
+    const guild = this.guilds.get(guildId);
+    if (!guild) return;
+
+    const getId = (item) => item.id ?? item.user?.id;
+    const items = guild[key] || [];
+    const index = items.findIndex(item => getId(item) === id);
+
+    guild[key] = index === -1
+      ? [...items, entity]
+      : items.map((item, i) => (i === index ? { ...item, ...entity } : item));
+  }
+
+  /**
+   * Keep a cached guild's member_count in step with joins and leaves
+   */
+  patchMemberCount(guildId, delta) {
+    const guild = this.guilds.get(guildId);
+    if (typeof guild?.member_count === 'number') {
+      guild.member_count = Math.max(0, guild.member_count + delta);
+    }
+  }
+
+  /**
+   * Track subscriber counts on cached scheduled events
+   */
+  patchScheduledEventUserCount({ guild_id, guild_scheduled_event_id }, delta) {
+    const scheduledEvent = this.guilds.get(guild_id)?.guild_scheduled_events
+      ?.find(item => item.id === guild_scheduled_event_id);
+
+    if (scheduledEvent) {
+      this.cacheGuildEntity(guild_id, 'guild_scheduled_events', {
+        id: guild_scheduled_event_id,
+        user_count: Math.max(0, (scheduledEvent.user_count || 0) + delta)
+      });
+    }
+  }
+
+  /**
+   * Remove an entity from one of a cached guild's collections
+   */
+  uncacheGuildEntity(guildId, key, id) {
+    const guild = this.guilds.get(guildId);
+    if (!guild?.[key]) return;
+
+    guild[key] = guild[key].filter(item => (item.id ?? item.user?.id) !== id);
+  }
+
+  /**
+   * Start heartbeat
+   */
+  startHeartbeat(interval) {
+    // Only one heartbeat timer may exist per connection
+    this.stopHeartbeat();
+    this.lastHeartbeatAcked = true;
+
+    // First beat waits interval * jitter as the gateway requires
+    const jitter = Math.random();
+
+    this.heartbeatTimeout = setTimeout(() => {
+      this.heartbeatTimeout = null;
       this.sendHeartbeat();
-    }, interval);
+
+      this.heartbeatInterval = setInterval(() => {
+        this.sendHeartbeat();
+      }, interval);
+    }, Math.floor(interval * jitter));
+  }
+
+  /**
+   * Stop heartbeat
+   */
+  stopHeartbeat() {
+    if (this.heartbeatTimeout) {
+      clearTimeout(this.heartbeatTimeout);
+      this.heartbeatTimeout = null;
+    }
+
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+    }
   }
 
   /**
    * Send heartbeat
    */
-  sendHeartbeat() {
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify({
-        op: 1,
-        d: this.lastSequence
-      }));
+  sendHeartbeat(requested = false) {
+    // A missed ACK on a scheduled beat means the connection is zombied
+    if (!requested && !this.lastHeartbeatAcked) {
+      console.warn('⚠️ Heartbeat ACK not received, connection zombied - reconnecting');
+      this.emit('zombie');
+      this.reconnectGateway(true);
+      return;
+    }
+
+    const sent = this.sendPayload({
+      op: 1,
+      d: this.lastSequence
+    });
+
+    if (sent) {
+      this.lastHeartbeatAcked = false;
+      this.lastHeartbeatSent = Date.now();
+    }
+  }
+
+  /**
+   * Handle heartbeat ACK
+   */
+  handleHeartbeatAck() {
+    this.lastHeartbeatAcked = true;
+
+    if (this.lastHeartbeatSent) {
+      this.ping = Date.now() - this.lastHeartbeatSent;
     }
   }
 
   /**
-   * Set bot presence
+   * Set bot presence (validated, and re-applied after reconnects)
    */
   async setPresence(presence) {
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify({
-        op: 3,
-        d: presence
-      }));
+    this.presence = this.buildPresence(presence);
+
+    this.sendPayload({
+      op: 3,
+      d: this.presence
+    });
+
+    return this.presence;
+  }
+
+  /**
+   * Set a single activity, keeping the current status
+   *
+   * @param {string} name - Activity text (the status text for custom activities)
+   * @param {Object} options
+   * @param {string|number} options.type - playing, streaming, listening, watching, custom or competing
+   * @param {string} options.url - Twitch or YouTube URL for streaming activities
+   */
+  async setActivity(name, { type = 'playing', url } = {}) {
+    return this.setPresence({
+      ...this.presence,
+      activities: name ? [{ name, type, url }] : []
+    });
+  }
+
+  /**
+   * Set the status, keeping the current activities
+   */
+  async setStatus(status) {
+    return this.setPresence({ ...this.presence, status });
+  }
+
+  /**
+   * Validate a presence and convert it to the gateway format
+   * Accepts activities (or a single activity) as objects or plain strings
+   */
+  buildPresence({ status = 'online', activities, activity, afk = false, since = null } = {}) {
+    if (!PRESENCE_STATUSES.includes(status)) {
+      throw new TypeError(`Invalid status "${status}", expected one of ${PRESENCE_STATUSES.join(', ')}`);
     }
+
+    const list = activities ?? (activity ? [activity] : []);
+
+    return {
+      since,
+      activities: list.map(item => this.buildActivity(item)),
+      status,
+      afk
+    };
+  }
+
+  /**
+   * Validate a single activity
+   */
+  buildActivity(activity) {
+    const { name, type = 'playing', url, state } = typeof activity === 'string' ? { name: activity } : activity;
+    const typeId = typeof type === 'number' ? type : ActivityType[String(type).toUpperCase()];
+
+    if (!Object.values(ActivityType).includes(typeId)) {
+      throw new TypeError(`Invalid activity type "${type}", expected one of ${Object.keys(ActivityType).join(', ').toLowerCase()}`);
+    }
+
+    if (!name || typeof name !== 'string') {
+      throw new TypeError('Activities need a name');
+    }
+
+    if (name.length > MAX_ACTIVITY_NAME) {
+      throw new RangeError(`Activity names can be at most ${MAX_ACTIVITY_NAME} characters`);
+    }
+
+    // Custom statuses show their state, the name is required but hidden
+    if (typeId === ActivityType.CUSTOM) {
+      return { name: 'Custom Status', type: typeId, state: state || name };
+    }
+
+    if (typeId === ActivityType.STREAMING) {
+      if (!STREAM_URL.test(url || '')) {
+        throw new TypeError('Streaming activities need a Twitch or YouTube URL');
+      }
+
+      return { name, type: typeId, url };
+    }
+
+    return state ? { name, type: typeId, state } : { name, type: typeId };
   }
 
   /**
    * Discord API request handler - FIXED
    */
   async api(endpoint, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const routeId = this.getRouteIdentifier(method, endpoint);
+    const majorParameter = this.getMajorParameter(endpoint);
+
+    // Read attachments up front so retries can resend them
+    const files = options.files?.length
+      ? await this.resolveFiles(options.files, options.maxFileSize)
+      : null;
+
+    // Requests sharing a bucket run one at a time so they can't stampede
+    const queueKey = this.getQueueKey(routeId, majorParameter);
+
+    return this.enqueueRequest(queueKey, { method, endpoint }, () =>
+      this.executeRequest(endpoint, { ...options, method, files }, routeId, majorParameter)
+    );
+  }
+
+  /**
+   * Perform a REST request, retrying on 429 responses
+   */
+  async executeRequest(endpoint, options, routeId, majorParameter) {
     const url = `${this.baseURL}/${endpoint}`;
+    const maxRetries = options.retries ?? this.options.restRetries;
 
     const headers = {
       'Authorization': this.token,
@@ -276,103 +1237,690 @@ export class DiscordClient extends EventEmitter {
       ...options.headers
     };
 
-    // Rate limiting check
-    await this.checkRateLimit(endpoint);
+    // Attachments are sent as multipart/form-data with the JSON body in payload_json
+    if (options.files) {
+      delete headers['Content-Type'];
+    }
 
-    try {
-      const fetch = globalThis.fetch || (await import('node-fetch')).default;
+    // Headers must be ASCII, so the audit log reason is URL-encoded
+    if (options.reason) {
+      headers['X-Audit-Log-Reason'] = encodeURIComponent(String(options.reason).slice(0, MAX_AUDIT_LOG_REASON));
+    }
 
-      const response = await fetch(url, {
-        method: options.method || 'GET',
-        headers,
-        body: options.body ? JSON.stringify(options.body) : undefined
-      });
+    const body = options.files
+      ? this.buildMultipartBody(endpoint, options.body, options.files)
+      : options.body ? JSON.stringify(options.body) : undefined;
 
-      // Update rate limits
-      this.updateRateLimit(endpoint, response.headers);
+    const request = { method: options.method, route: routeId, endpoint, requestBody: options.body };
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        let errorData;
+    for (let attempt = 0; ; attempt++) {
+      // Rate limiting check
+      await this.checkRateLimit(this.getBucketKey(routeId, majorParameter));
+
+      try {
+        const fetch = globalThis.fetch || (await import('node-fetch')).default;
+        let response;
 
         try {
-          errorData = JSON.parse(errorText);
-        } catch {
-          errorData = { message: errorText || `HTTP ${response.status}` };
+          response = await fetch(url, {
+            method: options.method,
+            headers,
+            body
+          });
+        } catch (error) {
+          throw new NetworkError(error, request);
+        }
+
+        // Update rate limits
+        this.updateRateLimit(routeId, majorParameter, response.headers);
+
+        if (response.status === 429) {
+          const rateLimit = await this.handleRateLimited(response, routeId, majorParameter, endpoint, options.method);
+
+          if (attempt < maxRetries) {
+            continue;
+          }
+
+          throw new RateLimitError({ ...rateLimit, route: routeId, requestBody: options.body });
         }
 
-        throw new Error(`Discord API Error: ${response.status} - ${JSON.stringify(errorData)}`);
+        if (!response.ok) {
+          const errorText = await response.text();
+          let errorData = null;
+
+          try {
+            errorData = JSON.parse(errorText);
+          } catch {
+            // Not a Discord JSON error (proxy or outage page)
+          }
+
+          if (errorData && typeof errorData === 'object') {
+            throw new DiscordAPIError(errorData, { ...request, status: response.status });
+          }
+
+          throw new HTTPError(`HTTP ${response.status} ${response.statusText}`.trim(), { ...request, status: response.status });
+        }
+
+        // FIX: Handle empty responses from Discord API
+        const responseText = await response.text();
+
+        if (!responseText || responseText.trim() === '') {
+          // Some Discord API endpoints return empty responses on success (like interaction callbacks)
+          return null;
+        }
+
+        try {
+          return JSON.parse(responseText);
+        } catch (parseError) {
+          console.warn(`⚠️ Failed to parse Discord API response as JSON: ${responseText}`);
+          return null;
+        }
+
+      } catch (error) {
+        console.error(`❌ API Error [${endpoint}]:`, error.message);
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Read a file given as a Buffer, stream or explicit { path } into a Buffer
+   * Plain strings are refused so message payloads built from untrusted input
+   * (AI plans, user options) can't read files from the host
+   */
+  async resolveFile(attachment) {
+    if (Buffer.isBuffer(attachment)) {
+      return attachment;
+    }
+
+    if (attachment instanceof Uint8Array || attachment instanceof ArrayBuffer) {
+      return Buffer.from(attachment);
+    }
+
+    if (typeof attachment?.[Symbol.asyncIterator] === 'function') {
+      const chunks = [];
+      for await (const chunk of attachment) {
+        chunks.push(Buffer.from(chunk));
       }
+      return Buffer.concat(chunks);
+    }
+
+    if (typeof attachment?.path === 'string') {
+      return readFile(attachment.path);
+    }
+
+    if (typeof attachment === 'string') {
+      throw new TypeError('File paths must be given as { path }, plain strings are not read from disk');
+    }
 
-      // FIX: Handle empty responses from Discord API
-      const responseText = await response.text();
+    throw new TypeError('File must be a Buffer, stream or { path }');
+  }
 
-      if (!responseText || responseText.trim() === '') {
-        // Some Discord API endpoints return empty responses on success (like interaction callbacks)
-        return null;
+  /**
+   * Resolve message files ({ attachment, name, description }, { path, name } or a bare Buffer/stream)
+   */
+  async resolveFiles(files, maxFileSize = this.options.maxUploadSize) {
+    if (files.length > MAX_ATTACHMENTS) {
+      throw new RangeError(`Messages can have at most ${MAX_ATTACHMENTS} attachments (got ${files.length})`);
+    }
+
+    return Promise.all(files.map(async (file, index) => {
+      const source = file?.attachment ?? file?.data ?? file;
+      const data = await this.resolveFile(source);
+
+      let name = file?.name || (typeof source?.path === 'string' ? path.basename(source.path) : `file-${index}`);
+      if (file?.spoiler && !name.startsWith('SPOILER_')) {
+        name = `SPOILER_${name}`;
       }
 
-      try {
-        return JSON.parse(responseText);
-      } catch (parseError) {
-        console.warn(`⚠️ Failed to parse Discord API response as JSON: ${responseText}`);
-        return null;
+      if (data.length > maxFileSize) {
+        throw new RangeError(`File ${name} is ${data.length} bytes, over the ${maxFileSize} byte upload limit`);
       }
 
-    } catch (error) {
-      console.error(`❌ API Error [${endpoint}]:`, error.message);
-      throw error;
+      return { id: index, name, description: file?.description, data };
+    }));
+  }
+
+  /**
+   * Build a multipart/form-data body with payload_json and files[n] parts
+   */
+  buildMultipartBody(endpoint, body = {}, files) {
+    const attachments = files.map(({ id, name, description }) => ({ id, filename: name, description }));
+
+    // Interaction callbacks nest the message under data
+    const payload = /^interactions\/\d+\/[^/]+\/callback/.test(endpoint)
+      ? { ...body, data: { ...body.data, attachments: [...(body.data?.attachments || []), ...attachments] } }
+      : { ...body, attachments: [...(body.attachments || []), ...attachments] };
+
+    const form = new FormData();
+    form.append('payload_json', JSON.stringify(payload));
+
+    for (const file of files) {
+      form.append(`files[${file.id}]`, new Blob([file.data]), file.name);
+    }
+
+    return form;
+  }
+
+  /**
+   * Serialize a request behind others in the same bucket
+   */
+  enqueueRequest(queueKey, request, task) {
+    const entry = { ...request, bucket: queueKey, queuedAt: Date.now() };
+    this.requestQueue.push(entry);
+
+    const previous = this.bucketQueues.get(queueKey) || Promise.resolve();
+    const run = previous.then(task);
+    const tail = run.catch(() => {});
+
+    this.bucketQueues.set(queueKey, tail);
+
+    return run.finally(() => {
+      const index = this.requestQueue.indexOf(entry);
+      if (index !== -1) this.requestQueue.splice(index, 1);
+
+      if (this.bucketQueues.get(queueKey) === tail) {
+        this.bucketQueues.delete(queueKey);
+      }
+    });
+  }
+
+  /**
+   * Rate limiting management
+   */
+  async checkRateLimit(bucketKey) {
+    // Global limit blocks every bucket
+    if (this.globalRateLimitReset > Date.now()) {
+      const waitTime = this.globalRateLimitReset - Date.now();
+      console.log(`⏳ Globally rate limited, waiting ${waitTime}ms`);
+      await this.delay(waitTime);
+    }
+
+    const rateLimit = this.rateLimits.get(bucketKey);
+
+    if (rateLimit && rateLimit.remaining <= 0 && rateLimit.resetTime > Date.now()) {
+      const waitTime = rateLimit.resetTime - Date.now();
+      console.log(`⏳ Rate limited on ${bucketKey}, waiting ${waitTime}ms`);
+      await this.delay(waitTime);
+      rateLimit.remaining = rateLimit.limit;
+    }
+  }
+
+  updateRateLimit(routeId, majorParameter, headers) {
+    const bucketHash = headers.get('x-ratelimit-bucket');
+
+    // Routes Discord reports no bucket for are their own bucket
+    if (bucketHash || !this.bucketHashes.has(routeId)) {
+      this.bucketHashes.set(routeId, bucketHash || routeId);
     }
+
+    const remaining = headers.get('x-ratelimit-remaining');
+    const resetAfter = headers.get('x-ratelimit-reset-after');
+
+    if (remaining === null || resetAfter === null) return;
+
+    this.rateLimits.set(this.getBucketKey(routeId, majorParameter), {
+      limit: parseInt(headers.get('x-ratelimit-limit')) || 1,
+      remaining: parseInt(remaining),
+      resetTime: Date.now() + (parseFloat(resetAfter) * 1000)
+    });
+  }
+
+  /**
+   * Record a 429 response so the retry waits the right amount of time
+   */
+  async handleRateLimited(response, routeId, majorParameter, endpoint, method) {
+    let body = {};
+
+    try {
+      body = JSON.parse(await response.text());
+    } catch {
+      // Cloudflare bans return HTML instead of JSON
+    }
+
+    const retryAfterSeconds = body.retry_after ?? parseFloat(response.headers.get('retry-after'));
+    const retryAfter = (Number.isFinite(retryAfterSeconds) ? retryAfterSeconds : 1) * 1000;
+    const global = response.headers.get('x-ratelimit-global') === 'true' || body.global === true;
+    const scope = response.headers.get('x-ratelimit-scope') || (global ? 'global' : 'user');
+    const bucketKey = this.getBucketKey(routeId, majorParameter);
+
+    if (global) {
+      this.globalRateLimitReset = Date.now() + retryAfter;
+    } else {
+      const existing = this.rateLimits.get(bucketKey);
+      this.rateLimits.set(bucketKey, {
+        limit: existing?.limit || 1,
+        remaining: 0,
+        resetTime: Date.now() + retryAfter
+      });
+    }
+
+    const rateLimit = { method, endpoint, bucket: bucketKey, retryAfter, global, scope };
+
+    console.warn(`⚠️ Rate limited (${scope}) on ${method} ${endpoint}, retrying in ${retryAfter}ms`);
+    this.emit('rateLimit', rateLimit);
+
+    return rateLimit;
+  }
+
+  getRouteKey(endpoint) {
+    return endpoint.split('/').slice(0, 2).join('/');
+  }
+
+  /**
+   * Get the top-level resource id that scopes a bucket (guild, channel or webhook)
+   */
+  getMajorParameter(endpoint) {
+    const path = endpoint.split('?')[0];
+    const match = path.match(/^(guilds|channels|webhooks)\/(\d+)(?:\/([^/]+))?/);
+
+    if (!match) return 'global';
+
+    // Webhook buckets are scoped by id and token
+    if (match[1] === 'webhooks' && match[3]) {
+      return `${match[2]}/${match[3]}`;
+    }
+
+    return match[2];
+  }
+
+  /**
+   * Build a route template with ids replaced, e.g. "DELETE channels/:id/messages/:id"
+   */
+  getRouteIdentifier(method, endpoint) {
+    const segments = endpoint.split('?')[0].split('/');
+
+    const route = segments.map((segment, index) => {
+      if (/^\d+$/.test(segment)) return ':id';
+
+      // Interaction and webhook tokens are not part of the route
+      if (index === 2 && (segments[0] === 'webhooks' || segments[0] === 'interactions')) return ':token';
+
+      if (index > 0 && segments[index - 1] === 'reactions') return ':reaction';
+
+      return segment;
+    }).join('/');
+
+    return `${method} ${route}`;
+  }
+
+  /**
+   * Resolve the bucket key, preferring the hash Discord reported for the route
+   */
+  getBucketKey(routeId, majorParameter) {
+    const bucketHash = this.bucketHashes.get(routeId) || routeId;
+    return `${bucketHash}:${majorParameter}`;
+  }
+
+  /**
+   * Resolve the request queue, falling back to the major parameter until the route's bucket is known
+   * (routes sharing a bucket can't be told apart before Discord reports its hash)
+   */
+  getQueueKey(routeId, majorParameter) {
+    return this.bucketHashes.has(routeId)
+      ? this.getBucketKey(routeId, majorParameter)
+      : `unknown:${majorParameter}`;
+  }
+
+  /**
+   * Utility delay function
+   */
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Create DM channel
+   */
+  async createDM(userId) {
+    return this.api('users/@me/channels', {
+      method: 'POST',
+      body: { recipient_id: userId }
+    });
+  }
+
+  /**
+   * Send message
+   */
+  async sendMessage(channelId, content) {
+    const { files, ...body } = typeof content === 'string' ? { content } : content;
+
+    return this.api(`channels/${channelId}/messages`, {
+      method: 'POST',
+      body,
+      files
+    });
+  }
+
+  /**
+   * Execute a webhook (wait returns the created message)
+   */
+  async executeWebhook(webhookId, webhookToken, content, { wait = false, threadId = null } = {}) {
+    const { files, ...body } = typeof content === 'string' ? { content } : content;
+    const query = new URLSearchParams({ wait: String(wait) });
+    if (threadId) query.set('thread_id', threadId);
+
+    return this.api(`webhooks/${webhookId}/${webhookToken}?${query}`, {
+      method: 'POST',
+      body,
+      files
+    });
+  }
+
+  /**
+   * Get a single message
+   */
+  async getMessage(channelId, messageId) {
+    return this.api(`channels/${channelId}/messages/${messageId}`);
+  }
+
+  /**
+   * Get one page of channel history (limit 1-100, one of before/after/around)
+   */
+  async getMessages(channelId, { limit = 50, before, after, around } = {}) {
+    const query = new URLSearchParams({ limit: String(Math.min(Math.max(limit, 1), 100)) });
+
+    if (around) query.set('around', around);
+    else if (after) query.set('after', after);
+    else if (before) query.set('before', before);
+
+    return this.api(`channels/${channelId}/messages?${query}`);
+  }
+
+  /**
+   * Iterate channel history across pages
+   * Newest first by default; with `after` messages are yielded oldest first
+   *
+   * @example
+   * for await (const message of client.iterateMessages(channelId, { limit: 500 })) { ... }
+   */
+  async *iterateMessages(channelId, { limit = 100, before, after } = {}) {
+    const forward = Boolean(after);
+    let cursor = forward ? after : before;
+    let remaining = limit;
+
+    while (remaining > 0) {
+      const pageSize = Math.min(remaining, 100);
+      const page = await this.getMessages(channelId, {
+        limit: pageSize,
+        [forward ? 'after' : 'before']: cursor
+      });
+
+      if (!page?.length) return;
+
+      // Discord returns newest first, sort explicitly so the cursor is reliable
+      const sorted = [...page].sort((a, b) => {
+        const order = compareSnowflakes(a.id, b.id);
+        return forward ? order : -order;
+      });
+
+      for (const message of sorted) {
+        yield message;
+      }
+
+      remaining -= sorted.length;
+      cursor = sorted[sorted.length - 1].id;
+
+      if (page.length < pageSize) return;
+    }
+  }
+
+  /**
+   * Edit a message
+   */
+  async editMessage(channelId, messageId, content) {
+    const { files, ...body } = typeof content === 'string' ? { content } : content;
+
+    return this.api(`channels/${channelId}/messages/${messageId}`, {
+      method: 'PATCH',
+      body,
+      files
+    });
+  }
+
+  /**
+   * Delete a message
+   */
+  async deleteMessage(channelId, messageId, reason = null) {
+    return this.api(`channels/${channelId}/messages/${messageId}`, {
+      method: 'DELETE',
+      reason
+    });
+  }
+
+  /**
+   * Bulk delete messages (ids or message objects)
+   * Messages older than 14 days can't be bulk deleted and are returned in tooOld
+   */
+  async bulkDeleteMessages(channelId, messages, { reason = null } = {}) {
+    const ids = [...new Set(messages.map(message => (typeof message === 'string' ? message : message.id)))];
+    const cutoff = Date.now() - BULK_DELETE_MAX_AGE;
+
+    const deletable = ids.filter(id => getSnowflakeTimestamp(id) > cutoff);
+    const tooOld = ids.filter(id => getSnowflakeTimestamp(id) <= cutoff);
+    const deleted = [];
+
+    for (let index = 0; index < deletable.length; index += BULK_DELETE_MAX) {
+      const chunk = deletable.slice(index, index + BULK_DELETE_MAX);
+
+      // The bulk endpoint rejects fewer than 2 messages
+      if (chunk.length === 1) {
+        await this.deleteMessage(channelId, chunk[0], reason);
+      } else {
+        await this.api(`channels/${channelId}/messages/bulk-delete`, {
+          method: 'POST',
+          body: { messages: chunk },
+          reason
+        });
+      }
+
+      deleted.push(...chunk);
+    }
+
+    return { deleted, tooOld };
+  }
+
+  /**
+   * Crosspost a message in an announcement channel to following channels
+   */
+  async crosspostMessage(channelId, messageId) {
+    return this.api(`channels/${channelId}/messages/${messageId}/crosspost`, {
+      method: 'POST'
+    });
+  }
+
+  /**
+   * Get pinned messages
+   */
+  async getPinnedMessages(channelId) {
+    return this.api(`channels/${channelId}/pins`);
+  }
+
+  /**
+   * Pin a message
+   */
+  async pinMessage(channelId, messageId, reason = null) {
+    return this.api(`channels/${channelId}/pins/${messageId}`, {
+      method: 'PUT',
+      reason
+    });
+  }
+
+  /**
+   * Unpin a message
+   */
+  async unpinMessage(channelId, messageId, reason = null) {
+    return this.api(`channels/${channelId}/pins/${messageId}`, {
+      method: 'DELETE',
+      reason
+    });
+  }
+
+  /**
+   * Add a reaction as the bot (unicode emoji, name:id or <:name:id>)
+   */
+  async addReaction(channelId, messageId, emoji) {
+    return this.api(`channels/${channelId}/messages/${messageId}/reactions/${encodeEmoji(emoji)}/@me`, {
+      method: 'PUT'
+    });
+  }
+
+  /**
+   * Remove a reaction (the bot's own unless a user id is given)
+   */
+  async removeReaction(channelId, messageId, emoji, userId = '@me') {
+    return this.api(`channels/${channelId}/messages/${messageId}/reactions/${encodeEmoji(emoji)}/${userId}`, {
+      method: 'DELETE'
+    });
+  }
+
+  /**
+   * Remove all reactions, or all reactions for one emoji
+   */
+  async removeAllReactions(channelId, messageId, emoji = null) {
+    const endpoint = emoji
+      ? `channels/${channelId}/messages/${messageId}/reactions/${encodeEmoji(emoji)}`
+      : `channels/${channelId}/messages/${messageId}/reactions`;
+
+    return this.api(endpoint, { method: 'DELETE' });
+  }
+
+  /**
+   * Get users who reacted with an emoji
+   */
+  async getReactions(channelId, messageId, emoji, { limit = 25, after } = {}) {
+    const query = new URLSearchParams({ limit: String(limit) });
+    if (after) query.set('after', after);
+
+    return this.api(`channels/${channelId}/messages/${messageId}/reactions/${encodeEmoji(emoji)}?${query}`);
+  }
+
+  /**
+   * Start a thread from an existing message
+   */
+  async startThreadFromMessage(channelId, messageId, options, reason = null) {
+    const thread = await this.api(`channels/${channelId}/messages/${messageId}/threads`, {
+      method: 'POST',
+      body: typeof options === 'string' ? { name: options } : options,
+      reason
+    });
+
+    this.cacheChannel(thread);
+    return thread;
+  }
+
+  /**
+   * Start a thread without a message (type 11 public, 12 private)
+   */
+  async startThread(channelId, options, reason = null) {
+    const thread = await this.api(`channels/${channelId}/threads`, {
+      method: 'POST',
+      body: { type: 11, ...(typeof options === 'string' ? { name: options } : options) },
+      reason
+    });
+
+    this.cacheChannel(thread);
+    return thread;
+  }
+
+  /**
+   * Start a forum or media channel post ({ name, message, applied_tags, files })
+   */
+  async startForumThread(channelId, { files, ...options }, reason = null) {
+    const thread = await this.api(`channels/${channelId}/threads`, {
+      method: 'POST',
+      body: options,
+      files,
+      reason
+    });
+
+    this.cacheChannel(thread);
+    return thread;
+  }
+
+  /**
+   * Join a thread
+   */
+  async joinThread(threadId) {
+    return this.api(`channels/${threadId}/thread-members/@me`, {
+      method: 'PUT'
+    });
+  }
+
+  /**
+   * Leave a thread
+   */
+  async leaveThread(threadId) {
+    return this.api(`channels/${threadId}/thread-members/@me`, {
+      method: 'DELETE'
+    });
   }
 
   /**
-   * Rate limiting management
+   * Add a member to a thread
    */
-  async checkRateLimit(endpoint) {
-    const route = this.getRouteKey(endpoint);
-    const rateLimit = this.rateLimits.get(route);
+  async addThreadMember(threadId, userId) {
+    return this.api(`channels/${threadId}/thread-members/${userId}`, {
+      method: 'PUT'
+    });
+  }
 
-    if (rateLimit && rateLimit.resetTime > Date.now()) {
-      const waitTime = rateLimit.resetTime - Date.now();
-      console.log(`⏳ Rate limited on ${route}, waiting ${waitTime}ms`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-    }
+  /**
+   * Remove a member from a thread
+   */
+  async removeThreadMember(threadId, userId) {
+    return this.api(`channels/${threadId}/thread-members/${userId}`, {
+      method: 'DELETE'
+    });
   }
 
-  updateRateLimit(endpoint, headers) {
-    const route = this.getRouteKey(endpoint);
-    const remaining = parseInt(headers.get('x-ratelimit-remaining')) || 1;
-    const resetAfter = parseInt(headers.get('x-ratelimit-reset-after')) || 1;
+  /**
+   * Get thread members
+   */
+  async getThreadMembers(threadId) {
+    return this.api(`channels/${threadId}/thread-members`);
+  }
 
-    if (remaining === 0) {
-      this.rateLimits.set(route, {
-        resetTime: Date.now() + (resetAfter * 1000)
-      });
-    }
+  /**
+   * Archive or unarchive a thread
+   */
+  async archiveThread(threadId, archived = true, reason = null) {
+    return this.modifyChannel(threadId, { archived }, reason);
   }
 
-  getRouteKey(endpoint) {
-    return endpoint.split('/').slice(0, 2).join('/');
+  /**
+   * Lock or unlock a thread (locked threads can only be unarchived by moderators)
+   */
+  async lockThread(threadId, locked = true, reason = null) {
+    return this.modifyChannel(threadId, { locked }, reason);
   }
 
   /**
-   * Create DM channel
+   * Get all active threads in a guild and cache them
    */
-  async createDM(userId) {
-    return this.api('users/@me/channels', {
-      method: 'POST',
-      body: { recipient_id: userId }
-    });
+  async getActiveThreads(guildId) {
+    const { threads = [], members = [] } = await this.api(`guilds/${guildId}/threads/active`) || {};
+    const membership = new Map(members.map(member => [member.id, member]));
+
+    for (const thread of threads) {
+      this.cacheChannel({ ...thread, member: membership.get(thread.id) });
+    }
+
+    return threads;
   }
 
   /**
-   * Send message
+   * Get archived threads in a channel (public, private or joined private)
    */
-  async sendMessage(channelId, content) {
-    return this.api(`channels/${channelId}/messages`, {
-      method: 'POST',
-      body: typeof content === 'string' ? { content } : content
-    });
+  async getArchivedThreads(channelId, { type = 'public', before, limit = 50 } = {}) {
+    const query = new URLSearchParams({ limit: String(limit) });
+    if (before) query.set('before', before);
+
+    const endpoint = type === 'joined'
+      ? `channels/${channelId}/users/@me/threads/archived/private`
+      : `channels/${channelId}/threads/archived/${type}`;
+
+    return this.api(`${endpoint}?${query}`);
   }
 
   /**
@@ -395,89 +1943,213 @@ export class DiscordClient extends EventEmitter {
   /**
    * Modify guild
    */
-  async modifyGuild(guildId, options) {
+  async modifyGuild(guildId, options, reason = null) {
     return this.api(`guilds/${guildId}`, {
       method: 'PATCH',
-      body: options
+      body: options,
+      reason
     });
   }
 
   /**
    * Create channel
    */
-  async createChannel(guildId, options) {
+  async createChannel(guildId, options, reason = null) {
     return this.api(`guilds/${guildId}/channels`, {
       method: 'POST',
-      body: options
+      body: options,
+      reason
     });
   }
 
   /**
    * Modify channel
    */
-  async modifyChannel(channelId, options) {
+  async modifyChannel(channelId, options, reason = null) {
     return this.api(`channels/${channelId}`, {
       method: 'PATCH',
-      body: options
+      body: options,
+      reason
     });
   }
 
   /**
    * Delete channel
    */
-  async deleteChannel(channelId) {
+  async deleteChannel(channelId, reason = null) {
     return this.api(`channels/${channelId}`, {
-      method: 'DELETE'
+      method: 'DELETE',
+      reason
     });
   }
 
   /**
    * Create role
    */
-  async createRole(guildId, options) {
+  async createRole(guildId, options, reason = null) {
     return this.api(`guilds/${guildId}/roles`, {
       method: 'POST',
-      body: options
+      body: options,
+      reason
     });
   }
 
   /**
    * Modify role
    */
-  async modifyRole(guildId, roleId, options) {
+  async modifyRole(guildId, roleId, options, reason = null) {
     return this.api(`guilds/${guildId}/roles/${roleId}`, {
       method: 'PATCH',
-      body: options
+      body: options,
+      reason
     });
   }
 
   /**
    * Delete role
    */
-  async deleteRole(guildId, roleId) {
+  async deleteRole(guildId, roleId, reason = null) {
     return this.api(`guilds/${guildId}/roles/${roleId}`, {
-      method: 'DELETE'
+      method: 'DELETE',
+      reason
     });
   }
 
   /**
    * Add member role
    */
-  async addMemberRole(guildId, userId, roleId) {
+  async addMemberRole(guildId, userId, roleId, reason = null) {
     return this.api(`guilds/${guildId}/members/${userId}/roles/${roleId}`, {
-      method: 'PUT'
+      method: 'PUT',
+      reason
     });
   }
 
   /**
    * Remove member role
    */
-  async removeMemberRole(guildId, userId, roleId) {
+  async removeMemberRole(guildId, userId, roleId, reason = null) {
     return this.api(`guilds/${guildId}/members/${userId}/roles/${roleId}`, {
-      method: 'DELETE'
+      method: 'DELETE',
+      reason
+    });
+  }
+
+  /**
+   * Request guild members over the gateway (op 8), resolving once every chunk arrived
+   * Without a query or userIds this requests every member (needs the GUILD_MEMBERS intent)
+   *
+   * @param {Object} options
+   * @param {string} options.guildId - Guild to request members from
+   * @param {string} options.query - Username prefix to match ('' for all members)
+   * @param {string[]} options.userIds - Specific members to fetch (batched by 100)
+   * @param {number} options.limit - Max members for a query (0 for no limit)
+   * @param {boolean} options.presences - Attach each member's presence (needs GUILD_PRESENCES)
+   * @param {number} options.timeout - Fail if no chunk arrives for this many ms
+   */
+  async requestGuildMembers({ guildId, query, userIds, limit = 0, presences = false, timeout = MEMBER_REQUEST_TIMEOUT }) {
+    if (userIds?.length > MEMBER_REQUEST_MAX_USER_IDS) {
+      const batches = [];
+      for (let index = 0; index < userIds.length; index += MEMBER_REQUEST_MAX_USER_IDS) {
+        batches.push(userIds.slice(index, index + MEMBER_REQUEST_MAX_USER_IDS));
+      }
+
+      const results = await Promise.all(batches.map(batch =>
+        this.requestGuildMembers({ guildId, userIds: batch, presences, timeout })
+      ));
+      return results.flat();
+    }
+
+    // Nonces are limited to 32 bytes
+    const nonce = `${Date.now().toString(36)}${(++this.memberRequestNonce).toString(36)}`;
+    const request = { guild_id: guildId, presences, nonce };
+
+    if (userIds?.length) {
+      request.user_ids = userIds;
+    } else {
+      request.query = query || '';
+      request.limit = limit;
+    }
+
+    return new Promise((resolve, reject) => {
+      const pending = {
+        guildId,
+        members: [],
+        presences: [],
+        chunks: 0,
+        timeout,
+        timer: null,
+        resolve,
+        reject
+      };
+
+      this.memberRequests.set(nonce, pending);
+
+      // The idle timeout starts once the request leaves the send queue
+      this.queuePayload({ op: 8, d: request }).then(sent => {
+        if (sent) {
+          this.resetMemberRequestTimer(nonce);
+        } else {
+          this.rejectMemberRequest(nonce, new Error('Gateway is not connected'));
+        }
+      });
     });
   }
 
+  /**
+   * Collect a GUILD_MEMBERS_CHUNK into its pending request
+   */
+  handleMembersChunk(data) {
+    const pending = this.memberRequests.get(data.nonce);
+    if (!pending) return;
+
+    pending.members.push(...data.members);
+    pending.presences.push(...(data.presences || []));
+    pending.chunks++;
+
+    // Chunks may arrive in any order, so count them instead of trusting chunk_index
+    if (pending.chunks < data.chunk_count) {
+      this.resetMemberRequestTimer(data.nonce);
+      return;
+    }
+
+    clearTimeout(pending.timer);
+    this.memberRequests.delete(data.nonce);
+
+    if (pending.presences.length === 0) {
+      pending.resolve(pending.members);
+      return;
+    }
+
+    const presences = new Map(pending.presences.map(presence => [presence.user.id, presence]));
+    pending.resolve(pending.members.map(member => ({ ...member, presence: presences.get(member.user.id) || null })));
+  }
+
+  /**
+   * Restart a member request's idle timeout (large guilds send many chunks)
+   */
+  resetMemberRequestTimer(nonce) {
+    const pending = this.memberRequests.get(nonce);
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    pending.timer = setTimeout(() => {
+      this.rejectMemberRequest(nonce, new Error(`Timed out waiting for members of guild ${pending.guildId}`));
+    }, pending.timeout);
+  }
+
+  /**
+   * Fail a pending member request
+   */
+  rejectMemberRequest(nonce, error) {
+    const pending = this.memberRequests.get(nonce);
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    this.memberRequests.delete(nonce);
+    pending.reject(error);
+  }
+
   /**
    * Get guild members
    */
@@ -491,7 +2163,7 @@ export class DiscordClient extends EventEmitter {
   async kickMember(guildId, userId, reason = null) {
     return this.api(`guilds/${guildId}/members/${userId}`, {
       method: 'DELETE',
-      headers: reason ? { 'X-Audit-Log-Reason': reason } : {}
+      reason
     });
   }
 
@@ -499,35 +2171,379 @@ export class DiscordClient extends EventEmitter {
    * Ban member
    */
   async banMember(guildId, userId, options = {}) {
+    const { reason = null, ...body } = options;
+
     return this.api(`guilds/${guildId}/bans/${userId}`, {
       method: 'PUT',
-      body: options
+      body,
+      reason
+    });
+  }
+
+  /**
+   * Time out a member (duration in ms, a string like "10m", a Date, or null to clear)
+   */
+  async timeoutMember(guildId, userId, duration, reason = null) {
+    let until = null;
+
+    if (duration instanceof Date) {
+      until = duration;
+    } else if (duration !== null) {
+      const ms = parseDuration(duration);
+      if (ms === null) {
+        throw new RangeError(`Invalid timeout duration: ${duration}`);
+      }
+      until = new Date(Date.now() + ms);
+    }
+
+    if (until && until.getTime() - Date.now() > MAX_TIMEOUT_DURATION) {
+      throw new RangeError('Timeouts can last at most 28 days');
+    }
+
+    return this.api(`guilds/${guildId}/members/${userId}`, {
+      method: 'PATCH',
+      body: { communication_disabled_until: until ? until.toISOString() : null },
+      reason
+    });
+  }
+
+  /**
+   * Remove a member's timeout
+   */
+  async removeTimeout(guildId, userId, reason = null) {
+    return this.timeoutMember(guildId, userId, null, reason);
+  }
+
+  /**
+   * Get one page of guild bans (limit 1-1000)
+   */
+  async getBans(guildId, { limit = 1000, before, after } = {}) {
+    const query = new URLSearchParams({ limit: String(limit) });
+    if (before) query.set('before', before);
+    if (after) query.set('after', after);
+
+    return this.api(`guilds/${guildId}/bans?${query}`);
+  }
+
+  /**
+   * Iterate every ban in a guild
+   */
+  async *iterateBans(guildId) {
+    let after = '0';
+
+    while (true) {
+      const page = await this.getBans(guildId, { limit: 1000, after });
+      if (!page?.length) return;
+
+      yield* page;
+
+      after = page[page.length - 1].user.id;
+      if (page.length < 1000) return;
+    }
+  }
+
+  /**
+   * Get a single ban
+   */
+  async getBan(guildId, userId) {
+    return this.api(`guilds/${guildId}/bans/${userId}`);
+  }
+
+  /**
+   * Unban a user
+   */
+  async unbanMember(guildId, userId, reason = null) {
+    return this.api(`guilds/${guildId}/bans/${userId}`, {
+      method: 'DELETE',
+      reason
     });
   }
 
+  /**
+   * Ban many users at once, returns { banned_users, failed_users }
+   */
+  async bulkBanMembers(guildId, userIds, { deleteMessageSeconds = 0, reason = null } = {}) {
+    const result = { banned_users: [], failed_users: [] };
+    const ids = [...new Set(userIds)];
+
+    for (let index = 0; index < ids.length; index += BULK_BAN_MAX) {
+      const response = await this.api(`guilds/${guildId}/bulk-ban`, {
+        method: 'POST',
+        body: {
+          user_ids: ids.slice(index, index + BULK_BAN_MAX),
+          delete_message_seconds: deleteMessageSeconds
+        },
+        reason
+      });
+
+      result.banned_users.push(...(response?.banned_users || []));
+      result.failed_users.push(...(response?.failed_users || []));
+    }
+
+    return result;
+  }
+
+  /**
+   * List a guild's scheduled events
+   */
+  async getScheduledEvents(guildId, { withUserCount = false } = {}) {
+    return this.api(`guilds/${guildId}/scheduled-events?with_user_count=${withUserCount}`);
+  }
+
+  /**
+   * Get a single scheduled event
+   */
+  async getScheduledEvent(guildId, eventId, { withUserCount = false } = {}) {
+    return this.api(`guilds/${guildId}/scheduled-events/${eventId}?with_user_count=${withUserCount}`);
+  }
+
+  /**
+   * Create a scheduled event
+   * Stage/voice events need channel_id; external events need entity_metadata.location and scheduled_end_time
+   */
+  async createScheduledEvent(guildId, scheduledEvent, reason = null) {
+    return this.api(`guilds/${guildId}/scheduled-events`, {
+      method: 'POST',
+      body: { privacy_level: SCHEDULED_EVENT_PRIVACY_GUILD_ONLY, ...this.serializeScheduledEvent(scheduledEvent) },
+      reason
+    });
+  }
+
+  /**
+   * Modify a scheduled event (including its status)
+   */
+  async modifyScheduledEvent(guildId, eventId, options, reason = null) {
+    return this.api(`guilds/${guildId}/scheduled-events/${eventId}`, {
+      method: 'PATCH',
+      body: this.serializeScheduledEvent(options),
+      reason
+    });
+  }
+
+  /**
+   * Cancel a scheduled event that hasn't started yet
+   */
+  async cancelScheduledEvent(guildId, eventId, reason = null) {
+    return this.modifyScheduledEvent(guildId, eventId, { status: ScheduledEventStatus.CANCELED }, reason);
+  }
+
+  /**
+   * Delete a scheduled event
+   */
+  async deleteScheduledEvent(guildId, eventId, reason = null) {
+    return this.api(`guilds/${guildId}/scheduled-events/${eventId}`, {
+      method: 'DELETE',
+      reason
+    });
+  }
+
+  /**
+   * Get one page of users subscribed to a scheduled event (limit 1-100)
+   */
+  async getScheduledEventUsers(guildId, eventId, { limit = 100, before, after, withMember = false } = {}) {
+    const query = new URLSearchParams({ limit: String(limit), with_member: String(withMember) });
+    if (before) query.set('before', before);
+    if (after) query.set('after', after);
+
+    return this.api(`guilds/${guildId}/scheduled-events/${eventId}/users?${query}`);
+  }
+
+  /**
+   * Iterate every user subscribed to a scheduled event
+   */
+  async *iterateScheduledEventUsers(guildId, eventId, { withMember = false } = {}) {
+    let after = '0';
+
+    while (true) {
+      const page = await this.getScheduledEventUsers(guildId, eventId, { limit: 100, after, withMember });
+      if (!page?.length) return;
+
+      yield* page;
+
+      after = page[page.length - 1].user.id;
+      if (page.length < 100) return;
+    }
+  }
+
+  /**
+   * Convert Date start/end times to the ISO strings Discord expects
+   */
+  serializeScheduledEvent(scheduledEvent) {
+    const body = { ...scheduledEvent };
+
+    for (const key of ['scheduled_start_time', 'scheduled_end_time']) {
+      if (body[key] instanceof Date) body[key] = body[key].toISOString();
+    }
+
+    return body;
+  }
+
+  /**
+   * List a guild's AutoMod rules
+   */
+  async getAutoModRules(guildId) {
+    const rules = await this.api(`guilds/${guildId}/auto-moderation/rules`);
+    this.patchGuild(guildId, { auto_moderation_rules: rules });
+    return rules;
+  }
+
+  /**
+   * Get a single AutoMod rule
+   */
+  async getAutoModRule(guildId, ruleId) {
+    return this.api(`guilds/${guildId}/auto-moderation/rules/${ruleId}`);
+  }
+
+  /**
+   * Create an AutoMod rule
+   * Member profile rules trigger on member updates, every other trigger on sent messages
+   */
+  async createAutoModRule(guildId, rule, reason = null) {
+    const eventType = rule.trigger_type === AutoModTriggerType.MEMBER_PROFILE
+      ? AUTOMOD_EVENT_MEMBER_UPDATE
+      : AUTOMOD_EVENT_MESSAGE_SEND;
+
+    return this.api(`guilds/${guildId}/auto-moderation/rules`, {
+      method: 'POST',
+      body: { event_type: eventType, enabled: true, ...rule },
+      reason
+    });
+  }
+
+  /**
+   * Modify an AutoMod rule (trigger_type can't be changed)
+   */
+  async modifyAutoModRule(guildId, ruleId, options, reason = null) {
+    const body = { ...options };
+    delete body.trigger_type;
+
+    return this.api(`guilds/${guildId}/auto-moderation/rules/${ruleId}`, {
+      method: 'PATCH',
+      body,
+      reason
+    });
+  }
+
+  /**
+   * Delete an AutoMod rule
+   */
+  async deleteAutoModRule(guildId, ruleId, reason = null) {
+    return this.api(`guilds/${guildId}/auto-moderation/rules/${ruleId}`, {
+      method: 'DELETE',
+      reason
+    });
+  }
+
+  /**
+   * Get a guild from the cache, falling back to the API
+   */
+  async fetchGuild(guildId, { force = false } = {}) {
+    return this.fetchCached(this.guilds, guildId, `guilds/${guildId}`, force);
+  }
+
+  /**
+   * Get a channel from the cache, falling back to the API
+   */
+  async fetchChannel(channelId, { force = false } = {}) {
+    return this.fetchCached(this.channels, channelId, `channels/${channelId}`, force);
+  }
+
+  /**
+   * Get a user from the cache, falling back to the API
+   */
+  async fetchUser(userId, { force = false } = {}) {
+    return this.fetchCached(this.users, userId, `users/${userId}`, force);
+  }
+
+  async fetchCached(cache, id, endpoint, force) {
+    if (!force) {
+      const cached = cache.get(id);
+      // Unavailable guilds are only stubs
+      if (cached && !cached.unavailable) return cached;
+    }
+
+    const entity = await this.api(endpoint);
+    cache.set(id, { ...cache.get(id), ...entity });
+
+    return entity;
+  }
+
+  /**
+   * Get health status
+   */
+  getHealthStatus() {
+    return {
+      isHealthy: this.connected,
+      connected: this.connected,
+      shardId: this.options.shardId,
+      ping: this.ping,
+      pendingRequests: this.requestQueue.length,
+      caches: {
+        guilds: this.guilds.getStats(),
+        channels: this.channels.getStats(),
+        users: this.users.getStats()
+      },
+      memory: process.memoryUsage().heapUsed
+    };
+  }
+
   /**
    * Disconnect from Discord
    */
   disconnect() {
-    if (this.heartbeatInterval) {
-      clearInterval(this.heartbeatInterval);
+    // Intentional disconnect: never auto-reconnect
+    this.shouldReconnect = false;
+
+    if (this.reconnectTimeout) {
+      clearTimeout(this.reconnectTimeout);
+      this.reconnectTimeout = null;
     }
 
+    this.clearInvalidSessionTimeout();
+    this.stopHeartbeat();
+
     if (this.ws) {
       this.ws.close();
     }
 
+    this.inflater?.close();
+    this.inflater = null;
+    this.clearGatewayQueue();
+
+    for (const nonce of this.memberRequests.keys()) {
+      this.rejectMemberRequest(nonce, new Error('Disconnected before all guild members arrived'));
+    }
+
     this.connected = false;
     console.log('🔌 Disconnected from Discord');
   }
 
   /**
-   * Reconnect to Discord
+   * Whether the gateway connection that receives a guild's events is up
+   */
+  isGuildConnected(guildId) {
+    return this.connected;
+  }
+
+  /**
+   * Whether a reconnect is scheduled, or a socket is open but not yet ready or resumed
+   */
+  isReconnecting() {
+    return Boolean(this.reconnectTimeout || this.invalidSessionTimeout || (this.ws && !this.connected && this.shouldReconnect));
+  }
+
+  /**
+   * Reconnect to Discord, resuming the session when possible
    */
   async reconnect() {
     console.log('🔄 Reconnecting to Discord...');
-    this.disconnect();
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    await this.connectGateway();
+
+    if (!this.ws) {
+      await this.connectGateway();
+      return;
+    }
+
+    this.shouldReconnect = true;
+    this.reconnectGateway(this.canResume());
   }
 }
\ No newline at end of file
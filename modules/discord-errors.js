@@ -0,0 +1,185 @@
+// modules/discord-errors.js - Discord AI Core REST Error Types
+/**
+ * Discord Errors - Typed errors thrown by DiscordClient.api()
+ * Carry the HTTP status, Discord JSON error code, request details and
+ * nested field errors so callers can branch on codes instead of text
+ */
+
+// JSON error codes the framework reacts to
+// https://discord.com/developers/docs/topics/opcodes-and-status-codes#json
+export const DiscordErrorCodes = {
+  UNKNOWN_CHANNEL: 10003,
+  UNKNOWN_GUILD: 10004,
+  UNKNOWN_MEMBER: 10007,
+  UNKNOWN_MESSAGE: 10008,
+  UNKNOWN_ROLE: 10011,
+  UNKNOWN_USER: 10013,
+  UNKNOWN_WEBHOOK: 10015,
+  UNKNOWN_INTERACTION: 10062,
+  UNAUTHORIZED: 40001,
+  MISSING_ACCESS: 50001,
+  CANNOT_SEND_DM: 50007,
+  MISSING_PERMISSIONS: 50013,
+  INVALID_FORM_BODY: 50035,
+  BULK_DELETE_TOO_OLD: 50034
+};
+
+// Singular names for route segments, used to describe the failing resource
+const RESOURCE_NAMES = {
+  channels: 'channel',
+  guilds: 'guild',
+  roles: 'role',
+  members: 'member',
+  messages: 'message',
+  users: 'user',
+  webhooks: 'webhook',
+  emojis: 'emoji',
+  bans: 'ban',
+  threads: 'thread'
+};
+
+/**
+ * Get the resource ids in an endpoint, e.g. channels/1/messages/2 -> { channel: '1', message: '2' }
+ */
+export function getRouteTargets(endpoint = '') {
+  const segments = endpoint.split('?')[0].split('/').filter(Boolean);
+  const targets = {};
+
+  for (let index = 0; index < segments.length - 1; index++) {
+    const resource = RESOURCE_NAMES[segments[index]];
+
+    if (resource && /^\d+$/.test(segments[index + 1])) {
+      targets[resource] = segments[index + 1];
+    }
+  }
+
+  return targets;
+}
+
+/**
+ * Describe the most specific resource an endpoint targets (e.g. "channel 123")
+ */
+export function describeTarget(endpoint = '') {
+  const [resource, id] = Object.entries(getRouteTargets(endpoint)).pop() || [];
+  return resource ? `${resource} ${id}` : null;
+}
+
+/**
+ * Flatten Discord's nested form errors into "path: message" strings
+ */
+export function flattenErrors(errors, path = '') {
+  if (!errors || typeof errors !== 'object') return [];
+
+  if (Array.isArray(errors._errors)) {
+    return errors._errors.map(error => `${path || 'body'}: ${error.message}`);
+  }
+
+  return Object.entries(errors).flatMap(([key, value]) => {
+    const next = /^\d+$/.test(key) ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+    return flattenErrors(value, next);
+  });
+}
+
+/**
+ * Base class for every REST error, so callers can catch them with one instanceof check
+ */
+export class DiscordError extends Error {
+  constructor(message, { status, method, route, endpoint, requestBody } = {}, options) {
+    super(message, options);
+
+    this.name = 'DiscordError';
+    this.status = status;
+    this.method = method;
+    this.route = route;
+    this.endpoint = endpoint;
+    this.requestBody = requestBody;
+  }
+
+  describe() {
+    return this.message;
+  }
+}
+
+/**
+ * Error returned by the Discord API with a JSON body
+ */
+export class DiscordAPIError extends DiscordError {
+  constructor(data, request = {}) {
+    const fieldErrors = flattenErrors(data.errors);
+    super([data.message || `HTTP ${request.status}`, ...fieldErrors].join('\n'), request);
+
+    this.name = 'DiscordAPIError';
+    this.code = data.code ?? 0;
+    this.rawMessage = data.message;
+    this.errors = data.errors || null;
+    this.fieldErrors = fieldErrors;
+  }
+
+  /**
+   * Short human readable description, e.g. "Missing Permissions on channel 123"
+   */
+  describe() {
+    const message = this.rawMessage || this.message;
+    const target = describeTarget(this.endpoint);
+    return target ? `${message} on ${target}` : message;
+  }
+}
+
+/**
+ * Error response without a Discord JSON body (e.g. Cloudflare or 5xx pages)
+ */
+export class HTTPError extends DiscordError {
+  constructor(message, request = {}) {
+    super(message || `HTTP ${request.status}`, request);
+
+    this.name = 'HTTPError';
+  }
+
+  describe() {
+    return `Discord returned HTTP ${this.status} for ${this.method} ${this.endpoint}`;
+  }
+}
+
+/**
+ * Request was still rate limited after all retries were used
+ */
+export class RateLimitError extends DiscordError {
+  constructor({ retryAfter, global, scope, bucket, method, route, endpoint, requestBody } = {}) {
+    super(
+      `Rate limited on ${method} ${endpoint} (retry after ${retryAfter}ms${global ? ', global' : ''})`,
+      { status: 429, method, route, endpoint, requestBody }
+    );
+
+    this.name = 'RateLimitError';
+    this.retryAfter = retryAfter;
+    this.global = global;
+    this.scope = scope;
+    this.bucket = bucket;
+  }
+
+  describe() {
+    return `Discord is rate limiting this action, try again in ${Math.ceil(this.retryAfter / 1000)}s`;
+  }
+}
+
+/**
+ * Request never reached Discord (DNS, connection reset, TLS...)
+ */
+export class NetworkError extends DiscordError {
+  constructor(cause, { method, route, endpoint, requestBody } = {}) {
+    super(`Network error on ${method} ${endpoint}: ${cause.message}`, { method, route, endpoint, requestBody }, { cause });
+
+    this.name = 'NetworkError';
+  }
+
+  describe() {
+    return 'Could not reach Discord, please try again';
+  }
+}
+
+/**
+ * Best user facing description for any error
+ */
+export function describeError(error) {
+  return typeof error?.describe === 'function' ? error.describe() : error?.message;
+}
@@ -0,0 +1,340 @@
+// modules/discord-utils.js - Discord AI Core Shared Utilities
+/**
+ * Discord Utils - Permission flags and bitfields, snowflakes, durations,
+ * mention and markdown helpers shared by every module
+ */
+
+// Permission bit flags
+// https://discord.com/developers/docs/topics/permissions#permissions-bitwise-permission-flags
+export const PermissionFlags = Object.freeze({
+  CREATE_INSTANT_INVITE: 1n << 0n,
+  KICK_MEMBERS: 1n << 1n,
+  BAN_MEMBERS: 1n << 2n,
+  ADMINISTRATOR: 1n << 3n,
+  MANAGE_CHANNELS: 1n << 4n,
+  MANAGE_GUILD: 1n << 5n,
+  ADD_REACTIONS: 1n << 6n,
+  VIEW_AUDIT_LOG: 1n << 7n,
+  PRIORITY_SPEAKER: 1n << 8n,
+  STREAM: 1n << 9n,
+  VIEW_CHANNEL: 1n << 10n,
+  SEND_MESSAGES: 1n << 11n,
+  SEND_TTS_MESSAGES: 1n << 12n,
+  MANAGE_MESSAGES: 1n << 13n,
+  EMBED_LINKS: 1n << 14n,
+  ATTACH_FILES: 1n << 15n,
+  READ_MESSAGE_HISTORY: 1n << 16n,
+  MENTION_EVERYONE: 1n << 17n,
+  USE_EXTERNAL_EMOJIS: 1n << 18n,
+  VIEW_GUILD_INSIGHTS: 1n << 19n,
+  CONNECT: 1n << 20n,
+  SPEAK: 1n << 21n,
+  MUTE_MEMBERS: 1n << 22n,
+  DEAFEN_MEMBERS: 1n << 23n,
+  MOVE_MEMBERS: 1n << 24n,
+  USE_VAD: 1n << 25n,
+  CHANGE_NICKNAME: 1n << 26n,
+  MANAGE_NICKNAMES: 1n << 27n,
+  MANAGE_ROLES: 1n << 28n,
+  MANAGE_WEBHOOKS: 1n << 29n,
+  MANAGE_GUILD_EXPRESSIONS: 1n << 30n,
+  USE_APPLICATION_COMMANDS: 1n << 31n,
+  REQUEST_TO_SPEAK: 1n << 32n,
+  MANAGE_EVENTS: 1n << 33n,
+  MANAGE_THREADS: 1n << 34n,
+  CREATE_PUBLIC_THREADS: 1n << 35n,
+  CREATE_PRIVATE_THREADS: 1n << 36n,
+  USE_EXTERNAL_STICKERS: 1n << 37n,
+  SEND_MESSAGES_IN_THREADS: 1n << 38n,
+  USE_EMBEDDED_ACTIVITIES: 1n << 39n,
+  MODERATE_MEMBERS: 1n << 40n,
+  VIEW_CREATOR_MONETIZATION_ANALYTICS: 1n << 41n,
+  USE_SOUNDBOARD: 1n << 42n,
+  CREATE_GUILD_EXPRESSIONS: 1n << 43n,
+  CREATE_EVENTS: 1n << 44n,
+  USE_EXTERNAL_SOUNDS: 1n << 45n,
+  SEND_VOICE_MESSAGES: 1n << 46n,
+  SEND_POLLS: 1n << 49n,
+  USE_EXTERNAL_APPS: 1n << 50n
+});
+
+/**
+ * Permission bitfield
+ * Accepts flag names, bigints, numbers, numeric strings (as sent by Discord),
+ * other Permissions and arrays of any of these
+ */
+export class Permissions {
+  static ALL = Object.values(PermissionFlags).reduce((all, flag) => all | flag, 0n);
+
+  constructor(...permissions) {
+    this.bitfield = Permissions.resolve(permissions);
+  }
+
+  /**
+   * Resolve any permission input to a bigint
+   */
+  static resolve(permission) {
+    if (typeof permission === 'bigint') return permission;
+    if (permission instanceof Permissions) return permission.bitfield;
+    if (Array.isArray(permission)) {
+      return permission.reduce((bits, item) => bits | Permissions.resolve(item), 0n);
+    }
+    if (typeof permission === 'number') return BigInt(permission);
+    if (permission === null || permission === undefined || permission === '') return 0n;
+
+    if (typeof permission === 'string') {
+      if (/^\d+$/.test(permission)) return BigInt(permission);
+      if (permission in PermissionFlags) return PermissionFlags[permission];
+    }
+
+    throw new RangeError(`Unknown permission: ${permission}`);
+  }
+
+  /**
+   * Check every given permission is set (ADMINISTRATOR grants all unless checkAdmin is false)
+   */
+  has(permission, checkAdmin = true) {
+    if (checkAdmin && (this.bitfield & PermissionFlags.ADMINISTRATOR) === PermissionFlags.ADMINISTRATOR) {
+      return true;
+    }
+
+    const bits = Permissions.resolve(permission);
+    return (this.bitfield & bits) === bits;
+  }
+
+  /**
+   * Check at least one of the given permissions is set
+   */
+  any(permission, checkAdmin = true) {
+    if (checkAdmin && this.has(PermissionFlags.ADMINISTRATOR, false)) return true;
+
+    return (this.bitfield & Permissions.resolve(permission)) !== 0n;
+  }
+
+  /**
+   * Get the names of the given permissions that aren't set
+   */
+  missing(permission, checkAdmin = true) {
+    if (checkAdmin && this.has(PermissionFlags.ADMINISTRATOR, false)) return [];
+
+    return new Permissions(permission).toArray().filter(name => !this.has(name, false));
+  }
+
+  add(...permissions) {
+    this.bitfield |= Permissions.resolve(permissions);
+    return this;
+  }
+
+  remove(...permissions) {
+    this.bitfield &= ~Permissions.resolve(permissions);
+    return this;
+  }
+
+  /**
+   * Map every flag name to whether it is set
+   */
+  serialize(checkAdmin = true) {
+    return Object.fromEntries(
+      Object.keys(PermissionFlags).map(name => [name, this.has(name, checkAdmin)])
+    );
+  }
+
+  /**
+   * Names of the flags that are set
+   */
+  toArray() {
+    return Object.keys(PermissionFlags).filter(name => this.has(name, false));
+  }
+
+  /**
+   * Discord's string form of the bitfield
+   */
+  toString() {
+    return this.bitfield.toString();
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+}
+
+// First second of 2015, the start of Discord snowflake time
+export const DISCORD_EPOCH = 1420070400000;
+
+/**
+ * Get the creation time (ms) encoded in a snowflake
+ */
+export function getSnowflakeTimestamp(snowflake) {
+  return Number((BigInt(snowflake) >> 22n) + BigInt(DISCORD_EPOCH));
+}
+
+/**
+ * Get the creation date encoded in a snowflake
+ */
+export function snowflakeToDate(snowflake) {
+  return new Date(getSnowflakeTimestamp(snowflake));
+}
+
+/**
+ * Build the lowest snowflake for a time, for before/after pagination cursors
+ */
+export function timestampToSnowflake(timestamp) {
+  const ms = timestamp instanceof Date ? timestamp.getTime() : timestamp;
+  return String(BigInt(ms - DISCORD_EPOCH) << 22n);
+}
+
+/**
+ * Compare two snowflakes for sorting (oldest first)
+ */
+export function compareSnowflakes(a, b) {
+  const difference = BigInt(a) - BigInt(b);
+  return difference === 0n ? 0 : difference < 0n ? -1 : 1;
+}
+
+// Milliseconds per duration unit accepted by parseDuration
+const DURATION_UNITS = {
+  s: 1000, sec: 1000, second: 1000,
+  m: 60000, min: 60000, minute: 60000,
+  h: 3600000, hr: 3600000, hour: 3600000,
+  d: 86400000, day: 86400000,
+  w: 604800000, week: 604800000
+};
+
+/**
+ * Parse a duration like "10m", "1h30m", "2 days" or "1 week" into milliseconds
+ * Numbers are treated as milliseconds already; returns null if unparseable
+ */
+export function parseDuration(input) {
+  if (typeof input === 'number') return Number.isFinite(input) && input >= 0 ? input : null;
+  if (typeof input !== 'string') return null;
+
+  const pattern = /(\d+(?:\.\d+)?)\s*(s|secs?|seconds?|m|mins?|minutes?|h|hrs?|hours?|d|days?|w|weeks?)(?![a-z])/gi;
+  let total = 0;
+  let matched = false;
+
+  for (const [, amount, unit] of input.matchAll(pattern)) {
+    const key = unit.toLowerCase().replace(/s$/, '');
+    total += parseFloat(amount) * (DURATION_UNITS[key] ?? DURATION_UNITS[unit.toLowerCase()]);
+    matched = true;
+  }
+
+  return matched ? Math.round(total) : null;
+}
+
+// Mention syntax; the user pattern also matches legacy nickname mentions (<@!id>)
+export const MentionPatterns = {
+  user: /<@!?(\d+)>/g,
+  channel: /<#(\d+)>/g,
+  role: /<@&(\d+)>/g
+};
+
+export function userMention(userId) {
+  return `<@${userId}>`;
+}
+
+export function channelMention(channelId) {
+  return `<#${channelId}>`;
+}
+
+export function roleMention(roleId) {
+  return `<@&${roleId}>`;
+}
+
+/**
+ * Format a Discord timestamp (styles: t, T, d, D, f, F, R)
+ */
+export function formatTimestamp(time, style = 'f') {
+  const ms = time instanceof Date ? time.getTime() : time;
+  return `<t:${Math.floor(ms / 1000)}:${style}>`;
+}
+
+/**
+ * Parse a single mention into { type, id }, or null if the text isn't one
+ */
+export function parseMention(text) {
+  const match = /^<(@!?|@&|#)(\d+)>$/.exec(String(text).trim());
+  if (!match) return null;
+
+  const type = match[1] === '#' ? 'channel' : match[1] === '@&' ? 'role' : 'user';
+  return { type, id: match[2] };
+}
+
+/**
+ * Resolve a mention or raw id to an id
+ */
+export function resolveId(value) {
+  return parseMention(value)?.id ?? String(value).trim();
+}
+
+/**
+ * Collect the unique user, channel and role ids mentioned in text
+ */
+export function extractMentions(text) {
+  const collect = (pattern) => [...new Set(Array.from(String(text).matchAll(pattern), match => match[1]))];
+
+  return {
+    users: collect(MentionPatterns.user),
+    channels: collect(MentionPatterns.channel),
+    roles: collect(MentionPatterns.role)
+  };
+}
+
+// Length limits of message content and embed descriptions
+export const MESSAGE_CONTENT_LIMIT = 2000;
+export const EMBED_DESCRIPTION_LIMIT = 4096;
+
+/**
+ * Split text into pieces of at most maxLength characters
+ * Prefers paragraph breaks, then line breaks, then spaces; the split of a
+ * prefix never changes as text is appended, so streamed pages stay stable
+ */
+export function splitMessage(text, maxLength = MESSAGE_CONTENT_LIMIT) {
+  const pages = [];
+  let rest = String(text ?? '');
+
+  while (rest.length > maxLength) {
+    const window = rest.slice(0, maxLength + 1);
+    const minimum = Math.floor(maxLength / 2);
+    let cut = window.lastIndexOf('\n\n');
+    if (cut < minimum) cut = window.lastIndexOf('\n');
+    if (cut < minimum) cut = window.lastIndexOf(' ');
+    if (cut < minimum) cut = maxLength;
+
+    pages.push(rest.slice(0, cut).trimEnd());
+    rest = rest.slice(cut).replace(/^\s+/, '');
+  }
+
+  pages.push(rest);
+  return pages;
+}
+
+/**
+ * Escape markdown so user text renders literally
+ */
+export function escapeMarkdown(text) {
+  return String(text).replace(/([\\*_~`|>[\]])/g, '\\$1');
+}
+
+export function bold(text) {
+  return `**${text}**`;
+}
+
+export function italic(text) {
+  return `*${text}*`;
+}
+
+export function inlineCode(text) {
+  return `\`${text}\``;
+}
+
+export function codeBlock(code, language = '') {
+  return `\`\`\`${language}\n${String(code).replace(/```/g, '`\u200b``')}\n\`\`\``;
+}
+
+/**
+ * Cut text to a maximum length, ending with a suffix when shortened
+ */
+export function truncate(text, maxLength, suffix = '…') {
+  const value = String(text ?? '');
+  return value.length > maxLength ? value.slice(0, maxLength - suffix.length) + suffix : value;
+}
@@ -0,0 +1,174 @@
+// modules/entity-cache.js - Discord AI Core Entity Cache
+/**
+ * Entity Cache - Map with a per-entity cache policy
+ * Supports disabling, LRU eviction at a max size and TTL sweeping while
+ * staying a drop-in replacement for the Map caches on DiscordClient
+ */
+
+export class EntityCache extends Map {
+  /**
+   * @param {Object} policy
+   * @param {boolean} policy.enabled - Store entries at all
+   * @param {number} policy.maxSize - Evict least recently used entries above this size
+   * @param {number} policy.ttl - Expire entries this many ms after they were last written
+   * @param {number} policy.sweepInterval - How often expired entries are swept (defaults to ttl)
+   */
+  constructor(policy = {}) {
+    super();
+
+    this.policy = {
+      enabled: policy.enabled ?? true,
+      maxSize: policy.maxSize || Infinity,
+      ttl: policy.ttl || 0,
+      sweepInterval: policy.sweepInterval || policy.ttl || 0
+    };
+
+    this.timestamps = new Map();
+    this.stats = { hits: 0, misses: 0, evictions: 0, expired: 0 };
+    this.sweepTimer = null;
+
+    if (this.policy.enabled && this.policy.ttl > 0 && this.policy.sweepInterval > 0) {
+      this.sweepTimer = setInterval(() => this.sweep(), this.policy.sweepInterval);
+      // Never keep the process alive just to sweep
+      this.sweepTimer.unref?.();
+    }
+  }
+
+  set(key, value) {
+    if (!this.policy.enabled) return this;
+
+    // Re-insert so the entry becomes the most recently used
+    super.delete(key);
+    super.set(key, value);
+
+    if (this.policy.ttl > 0) {
+      this.timestamps.set(key, Date.now());
+    }
+
+    while (this.size > this.policy.maxSize) {
+      const oldest = super.keys().next().value;
+      this.delete(oldest);
+      this.stats.evictions++;
+    }
+
+    return this;
+  }
+
+  get(key) {
+    if (!this.has(key)) {
+      this.stats.misses++;
+      return undefined;
+    }
+
+    const value = super.get(key);
+    this.stats.hits++;
+
+    if (this.policy.maxSize !== Infinity) {
+      super.delete(key);
+      super.set(key, value);
+    }
+
+    return value;
+  }
+
+  has(key) {
+    if (!super.has(key)) return false;
+
+    if (this.isExpired(key)) {
+      this.delete(key);
+      this.stats.expired++;
+      return false;
+    }
+
+    return true;
+  }
+
+  delete(key) {
+    this.timestamps.delete(key);
+    return super.delete(key);
+  }
+
+  clear() {
+    this.timestamps.clear();
+    super.clear();
+  }
+
+  /**
+   * Iterate entries that haven't expired (expired ones are left for the sweep)
+   */
+  *entries() {
+    for (const [key, value] of super.entries()) {
+      if (!this.isExpired(key)) yield [key, value];
+    }
+  }
+
+  *keys() {
+    for (const [key] of this.entries()) yield key;
+  }
+
+  *values() {
+    for (const [, value] of this.entries()) yield value;
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+
+  forEach(callback, thisArg) {
+    for (const [key, value] of this.entries()) {
+      callback.call(thisArg, value, key, this);
+    }
+  }
+
+  /**
+   * Check whether an entry has outlived the TTL
+   */
+  isExpired(key) {
+    return this.policy.ttl > 0 && Date.now() - (this.timestamps.get(key) || 0) > this.policy.ttl;
+  }
+
+  /**
+   * Remove every expired entry, returning how many were removed
+   */
+  sweep() {
+    let removed = 0;
+
+    for (const key of this.timestamps.keys()) {
+      if (this.isExpired(key)) {
+        this.delete(key);
+        removed++;
+      }
+    }
+
+    this.stats.expired += removed;
+    return removed;
+  }
+
+  /**
+   * Get cache statistics
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+
+    return {
+      enabled: this.policy.enabled,
+      size: this.size,
+      maxSize: this.policy.maxSize === Infinity ? null : this.policy.maxSize,
+      ttl: this.policy.ttl || null,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Stop the sweep timer and drop all entries
+   */
+  destroy() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+
+    this.clear();
+  }
+}
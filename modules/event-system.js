@@ -58,6 +58,7 @@ export class EventSystem {
     this.registerBuiltInEvent('messageCreate', this.handleMessageCreate.bind(this));
     this.registerBuiltInEvent('interactionCreate', this.handleInteractionCreate.bind(this));
     this.registerBuiltInEvent('guildCreate', this.handleGuildCreate.bind(this));
+    this.registerBuiltInEvent('guildAvailable', this.handleGuildAvailable.bind(this));
     this.registerBuiltInEvent('guildDelete', this.handleGuildDelete.bind(this));
     this.registerBuiltInEvent('guildMemberAdd', this.handleGuildMemberAdd.bind(this));
     this.registerBuiltInEvent('guildMemberRemove', this.handleGuildMemberRemove.bind(this));
@@ -518,6 +519,15 @@ export class EventSystem {
     await this.emit('serverAnalysisNeeded', guild);
   }
 
+  /**
+   * Handle guild available event (guilds from READY, or back from an outage)
+   */
+  async handleGuildAvailable(guild) {
+    console.log(`📗 Event System: Guild available ${guild.name}`);
+
+    await this.emit('serverAnalysisNeeded', guild);
+  }
+
   /**
    * Handle guild delete event
    */
@@ -0,0 +1,104 @@
+// modules/gateway-codec.js - Discord AI Core Gateway Payload Encoding & Compression
+/**
+ * Gateway Codec - Payload encoding and transport compression
+ * A codec turns gateway payloads into frames and back; the default is JSON.
+ * Custom codecs (e.g. ETF) implement { encoding, binary, encode(), decode() }
+ */
+
+import zlib from 'zlib';
+
+// Every complete zlib-stream message ends with the Z_SYNC_FLUSH marker
+const ZLIB_SUFFIX = Buffer.from([0x00, 0x00, 0xff, 0xff]);
+
+/**
+ * JSON payload codec (encoding=json)
+ */
+export const JSONCodec = {
+  encoding: 'json',
+  binary: false,
+
+  encode(payload) {
+    return JSON.stringify(payload);
+  },
+
+  decode(data) {
+    return JSON.parse(typeof data === 'string' ? data : Buffer.from(data).toString('utf8'));
+  }
+};
+
+/**
+ * Check that a codec implements the interface DiscordClient relies on
+ */
+export function validateCodec(codec) {
+  if (!codec || typeof codec.encoding !== 'string' ||
+      typeof codec.encode !== 'function' || typeof codec.decode !== 'function') {
+    throw new Error('Gateway codec must provide encoding, encode() and decode()');
+  }
+
+  return codec;
+}
+
+/**
+ * Inflates zlib-stream transport compressed frames
+ * One instance shares a single zlib context for the lifetime of a connection
+ */
+export class ZlibStreamInflater {
+  constructor() {
+    this.inflate = zlib.createInflate({ chunkSize: 65535 });
+    this.compressed = [];
+    this.inflated = [];
+    this.pending = Promise.resolve();
+
+    this.inflate.on('data', (chunk) => this.inflated.push(chunk));
+  }
+
+  /**
+   * Check whether a frame completes a message
+   */
+  static hasSuffix(chunk) {
+    return chunk.length >= 4 && chunk.subarray(chunk.length - 4).equals(ZLIB_SUFFIX);
+  }
+
+  /**
+   * Feed a compressed frame; resolves with the inflated message once the
+   * Z_SYNC_FLUSH suffix arrives, or null while the message is incomplete
+   */
+  push(data) {
+    const chunk = Buffer.isBuffer(data) ? data : Buffer.from(data);
+    this.compressed.push(chunk);
+
+    if (!ZlibStreamInflater.hasSuffix(chunk)) {
+      return Promise.resolve(null);
+    }
+
+    const message = Buffer.concat(this.compressed);
+    this.compressed = [];
+
+    // Inflate strictly in order so dispatches keep their sequence
+    const result = this.pending.then(() => new Promise((resolve, reject) => {
+      const onError = (error) => reject(error);
+      this.inflate.once('error', onError);
+
+      this.inflate.write(message);
+      this.inflate.flush(zlib.constants.Z_SYNC_FLUSH, () => {
+        this.inflate.off('error', onError);
+
+        const output = Buffer.concat(this.inflated);
+        this.inflated = [];
+        resolve(output);
+      });
+    }));
+
+    this.pending = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Release the zlib context
+   */
+  close() {
+    this.inflate.close();
+    this.compressed = [];
+    this.inflated = [];
+  }
+}
@@ -5,6 +5,118 @@
  * Pure JavaScript implementation with AI integration
  */
 
+import { Permissions, parseDuration } from './discord-utils.js';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Every message runs five analyses, each with a built-in fallback,
+// so they get no re-prompts and a single provider retry
+const ANALYSIS_OPTIONS = { retries: 0, maxRetries: 1 };
+
+// Shapes of the AI analyses, checked by AIEngine.generateStructured()
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+
+const PRIMARY_INTENT_SCHEMA = {
+  type: 'object',
+  required: ['primary_intent', 'intent_type', 'confidence'],
+  properties: {
+    primary_intent: { type: 'string' },
+    intent_type: { enum: ['admin_command', 'user_support', 'conversation', 'question', 'request', 'complaint', 'suggestion'] },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    complexity: { enum: ['simple', 'moderate', 'complex', 'multi_part'] },
+    urgency: { enum: ['low', 'normal', 'high', 'urgent'] },
+    emotional_context: { type: 'string' },
+    implicit_needs: STRING_LIST,
+    action_required: { type: 'boolean' },
+    response_style: { type: 'string' },
+    priority_level: { type: 'integer', minimum: 1, maximum: 10 }
+  }
+};
+
+const CONTEXTUAL_SCHEMA = {
+  type: 'object',
+  required: ['context_influence', 'conversation_flow', 'conversation_type'],
+  properties: {
+    context_influence: { type: 'string' },
+    conversation_flow: { enum: ['natural', 'interrupted', 'continuing', 'new_topic'] },
+    references: STRING_LIST,
+    modified_intent: { type: 'string' },
+    response_continuity: { type: 'string' },
+    conversation_type: { enum: ['ongoing', 'followup', 'new', 'clarification'] }
+  }
+};
+
+const SENTIMENT_SCHEMA = {
+  type: 'object',
+  required: ['primary_emotion', 'emotion_intensity'],
+  properties: {
+    primary_emotion: { type: 'string' },
+    emotion_intensity: { type: 'number', minimum: 0, maximum: 1 },
+    tone: { type: 'string' },
+    communication_style: { type: 'string' },
+    response_approach: { type: 'string' },
+    emotional_needs: STRING_LIST
+  }
+};
+
+const ENTITY_SCHEMA = {
+  type: 'object',
+  required: ['entities', 'actions'],
+  properties: {
+    entities: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['type', 'value'],
+        properties: {
+          type: { type: 'string' },
+          value: { type: ['string', 'number'] },
+          confidence: { type: 'number', minimum: 0, maximum: 1 },
+          context: { type: 'string' }
+        }
+      }
+    },
+    actions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['verb'],
+        properties: {
+          verb: { type: 'string' },
+          target: { type: 'string' },
+          modifier: { type: 'string' }
+        }
+      }
+    },
+    relationships: STRING_LIST,
+    implicit_entities: STRING_LIST
+  }
+};
+
+const SYNTHESIS_SCHEMA = {
+  type: 'object',
+  required: ['type', 'intent', 'confidence', 'shouldRespond'],
+  properties: {
+    type: { enum: ['admin_command', 'user_support', 'conversation', 'server_optimization_opportunity', 'learning_opportunity'] },
+    intent: { type: 'string' },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    conversationType: { type: 'string' },
+    shouldRespond: { type: 'boolean' },
+    responseStyle: { type: 'string' },
+    actionRequired: { type: 'boolean' },
+    priority: { enum: ['low', 'normal', 'high', 'urgent'] },
+    reasoning: { type: 'string' }
+  }
+};
+
+const TIME_SCHEMA = {
+  type: 'object',
+  required: ['iso'],
+  properties: {
+    iso: { type: ['string', 'null'] }
+  }
+};
+
 export class NLPEngine {
   constructor(aiEngine) {
     this.ai = aiEngine;
@@ -95,6 +207,12 @@ export class NLPEngine {
         confidence: 0.9,
         category: 'moderation'
       },
+      {
+        pattern: /(timeout|time out|mute|unmute|unban) (user|member|<@!?\d+>)/i,
+        intent: 'user_moderation',
+        confidence: 0.85,
+        category: 'moderation'
+      },
       {
         pattern: /(change|update|set) (server|guild) (logo|icon|name)/i,
         intent: 'server_customization',
@@ -112,6 +230,12 @@ export class NLPEngine {
         intent: 'automation_setup',
         confidence: 0.8,
         category: 'automation'
+      },
+      {
+        pattern: /(schedule|plan|host|cancel) (an? |the )?(event|meetup|game night|stream)/i,
+        intent: 'event_scheduling',
+        confidence: 0.8,
+        category: 'automation'
       }
     ]);
     
@@ -247,8 +371,7 @@ Respond with detailed intent analysis in JSON:
 }`;
 
     try {
-      const response = await this.ai.processIntelligence(analysisPrompt, context, 800);
-      return JSON.parse(response);
+      return await this.ai.generateStructured(analysisPrompt, PRIMARY_INTENT_SCHEMA, { ...ANALYSIS_OPTIONS, context, maxTokens: 800 });
     } catch (error) {
       console.error('❌ Primary intent analysis failed:', error);
       return this.generateFallbackIntent(message, author);
@@ -287,8 +410,7 @@ Respond with contextual analysis in JSON:
 }`;
 
     try {
-      const response = await this.ai.processIntelligence(contextPrompt, { channelId }, 600);
-      return JSON.parse(response);
+      return await this.ai.generateStructured(contextPrompt, CONTEXTUAL_SCHEMA, { ...ANALYSIS_OPTIONS, context: { channelId }, maxTokens: 600 });
     } catch (error) {
       console.error('❌ Contextual analysis failed:', error);
       return {
@@ -329,8 +451,7 @@ Respond with sentiment analysis in JSON:
 }`;
 
     try {
-      const response = await this.ai.processIntelligence(sentimentPrompt, {}, 400);
-      return JSON.parse(response);
+      return await this.ai.generateStructured(sentimentPrompt, SENTIMENT_SCHEMA, { ...ANALYSIS_OPTIONS, maxTokens: 400 });
     } catch (error) {
       console.error('❌ Sentiment analysis failed:', error);
       return {
@@ -382,8 +503,7 @@ Respond with entity analysis in JSON:
 }`;
 
     try {
-      const response = await this.ai.processIntelligence(entityPrompt, context, 600);
-      return JSON.parse(response);
+      return await this.ai.generateStructured(entityPrompt, ENTITY_SCHEMA, { ...ANALYSIS_OPTIONS, context, maxTokens: 600 });
     } catch (error) {
       console.error('❌ Entity extraction failed:', error);
       return {
@@ -433,8 +553,7 @@ Create final intent determination in JSON:
 }`;
 
     try {
-      const response = await this.ai.processIntelligence(synthesisPrompt, {}, 1000);
-      const synthesized = JSON.parse(response);
+      const synthesized = await this.ai.generateStructured(synthesisPrompt, SYNTHESIS_SCHEMA, { ...ANALYSIS_OPTIONS, maxTokens: 1000 });
       
       // Validate and enhance the result
       return this.validateAndEnhanceIntent(synthesized, analyses);
@@ -518,6 +637,101 @@ Create final intent determination in JSON:
     return null;
   }
 
+  /**
+   * Parse a natural language time ("tomorrow at 8pm", "in 2 hours", "friday 18:30")
+   * Falls back to the AI for phrasings the rules don't cover; returns a Date or null
+   */
+  async parseTime(text, { now = new Date() } = {}) {
+    const parsed = this.parseTimeExpression(text, now);
+    if (parsed) return parsed;
+
+    const timePrompt = `
+TIME PARSING
+
+Current time: ${now.toISOString()}
+Expression: "${text}"
+
+Resolve the expression to an absolute time. Respond with JSON:
+{ "iso": "ISO 8601 timestamp, or null if it is not a time" }`;
+
+    try {
+      const { iso } = await this.ai.generateStructured(timePrompt, TIME_SCHEMA, {
+        context: { type: 'time_parsing' },
+        maxTokens: 100,
+        retries: 1
+      });
+      const date = iso ? new Date(iso) : null;
+
+      return date && !Number.isNaN(date.getTime()) ? date : null;
+    } catch (error) {
+      console.warn(`⚠️ NLP Engine: Could not parse time "${text}": ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Rule-based time parsing in the host's local time zone
+   */
+  parseTimeExpression(text, now = new Date()) {
+    const input = String(text || '').trim().toLowerCase();
+    if (!input) return null;
+
+    if (input === 'now') return new Date(now);
+
+    // Relative: "in 2 hours", "90 minutes from now"
+    const relative = input.match(/^in\s+(.+)$/) || input.match(/^(.+?)\s+from now$/);
+    if (relative) {
+      const ms = parseDuration(relative[1]);
+      return ms === null ? null : new Date(now.getTime() + ms);
+    }
+
+    // Day and/or clock time: "tomorrow at 8pm", "next friday 18:30", "noon"
+    const match = input.match(
+      /^(?:(today|tonight|tomorrow|(?:(next|this)\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday))\s*)?(?:at\s+)?(noon|midnight|(\d{1,2})(?::(\d{2}))?\s*(am|pm)?)?$/
+    );
+
+    if (match) {
+      const [, day, qualifier, weekday, time, hourText, minuteText, meridiem] = match;
+
+      // A bare number like "5" is too ambiguous to schedule
+      if (!day && (!time || (hourText && !minuteText && !meridiem))) return null;
+
+      let hour = day === 'tonight' ? 20 : 12;
+      let minute = 0;
+
+      if (time === 'midnight') {
+        hour = 0;
+      } else if (hourText) {
+        hour = parseInt(hourText, 10);
+        minute = parseInt(minuteText || '0', 10);
+
+        if (meridiem === 'pm' && hour < 12) hour += 12;
+        if (meridiem === 'am' && hour === 12) hour = 0;
+        if (!meridiem && day === 'tonight' && hour < 12) hour += 12;
+        if (hour > 23 || minute > 59) return null;
+      }
+
+      const date = new Date(now);
+      date.setHours(hour, minute, 0, 0);
+
+      if (day === 'tomorrow') {
+        date.setDate(date.getDate() + 1);
+      } else if (weekday) {
+        let offset = (WEEKDAYS.indexOf(weekday) - now.getDay() + 7) % 7;
+        if (offset === 0 && (qualifier === 'next' || date <= now)) offset = 7;
+        date.setDate(date.getDate() + offset);
+      } else if (!day && date <= now) {
+        // A clock time that already passed today means tomorrow
+        date.setDate(date.getDate() + 1);
+      }
+
+      return date;
+    }
+
+    const timestamp = Date.parse(text);
+    return Number.isNaN(timestamp) ? null : new Date(timestamp);
+  }
+
   /**
    * Store conversation context for future reference
    */
@@ -567,7 +781,7 @@ Create final intent determination in JSON:
     }
     
     // Check administrator permissions
-    if (context.permissions && (BigInt(context.permissions) & (1n << 3n)) !== 0n) {
+    if (context.permissions && new Permissions(context.permissions).has('ADMINISTRATOR')) {
       return true;
     }
     
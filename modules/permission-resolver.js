@@ -0,0 +1,203 @@
+// modules/permission-resolver.js - Discord AI Core Effective Permissions
+/**
+ * Permission Resolver - Answers "can member X do Y in channel Z"
+ * Applies base role permissions, the owner and ADMINISTRATOR shortcuts and
+ * channel overwrites in Discord's order (@everyone, roles, member)
+ * https://discord.com/developers/docs/topics/permissions#permission-overwrites
+ */
+
+import { PermissionFlags, Permissions, compareSnowflakes } from './discord-utils.js';
+
+// Thread channel types inherit their parent's overwrites
+const THREAD_TYPES = new Set([10, 11, 12]);
+
+// Permissions that mean nothing without SEND_MESSAGES in a channel
+const SEND_DEPENDENT = PermissionFlags.SEND_TTS_MESSAGES | PermissionFlags.MENTION_EVERYONE |
+  PermissionFlags.EMBED_LINKS | PermissionFlags.ATTACH_FILES;
+
+// Timed out members keep only these
+const TIMED_OUT_ALLOWED = PermissionFlags.VIEW_CHANNEL | PermissionFlags.READ_MESSAGE_HISTORY;
+
+/**
+ * Guild-wide permissions of a member: @everyone plus every role they have
+ */
+export function computeBasePermissions(member, guild) {
+  if (guild.owner_id === member.user?.id) {
+    return new Permissions(Permissions.ALL);
+  }
+
+  const roles = new Map((guild.roles || []).map(role => [role.id, role]));
+  const permissions = new Permissions(roles.get(guild.id)?.permissions);
+
+  for (const roleId of member.roles || []) {
+    permissions.add(roles.get(roleId)?.permissions);
+  }
+
+  if (permissions.has(PermissionFlags.ADMINISTRATOR, false)) {
+    return new Permissions(Permissions.ALL);
+  }
+
+  return permissions;
+}
+
+/**
+ * Apply a channel's overwrites to a member's base permissions
+ */
+export function computeOverwrites(basePermissions, member, guild, channel) {
+  if (basePermissions.has(PermissionFlags.ADMINISTRATOR, false)) {
+    return new Permissions(Permissions.ALL);
+  }
+
+  let bits = basePermissions.bitfield;
+  const overwrites = channel?.permission_overwrites || [];
+  const memberRoles = new Set(member.roles || []);
+
+  const everyone = overwrites.find(overwrite => overwrite.id === guild.id);
+  if (everyone) {
+    bits &= ~Permissions.resolve(everyone.deny);
+    bits |= Permissions.resolve(everyone.allow);
+  }
+
+  // Role overwrites are combined before being applied, so a role allow beats another role's deny
+  let roleAllow = 0n;
+  let roleDeny = 0n;
+  for (const overwrite of overwrites) {
+    if (overwrite.type === 0 && overwrite.id !== guild.id && memberRoles.has(overwrite.id)) {
+      roleAllow |= Permissions.resolve(overwrite.allow);
+      roleDeny |= Permissions.resolve(overwrite.deny);
+    }
+  }
+  bits &= ~roleDeny;
+  bits |= roleAllow;
+
+  const own = overwrites.find(overwrite => overwrite.type === 1 && overwrite.id === member.user?.id);
+  if (own) {
+    bits &= ~Permissions.resolve(own.deny);
+    bits |= Permissions.resolve(own.allow);
+  }
+
+  // Implicit denials: no view means nothing, no send means no send extras
+  if ((bits & PermissionFlags.VIEW_CHANNEL) === 0n) return new Permissions(0n);
+  if ((bits & PermissionFlags.SEND_MESSAGES) === 0n) bits &= ~SEND_DEPENDENT;
+
+  return new Permissions(bits);
+}
+
+/**
+ * Effective permissions of a member, in a channel when one is given
+ */
+export function computePermissions(member, guild, channel = null) {
+  const base = computeBasePermissions(member, guild);
+  let permissions = channel ? computeOverwrites(base, member, guild, channel) : base;
+
+  const timedOutUntil = Date.parse(member.communication_disabled_until || '');
+  if (timedOutUntil > Date.now() && !permissions.has(PermissionFlags.ADMINISTRATOR, false)) {
+    permissions = new Permissions(permissions.bitfield & TIMED_OUT_ALLOWED);
+  }
+
+  return permissions;
+}
+
+/**
+ * Compare role positions, ties go to the role with the lower id
+ */
+export function compareRoles(a, b) {
+  return (a.position - b.position) || compareSnowflakes(b.id, a.id);
+}
+
+/**
+ * Get a member's highest role (@everyone when they have none)
+ */
+export function getHighestRole(member, guild) {
+  const roles = (guild.roles || []).filter(role => role.id === guild.id || member.roles?.includes(role.id));
+  return roles.sort(compareRoles).pop() || { id: guild.id, position: 0 };
+}
+
+export class PermissionResolver {
+  constructor(discordClient) {
+    this.client = discordClient;
+  }
+
+  /**
+   * Get a guild with its roles
+   */
+  async getGuild(guildId) {
+    const guild = await this.client.fetchGuild(guildId);
+    if (guild.roles) return guild;
+
+    return { ...guild, roles: await this.client.api(`guilds/${guildId}/roles`) };
+  }
+
+  /**
+   * Get a guild member, preferring the cached copy
+   */
+  async getMember(guildId, userId, guild = null) {
+    const cached = (guild || this.client.guilds.get(guildId))?.members?.find(member => member.user?.id === userId);
+    return cached || this.client.api(`guilds/${guildId}/members/${userId}`);
+  }
+
+  /**
+   * Get the channel whose overwrites apply (threads use their parent)
+   */
+  async getOverwriteChannel(channelId) {
+    const channel = await this.client.fetchChannel(channelId);
+    return THREAD_TYPES.has(channel.type) && channel.parent_id
+      ? this.client.fetchChannel(channel.parent_id)
+      : channel;
+  }
+
+  /**
+   * Effective permissions of a member in a guild, or in a channel when given
+   */
+  async permissionsFor(guildId, userId, channelId = null) {
+    const guild = await this.getGuild(guildId);
+    const member = await this.getMember(guildId, userId, guild);
+    const channel = channelId ? await this.getOverwriteChannel(channelId) : null;
+
+    return computePermissions(member, guild, channel);
+  }
+
+  /**
+   * Check a member has every given permission
+   */
+  async can(guildId, userId, permissions, channelId = null) {
+    return (await this.permissionsFor(guildId, userId, channelId)).has(permissions);
+  }
+
+  /**
+   * Names of the given permissions a member lacks
+   */
+  async missing(guildId, userId, permissions, channelId = null) {
+    return (await this.permissionsFor(guildId, userId, channelId)).missing(permissions);
+  }
+
+  /**
+   * Check a member's highest role is above a role (owners outrank everyone)
+   */
+  async outranksRole(guildId, userId, roleId) {
+    const guild = await this.getGuild(guildId);
+    if (guild.owner_id === userId) return true;
+
+    const role = guild.roles.find(item => item.id === roleId);
+    if (!role) return false;
+
+    const member = await this.getMember(guildId, userId, guild);
+    return compareRoles(getHighestRole(member, guild), role) > 0;
+  }
+
+  /**
+   * Check a member can moderate another (owners can't be moderated)
+   */
+  async outranksMember(guildId, userId, targetId) {
+    const guild = await this.getGuild(guildId);
+    if (guild.owner_id === targetId) return false;
+    if (guild.owner_id === userId) return true;
+
+    const [member, target] = await Promise.all([
+      this.getMember(guildId, userId, guild),
+      this.getMember(guildId, targetId, guild)
+    ]);
+
+    return compareRoles(getHighestRole(member, guild), getHighestRole(target, guild)) > 0;
+  }
+}
@@ -0,0 +1,120 @@
+// modules/presence-manager.js - Discord AI Core Presence Rotation
+/**
+ * Presence Manager - Applies the configured status and activity
+ * Rotates through activity templates filled with live stats on an interval
+ * Placeholders: {guilds}, {commands}, {helped}, {uptime}, {version}
+ */
+
+// Discord drops presence updates sent too often
+const MIN_ROTATION_INTERVAL = 15000;
+
+export class PresenceManager {
+  /**
+   * @param {Object} client - DiscordClient or ShardManager
+   * @param {Object} options
+   * @param {string} options.status - online, idle, dnd or invisible
+   * @param {string} options.activityType - Default activity type for templates
+   * @param {Array<string|Object>} options.activities - Activity templates, rotated when more than one
+   * @param {number} options.interval - Rotation interval in ms
+   * @param {Function} options.getStats - Returns the stats templates are filled with
+   */
+  constructor(client, options = {}) {
+    this.client = client;
+
+    this.options = {
+      status: options.status || 'online',
+      activityType: options.activityType || 'playing',
+      activities: options.activities?.length ? options.activities : ['with AI intelligence'],
+      interval: Math.max(options.interval || 60000, MIN_ROTATION_INTERVAL),
+      getStats: options.getStats || (() => ({}))
+    };
+
+    this.index = 0;
+    this.rotationTimer = null;
+  }
+
+  /**
+   * Apply the first activity and start rotating if there are several
+   */
+  async start() {
+    this.stop();
+    await this.apply();
+
+    if (this.options.activities.length > 1) {
+      this.rotationTimer = setInterval(() => {
+        this.index = (this.index + 1) % this.options.activities.length;
+        this.apply().catch(error => console.error('❌ Presence rotation failed:', error.message));
+      }, this.options.interval);
+
+      this.rotationTimer.unref?.();
+    }
+  }
+
+  /**
+   * Stop rotating (the current presence stays)
+   */
+  stop() {
+    if (this.rotationTimer) {
+      clearInterval(this.rotationTimer);
+      this.rotationTimer = null;
+    }
+  }
+
+  /**
+   * Send the current activity template with fresh stats
+   */
+  async apply() {
+    const template = this.options.activities[this.index];
+    const activity = typeof template === 'string' ? { name: template } : { ...template };
+
+    activity.name = this.render(activity.name, this.options.getStats());
+    activity.type = activity.type ?? this.options.activityType;
+
+    return this.client.setPresence({
+      status: this.options.status,
+      activities: [activity]
+    });
+  }
+
+  /**
+   * Change the status and/or activities, restarting the rotation
+   */
+  async update({ status, activityType, activities } = {}) {
+    if (status) this.options.status = status;
+    if (activityType) this.options.activityType = activityType;
+    if (activities?.length) {
+      this.options.activities = activities;
+      this.index = 0;
+    }
+
+    await this.start();
+  }
+
+  /**
+   * Fill {placeholders} from stats, leaving unknown ones untouched
+   */
+  render(template, stats = {}) {
+    const values = {
+      guilds: stats.guilds ?? 0,
+      commands: stats.metrics?.commandsExecuted ?? 0,
+      helped: stats.metrics?.usersHelped ?? 0,
+      uptime: this.formatUptime(stats.uptime || 0),
+      version: stats.version ?? ''
+    };
+
+    return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+  }
+
+  /**
+   * Format an uptime in ms as "3d 4h" / "5h 12m" / "7m"
+   */
+  formatUptime(ms) {
+    const minutes = Math.floor(ms / 60000);
+    const hours = Math.floor(minutes / 60);
+    const days = Math.floor(hours / 24);
+
+    if (days > 0) return `${days}d ${hours % 24}h`;
+    if (hours > 0) return `${hours}h ${minutes % 60}m`;
+    return `${minutes}m`;
+  }
+}
@@ -5,10 +5,143 @@
  * Uses only Discord Bot API - fully ToS compliant
  */
 
+import { describeError } from './discord-errors.js';
+import { WebhookManager } from './webhook-manager.js';
+import { PermissionResolver } from './permission-resolver.js';
+import { ToolError, ToolRegistry, ToolRisk } from './tool-registry.js';
+import { AutoModActionType, AutoModKeywordPreset, AutoModTriggerType } from './discord-client.js';
+import { PermissionFlags, Permissions, channelMention, parseDuration, roleMention, userMention } from './discord-utils.js';
+
+// Prefix of AutoMod rule names managed by the framework
+const AUTOMOD_RULE_PREFIX = 'Discord AI Core';
+
+// AutoMod timeouts are capped at 4 weeks
+const AUTOMOD_MAX_TIMEOUT_SECONDS = 2419200;
+
+// Users in moderation tools: ids, or objects with per-user settings
+const USER_LIST_SCHEMA = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    anyOf: [
+      { type: 'string', minLength: 1 },
+      {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          nickname: { type: 'string', maxLength: 32 },
+          duration: { type: 'string' },
+          reason: { type: 'string' }
+        }
+      }
+    ]
+  }
+};
+
+// Embed image, thumbnail and footer icons are plain URLs
+const EMBED_MEDIA_SCHEMA = {
+  type: 'object',
+  required: ['url'],
+  additionalProperties: false,
+  properties: { url: { type: 'string', pattern: '^https?://' } }
+};
+
+const EMBED_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    title: { type: 'string', maxLength: 256 },
+    description: { type: 'string', maxLength: 4096 },
+    url: { type: 'string', pattern: '^https?://' },
+    color: { type: 'integer', minimum: 0, maximum: 0xffffff },
+    fields: {
+      type: 'array',
+      maxItems: 25,
+      items: {
+        type: 'object',
+        required: ['name', 'value'],
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 256 },
+          value: { type: 'string', minLength: 1, maxLength: 1024 },
+          inline: { type: 'boolean' }
+        }
+      }
+    },
+    footer: {
+      type: 'object',
+      required: ['text'],
+      additionalProperties: false,
+      properties: {
+        text: { type: 'string', maxLength: 2048 },
+        icon_url: { type: 'string', pattern: '^https?://' }
+      }
+    },
+    author: {
+      type: 'object',
+      required: ['name'],
+      additionalProperties: false,
+      properties: {
+        name: { type: 'string', maxLength: 256 },
+        url: { type: 'string', pattern: '^https?://' },
+        icon_url: { type: 'string', pattern: '^https?://' }
+      }
+    },
+    image: EMBED_MEDIA_SCHEMA,
+    thumbnail: EMBED_MEDIA_SCHEMA
+  }
+};
+
+// Message content, or a body with content and embeds only (no files, mention overrides or flags from the model)
+const MESSAGE_SCHEMA = {
+  anyOf: [
+    { type: 'string', minLength: 1, maxLength: 2000 },
+    {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        content: { type: 'string', maxLength: 2000 },
+        embeds: { type: 'array', minItems: 1, maxItems: 10, items: EMBED_SCHEMA }
+      }
+    }
+  ]
+};
+
+// How long an admin has to confirm a plan with high-risk actions
+const PLAN_CONFIRMATION_TTL = 10 * 60 * 1000;
+
+// Permissions the bot needs for each user_management action
+const USER_MANAGEMENT_PERMISSIONS = {
+  bulk_nickname: ['MANAGE_NICKNAMES'],
+  role_cleanup: ['MANAGE_ROLES'],
+  timeout: ['MODERATE_MEMBERS'],
+  remove_timeout: ['MODERATE_MEMBERS'],
+  kick: ['KICK_MEMBERS'],
+  ban: ['BAN_MEMBERS'],
+  unban: ['BAN_MEMBERS'],
+  bulk_ban: ['BAN_MEMBERS']
+};
+
+// user_management actions Discord refuses against members with an equal or higher role
+const HIERARCHY_CHECKED_ACTIONS = new Set(['bulk_nickname', 'timeout', 'remove_timeout', 'kick', 'ban', 'bulk_ban']);
+
 export class ServerManager {
   constructor(discordClient, aiEngine) {
     this.client = discordClient;
     this.ai = aiEngine;
+    this.webhooks = new WebhookManager(discordClient);
+    this.permissions = new PermissionResolver(discordClient);
+
+    // Actions AI plans can use, other modules may register more
+    this.tools = new ToolRegistry({ permissions: this.permissions });
+    this.registerTools();
+
+    // Mod-log channel per guild (posted to through a webhook)
+    this.modLogChannels = new Map();
+
+    // AutoMod sends one execution per action, only log the first of each trigger
+    this.recentAutoModExecutions = new Set();
 
     // Server intelligence cache
     this.serverIntelligence = new Map();
@@ -18,6 +151,7 @@ export class ServerManager {
 
     // Management state
     this.activeOperations = new Map();
+    this.pendingPlans = new Map();
     this.scheduledOptimizations = new Map();
     this.preventiveMeasures = new Map();
 
@@ -32,6 +166,211 @@ export class ServerManager {
     };
   }
 
+  /**
+   * Register the built-in server management actions as AI tools
+   * Handlers are called with (args, { guildId, channelId, operation })
+   */
+  registerTools() {
+    this.tools.register({
+      name: 'channel_management',
+      description: 'Create channels. Channel type 0 is text, 2 voice, 4 category, 5 announcement, 15 forum.',
+      parameters: {
+        type: 'object',
+        required: ['action', 'channels'],
+        properties: {
+          action: { enum: ['create'] },
+          channels: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              required: ['name'],
+              properties: {
+                name: { type: 'string', minLength: 1, maxLength: 100 },
+                type: { enum: [0, 2, 4, 5, 13, 15] },
+                topic: { type: 'string', maxLength: 1024 },
+                parent_id: { type: 'string' },
+                nsfw: { type: 'boolean' },
+                rate_limit_per_user: { type: 'integer', minimum: 0, maximum: 21600 }
+              }
+            }
+          }
+        }
+      },
+      permissions: ['MANAGE_CHANNELS'],
+      risk: ToolRisk.LOW,
+      handler: (args, { guildId, operation }) => this.executeChannelManagement(args, guildId, operation)
+    });
+
+    this.tools.register({
+      name: 'role_management',
+      description: 'Create roles (permissions as a bitfield string) or give existing roles to members.',
+      parameters: {
+        type: 'object',
+        required: ['action'],
+        properties: {
+          action: { enum: ['create', 'mass_assign'] },
+          roles: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              required: ['name'],
+              properties: {
+                name: { type: 'string', minLength: 1, maxLength: 100 },
+                color: { type: 'integer', minimum: 0, maximum: 0xffffff },
+                permissions: { type: 'string', pattern: '^\\d+$' },
+                hoist: { type: 'boolean' },
+                mentionable: { type: 'boolean' }
+              }
+            }
+          },
+          assignments: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              required: ['userId', 'roleId'],
+              properties: {
+                userId: { type: 'string', minLength: 1 },
+                roleId: { type: 'string', minLength: 1 }
+              }
+            }
+          }
+        }
+      },
+      permissions: ['MANAGE_ROLES'],
+      risk: ToolRisk.MEDIUM,
+      handler: (args, { guildId, operation }) => this.executeRoleManagement(args, guildId, operation)
+    });
+
+    this.tools.register({
+      name: 'user_management',
+      description: 'Set nicknames (bulk_nickname, users need a nickname) or moderate members: timeout, remove_timeout, kick, ban, unban, bulk_ban.',
+      parameters: {
+        type: 'object',
+        required: ['action', 'users'],
+        properties: {
+          action: { enum: ['bulk_nickname', 'timeout', 'remove_timeout', 'kick', 'ban', 'unban', 'bulk_ban'] },
+          users: USER_LIST_SCHEMA,
+          reason: { type: 'string', maxLength: 400 },
+          duration: { type: 'string', description: 'Timeout length, e.g. 10m, 1h, 7d' },
+          delete_message_seconds: { type: 'integer', minimum: 0, maximum: 604800 }
+        }
+      },
+      permissions: ({ action }) => ({ permissions: USER_MANAGEMENT_PERMISSIONS[action] || [] }),
+      risk: ToolRisk.HIGH,
+      handler: (args, { guildId, operation }) => this.executeUserManagement(args, guildId, operation)
+    });
+
+    this.tools.register({
+      name: 'server_customization',
+      description: 'Update the server name, description, icon or banner (images as URLs or data URIs).',
+      parameters: {
+        type: 'object',
+        required: ['updates'],
+        properties: {
+          updates: {
+            type: 'object',
+            required: ['basic'],
+            additionalProperties: false,
+            properties: {
+              basic: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string', minLength: 2, maxLength: 100 },
+                  description: { type: 'string', maxLength: 120 },
+                  icon: { type: 'string' },
+                  banner: { type: 'string' }
+                }
+              }
+            }
+          }
+        }
+      },
+      permissions: ['MANAGE_GUILD'],
+      risk: ToolRisk.MEDIUM,
+      handler: (args, { guildId, operation }) => this.executeServerCustomization(args, guildId, operation)
+    });
+
+    this.tools.register({
+      name: 'automation_setup',
+      description: 'Create or update native AutoMod rules (keywords, regex_patterns, allow_list, presets, spam, mention_limit, alert_channel_id, timeout_seconds).',
+      parameters: {
+        type: 'object',
+        required: ['automation_type'],
+        properties: {
+          automation_type: { enum: ['moderation'] },
+          settings: { type: 'object' }
+        }
+      },
+      permissions: ['MANAGE_GUILD'],
+      risk: ToolRisk.MEDIUM,
+      handler: (args, { guildId, operation }) => this.executeAutomationSetup(args, guildId, operation)
+    });
+
+    this.tools.register({
+      name: 'support_ticket',
+      description: 'Open a support ticket for a user, as a private thread of channelId or a new private channel.',
+      parameters: {
+        type: 'object',
+        required: ['userId', 'issue'],
+        properties: {
+          userId: { type: 'string', minLength: 1 },
+          issue: { type: 'string', minLength: 1, maxLength: 1000 },
+          priority: { enum: ['low', 'normal', 'high'] },
+          channelId: { type: 'string' }
+        }
+      },
+      permissions: ({ channelId }) => (channelId
+        ? { permissions: ['CREATE_PRIVATE_THREADS', 'SEND_MESSAGES_IN_THREADS'], channelId }
+        : { permissions: ['MANAGE_CHANNELS', 'MANAGE_ROLES'] }),
+      risk: ToolRisk.LOW,
+      handler: (args, { guildId, operation }) => this.executeSupportTicket(args, guildId, operation)
+    });
+
+    this.tools.register({
+      name: 'announcement',
+      description: 'Post a message in a channel through a webhook with a custom name and avatar.',
+      parameters: {
+        type: 'object',
+        required: ['channelId', 'message'],
+        properties: {
+          channelId: { type: 'string', minLength: 1 },
+          message: MESSAGE_SCHEMA,
+          username: { type: 'string', minLength: 1, maxLength: 80 },
+          avatar_url: { type: 'string' },
+          threadId: { type: 'string' }
+        }
+      },
+      permissions: ({ channelId }) => ({ permissions: ['MANAGE_WEBHOOKS'], channelId }),
+      risk: ToolRisk.LOW,
+      handler: (args, { guildId }) => this.executeAnnouncement(args, guildId)
+    });
+
+    this.tools.register({
+      name: 'mass_dm',
+      description: 'Send a direct message to every human member, or those with (specific_role) or without (without_role) a role.',
+      parameters: {
+        type: 'object',
+        required: ['message'],
+        properties: {
+          message: MESSAGE_SCHEMA,
+          targeting: { enum: ['all_humans', 'specific_role', 'without_role'] },
+          filters: {
+            type: 'object',
+            properties: {
+              roleId: { type: 'string' },
+              excludeRoleId: { type: 'string' }
+            }
+          }
+        }
+      },
+      risk: ToolRisk.HIGH,
+      handler: (args, { guildId }) => this.executeMassDM(args, guildId)
+    });
+  }
+
   /**
    * Initialize server management systems
    */
@@ -112,6 +451,7 @@ export class ServerManager {
       this.optimizationHistory.delete(guild.id);
       this.healthMonitoring.delete(guild.id);
       this.autonomousActions.delete(guild.id);
+      this.modLogChannels.delete(guild.id);
 
       // Clean up any active operations for this guild
       for (const [operationId, operation] of this.activeOperations) {
@@ -138,8 +478,11 @@ export class ServerManager {
 
   /**
    * Handle admin commands with AI analysis
+   *
+   * @param {Object} options
+   * @param {string} options.userId - Id of the admin; tools needing permissions are refused without it
    */
-  async handleAdminCommand(command, adminUser, channelId, messageId) {
+  async handleAdminCommand(command, adminUser, channelId, messageId, { userId = null } = {}) {
     console.log(`👑 Server Manager: Processing admin command from ${adminUser}`);
 
     try {
@@ -151,12 +494,18 @@ export class ServerManager {
       const serverContext = await this.gatherServerIntelligence(guildId);
 
       // Let AI analyze the command
-      const aiPlan = await this.analyzeAdminCommand(command, adminUser, serverContext);
+      const aiPlan = await this.analyzeAdminCommand(command, adminUser, serverContext, { channelId, userId });
 
       console.log(`🧠 AI Plan: ${aiPlan.intent} (${aiPlan.actions.length} actions)`);
 
+      // High-risk plans wait for the admin to press Confirm
+      if (aiPlan.requires_confirmation) {
+        await this.requestPlanConfirmation(aiPlan, { guildId, channelId, messageId, adminUser, userId });
+        return [];
+      }
+
       // Execute the plan
-      const results = await this.executeAIPlan(aiPlan, guildId, channelId);
+      const results = await this.executeAIPlan(aiPlan, guildId, channelId, adminUser, { userId });
 
       // Send feedback to admin
       await this.client.sendMessage(channelId, {
@@ -196,9 +545,96 @@ export class ServerManager {
   }
 
   /**
-   * Analyze admin command with AI
+   * Ask the admin to confirm a plan before it runs, with Confirm and Cancel buttons
+   * Returns the id of the pending plan
+   */
+  async requestPlanConfirmation(plan, { guildId, channelId, messageId = null, adminUser = null, userId = null }) {
+    const confirmationId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+    const timeout = setTimeout(() => this.pendingPlans.delete(confirmationId), PLAN_CONFIRMATION_TTL);
+    timeout.unref?.();
+
+    this.pendingPlans.set(confirmationId, { plan, guildId, channelId, adminUser, userId, timeout });
+
+    await this.client.sendMessage(channelId, {
+      embeds: [{
+        title: '⚠️ Confirm AI Plan',
+        description: [
+          plan.user_feedback || plan.intent,
+          '',
+          ...plan.actions.map((action, index) => `${index + 1}. ${action.description} (${action.risk_level} risk)`)
+        ].join('\n').slice(0, 4096),
+        color: 0xed4245,
+        footer: { text: 'High-risk actions only run after confirmation (expires in 10 minutes)' }
+      }],
+      components: [{
+        type: 1, // ACTION_ROW
+        components: [
+          { type: 2, style: 4, label: 'Confirm', custom_id: `aiplan_confirm_${confirmationId}`, emoji: { name: '⚡' } },
+          { type: 2, style: 2, label: 'Cancel', custom_id: `aiplan_cancel_${confirmationId}`, emoji: { name: '❌' } }
+        ]
+      }],
+      ...(messageId ? { message_reference: { message_id: messageId, channel_id: channelId, fail_if_not_exists: false } } : {})
+    });
+
+    console.log(`⏸️ AI plan ${confirmationId} awaiting admin confirmation`);
+    return confirmationId;
+  }
+
+  /**
+   * Handle the Confirm and Cancel buttons of a pending plan
+   * Only the requesting admin (or an administrator when unknown) may answer
    */
-  async analyzeAdminCommand(command, adminUser, serverContext) {
+  async handlePlanComponent(interaction) {
+    const [, choice, confirmationId] = interaction.data.custom_id.match(/^aiplan_(confirm|cancel)_(\w+)$/) || [];
+    const pending = this.pendingPlans.get(confirmationId);
+    const userId = interaction.member?.user?.id || interaction.user?.id;
+
+    const respond = (type, data) => this.client.api(`interactions/${interaction.id}/${interaction.token}/callback`, {
+      method: 'POST',
+      body: { type, data }
+    });
+
+    if (!pending) {
+      return respond(4, { content: '❌ This plan has expired or was already answered.', flags: 64 });
+    }
+
+    const allowed = pending.userId
+      ? userId === pending.userId
+      : new Permissions(interaction.member?.permissions || 0).has('ADMINISTRATOR');
+
+    if (!allowed) {
+      return respond(4, { content: '❌ Only the admin who requested this plan can answer it.', flags: 64 });
+    }
+
+    clearTimeout(pending.timeout);
+    this.pendingPlans.delete(confirmationId);
+
+    if (choice === 'cancel') {
+      return respond(7, { content: '❌ AI plan cancelled.', embeds: [], components: [] });
+    }
+
+    await respond(7, { content: `⚡ Executing AI plan: ${pending.plan.intent}`, embeds: [], components: [] });
+
+    const results = await this.executeAIPlan(pending.plan, pending.guildId, pending.channelId, pending.adminUser, {
+      confirmed: true,
+      userId: pending.userId || userId
+    });
+
+    await this.client.sendMessage(pending.channelId, {
+      content: results.map(result => `${result.success ? '✅' : '❌'} ${result.description || result.action}${result.error ? ` — ${result.error}` : ''}`).join('\n').slice(0, 2000) || 'No actions were run.'
+    });
+
+    return results;
+  }
+
+  /**
+   * Plan an admin command with AI
+   * The model calls registered tools to build the plan; calls are validated and
+   * queued as plan actions, and its final answer becomes the admin feedback.
+   * Tools the requesting member lacks permissions for are refused.
+   */
+  async analyzeAdminCommand(command, adminUser, serverContext, { channelId = null, userId = null } = {}) {
     const prompt = `
 ADMIN COMMAND ANALYSIS
 
@@ -206,39 +642,45 @@ Command: "${command}"
 Admin: ${adminUser}
 Server Context: ${JSON.stringify(serverContext, null, 2)}
 
-Analyze this command and determine:
-1. Primary intent and desired outcome
-2. Required actions to achieve the goal
-3. Safety considerations and checks needed
-4. Expected user feedback and success metrics
-
-Respond with a detailed JSON execution plan:
-{
-  "intent": "clear description of what admin wants",
-  "confidence": 0.95,
-  "actions": [
-    {
-      "type": "action_category",
-      "description": "detailed description",
-      "parameters": {},
-      "priority": 1,
-      "risk_level": "low|medium|high",
-      "estimated_time": "time estimate"
-    }
-  ],
-  "safety_checks": ["list of safety considerations"],
-  "success_criteria": ["how to measure success"],
-  "user_feedback": "message to send back to admin",
-  "requires_confirmation": false
-}`;
+Plan the actions needed to carry out this command by calling the available tools,
+in the order they should run. Calls are queued, not run yet: each result only
+confirms the call was accepted. Only call tools the command asks for or clearly needs.
+When the plan is complete, reply with a short message telling the admin what will be done.`;
 
     try {
-      const response = await this.ai.processIntelligence(prompt, {
-        type: 'server_management',
-        serverInfo: serverContext
-      }, 1200);
+      const actions = [];
+
+      const toolContext = { guildId: serverContext.guildId, channelId, userId };
+
+      const { content, complete } = await this.ai.runTools(prompt, this.tools, toolContext, {
+        context: {
+          type: 'server_management',
+          serverInfo: serverContext
+        },
+        maxTokens: 1200,
+        onToolCall: (tool, parameters) => {
+          actions.push({
+            type: tool.name,
+            description: parameters.action ? `${tool.name}: ${parameters.action}` : tool.name,
+            parameters,
+            priority: actions.length + 1,
+            risk_level: tool.risk
+          });
+
+          return { status: 'queued', position: actions.length };
+        }
+      });
 
-      const plan = JSON.parse(response);
+      if (!complete && actions.length === 0) {
+        throw new Error('AI did not produce a plan');
+      }
+
+      const plan = {
+        intent: command,
+        actions,
+        user_feedback: content,
+        requires_confirmation: actions.some(action => action.risk_level === ToolRisk.HIGH)
+      };
 
       // Store this interaction for learning
       this.storeInteraction(serverContext.guildId, command, plan);
@@ -252,78 +694,60 @@ Respond with a detailed JSON execution plan:
   }
 
   /**
-   * Execute AI-generated plan with dynamic action routing
+   * Execute an AI-generated plan
+   * Each action names a registered tool; unknown tools, invalid parameters and
+   * failed pre-flight checks fail that action without running it.
+   * High-risk tools only run when the admin has confirmed the plan, and tools
+   * needing permissions only when the requesting member (userId) has them.
    */
-  async executeAIPlan(plan, guildId, channelId) {
+  async executeAIPlan(plan, guildId, channelId, adminUser = null, { confirmed = false, userId = null } = {}) {
     console.log(`⚡ Executing AI plan: ${plan.intent}`);
 
     const results = [];
     const operationId = `operation_${Date.now()}`;
 
     // Track this operation
-    this.activeOperations.set(operationId, {
+    const operation = {
+      id: operationId,
       plan,
       guildId,
+      admin: adminUser,
       startTime: Date.now(),
       status: 'executing'
-    });
+    };
+    this.activeOperations.set(operationId, operation);
+
+    // Missing checks only lose the early warning, Discord still refuses what the bot can't do
+    try {
+      operation.preflight = await this.preflightPlan(plan, guildId);
+    } catch (error) {
+      console.warn(`⚠️ Pre-flight checks skipped: ${describeError(error)}`);
+      operation.preflight = { ok: true, issues: [] };
+    }
 
     try {
       // Process each action in the plan
-      for (const action of plan.actions) {
+      for (const [index, action] of plan.actions.entries()) {
         console.log(`🔧 Executing: ${action.description}`);
 
         try {
-          let result;
-
-          // Dynamic action routing based on AI-determined type
-          switch (action.type) {
-            case 'mass_dm':
-              result = await this.executeMassDM(action.parameters, guildId);
-              break;
-
-            case 'server_restructure':
-              result = await this.executeServerRestructure(action.parameters, guildId);
-              break;
-
-            case 'channel_management':
-              result = await this.executeChannelManagement(action.parameters, guildId);
-              break;
-
-            case 'role_management':
-              result = await this.executeRoleManagement(action.parameters, guildId);
-              break;
-
-            case 'user_management':
-              result = await this.executeUserManagement(action.parameters, guildId);
-              break;
-
-            case 'permission_optimization':
-              result = await this.executePermissionOptimization(action.parameters, guildId);
-              break;
-
-            case 'server_customization':
-              result = await this.executeServerCustomization(action.parameters, guildId);
-              break;
-
-            case 'automation_setup':
-              result = await this.executeAutomationSetup(action.parameters, guildId);
-              break;
-
-            case 'support_ticket':
-              result = await this.executeSupportTicket(action.parameters, guildId);
-              break;
-
-            case 'ai_custom_action':
-              // For completely novel actions the AI invents
-              result = await this.executeCustomAIAction(action, guildId);
-              break;
-
-            default:
-              console.log(`🤖 Unknown action type: ${action.type}, asking AI for implementation...`);
-              result = await this.getAIActionImplementation(action, guildId);
+          const invalid = this.tools.validate(action.type, action.parameters || {});
+          if (invalid.length > 0) {
+            throw new ToolError(`Invalid ${action.type} action`, { tool: action.type, errors: invalid });
           }
 
+          if (this.tools.get(action.type).risk === ToolRisk.HIGH && !confirmed) {
+            throw new Error(`${action.type} is high risk and needs admin confirmation`);
+          }
+
+          const issues = operation.preflight.issues.filter(issue => issue.index === index);
+          if (issues.length > 0) {
+            throw new Error(`Pre-flight check failed: ${issues.map(issue => issue.message).join('; ')}`);
+          }
+
+          // Only registered tools run, with validated parameters
+          const result = await this.tools.execute(action.type, action.parameters || {}, { guildId, channelId, userId, operation });
+
           results.push({
             action: action.type,
             description: action.description,
@@ -346,7 +770,8 @@ Respond with a detailed JSON execution plan:
           });
 
           // Continue with other actions unless it's critical
-          if (action.priority === 1 && action.risk_level === 'high') {
+          const risk = this.tools.get(action.type)?.risk ?? action.risk_level;
+          if (action.priority === 1 && risk === ToolRisk.HIGH) {
             console.log(`🛑 Critical action failed, stopping execution`);
             break;
           }
@@ -361,6 +786,15 @@ Respond with a detailed JSON execution plan:
       this.metrics.autonomousDecisions++;
       this.metrics.successRate = this.calculateSuccessRate();
 
+      await this.postModLog(guildId, {
+        title: `🤖 AI plan executed: ${plan.intent}`,
+        description: results.map(result => `${result.success ? '✅' : '❌'} ${result.description || result.action}`).join('\n'),
+        fields: [
+          { name: 'Requested by', value: adminUser || 'Autonomous', inline: true },
+          { name: 'Operation', value: operationId, inline: true }
+        ]
+      });
+
       return results;
 
     } catch (error) {
@@ -375,6 +809,108 @@ Respond with a detailed JSON execution plan:
     }
   }
 
+  /**
+   * Check the bot's permissions and role hierarchy for every action of a plan
+   * Returns { ok, issues: [{ index, action, message }] }
+   */
+  async preflightPlan(plan, guildId) {
+    const botId = this.client.user?.id;
+    const issues = [];
+
+    if (!botId) return { ok: true, issues };
+
+    const guildPermissions = await this.permissions.permissionsFor(guildId, botId);
+
+    for (const [index, action] of plan.actions.entries()) {
+      const messages = await this.preflightAction(action, guildId, botId, guildPermissions);
+      issues.push(...messages.map(message => ({ index, action: action.type, message })));
+    }
+
+    return { ok: issues.length === 0, issues };
+  }
+
+  /**
+   * Get the problems that would stop the bot performing an action
+   */
+  async preflightAction(action, guildId, botId, guildPermissions) {
+    const { permissions, channelId } = this.getRequiredPermissions(action);
+
+    const granted = channelId
+      ? await this.permissions.permissionsFor(guildId, botId, channelId)
+      : guildPermissions;
+
+    const missing = granted.missing(permissions);
+    if (missing.length > 0) {
+      const where = channelId ? ` in ${channelMention(channelId)}` : '';
+      return missing.map(name => `Bot lacks ${name}${where}`);
+    }
+
+    return this.checkHierarchy(action, guildId, botId, guildPermissions);
+  }
+
+  /**
+   * Permissions the bot needs for an action, and the channel they apply in (if any)
+   */
+  getRequiredPermissions(action) {
+    return this.tools.getRequiredPermissions(action.type, action.parameters || {});
+  }
+
+  /**
+   * Check the bot's highest role is above the roles and members an action touches
+   */
+  async checkHierarchy(action, guildId, botId, guildPermissions) {
+    const parameters = action.parameters || {};
+    const problems = [];
+
+    if (action.type === 'role_management' && parameters.action === 'create') {
+      // Roles can only be given permissions the bot has itself
+      for (const role of parameters.roles || []) {
+        const ungrantable = guildPermissions.missing(role.permissions || 0n);
+        if (ungrantable.length > 0) {
+          problems.push(`Bot can't grant ${ungrantable.join(', ')} to role ${role.name}`);
+        }
+      }
+    }
+
+    if (action.type === 'role_management' && parameters.action === 'mass_assign') {
+      const roleIds = new Set((parameters.assignments || []).map(assignment => assignment.roleId || assignment.role_id).filter(Boolean));
+
+      for (const roleId of roleIds) {
+        if (!await this.permissions.outranksRole(guildId, botId, roleId)) {
+          problems.push(`Bot lacks MANAGE_ROLES above ${roleMention(roleId)}`);
+        }
+      }
+    }
+
+    if (action.type === 'user_management' && HIERARCHY_CHECKED_ACTIONS.has(parameters.action)) {
+      for (const user of parameters.users || []) {
+        const userId = typeof user === 'string' ? user : user.id;
+
+        try {
+          if (!await this.permissions.outranksMember(guildId, botId, userId)) {
+            problems.push(`Bot's highest role is not above ${userMention(userId)}'s`);
+          }
+        } catch (error) {
+          // Users who left the server can still be banned, Discord reports anything else
+        }
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Build the audit log reason for a mutation, naming the admin and AI operation
+   */
+  getAuditReason(operation, action) {
+    const parts = [action];
+
+    if (operation?.admin) parts.push(`requested by ${operation.admin}`);
+    if (operation?.id) parts.push(`AI plan ${operation.id}`);
+
+    return `Discord AI Core: ${parts.join(' | ')}`;
+  }
+
   /**
    * Execute mass DM with intelligent targeting
    */
@@ -444,54 +980,10 @@ Respond with a detailed JSON execution plan:
     return results;
   }
 
-  /**
-   * Execute complete server restructure
-   */
-  async executeServerRestructure(parameters, guildId) {
-    console.log(`🏗️ Executing server restructure for guild ${guildId}`);
-
-    const {
-      channelPlan,
-      rolePlan,
-      permissionMatrix,
-      preserveExisting = true
-    } = parameters;
-
-    const results = {
-      channelsCreated: 0,
-      channelsModified: 0,
-      rolesCreated: 0,
-      rolesModified: 0,
-      permissionsUpdated: 0
-    };
-
-    // Execute channel restructuring
-    if (channelPlan) {
-      const channelResults = await this.executeChannelPlan(channelPlan, guildId, preserveExisting);
-      results.channelsCreated = channelResults.created;
-      results.channelsModified = channelResults.modified;
-    }
-
-    // Execute role restructuring
-    if (rolePlan) {
-      const roleResults = await this.executeRolePlan(rolePlan, guildId, preserveExisting);
-      results.rolesCreated = roleResults.created;
-      results.rolesModified = roleResults.modified;
-    }
-
-    // Apply permission matrix
-    if (permissionMatrix) {
-      results.permissionsUpdated = await this.applyPermissionMatrix(permissionMatrix, guildId);
-    }
-
-    this.metrics.optimizationsPerformed++;
-    return results;
-  }
-
   /**
    * Execute channel management
    */
-  async executeChannelManagement(parameters, guildId) {
+  async executeChannelManagement(parameters, guildId, operation = null) {
     console.log(`📁 Executing channel management for guild ${guildId}`);
 
     const { action, channels, settings } = parameters;
@@ -503,11 +995,12 @@ Respond with a detailed JSON execution plan:
           try {
             const newChannel = await this.client.api(`guilds/${guildId}/channels`, {
               method: 'POST',
-              body: channelData
+              body: channelData,
+              reason: this.getAuditReason(operation, `Create channel #${channelData.name}`)
             });
             results.push({ action: 'created', channel: newChannel.name, id: newChannel.id });
           } catch (error) {
-            results.push({ action: 'create_failed', error: error.message });
+            results.push({ action: 'create_failed', channel: channelData.name, error: describeError(error), code: error.code });
           }
         }
         break;
@@ -534,7 +1027,7 @@ Respond with a detailed JSON execution plan:
   /**
    * Execute role management
    */
-  async executeRoleManagement(parameters, guildId) {
+  async executeRoleManagement(parameters, guildId, operation = null) {
     console.log(`👥 Executing role management for guild ${guildId}`);
 
     const { action, roles, assignments, settings } = parameters;
@@ -546,11 +1039,12 @@ Respond with a detailed JSON execution plan:
           try {
             const newRole = await this.client.api(`guilds/${guildId}/roles`, {
               method: 'POST',
-              body: roleData
+              body: roleData,
+              reason: this.getAuditReason(operation, `Create role ${roleData.name}`)
             });
             results.push({ action: 'created', role: newRole.name, id: newRole.id });
           } catch (error) {
-            results.push({ action: 'create_failed', error: error.message });
+            results.push({ action: 'create_failed', role: roleData.name, error: describeError(error), code: error.code });
           }
         }
         break;
@@ -560,8 +1054,7 @@ Respond with a detailed JSON execution plan:
         break;
 
       case 'mass_assign':
-        // Assign roles to users based on criteria
-        results.push(await this.massAssignRoles(guildId, assignments));
+        results.push(...await this.massAssignRoles(guildId, assignments, operation));
         break;
 
       case 'permission_audit':
@@ -573,10 +1066,28 @@ Respond with a detailed JSON execution plan:
     return results;
   }
 
+  /**
+   * Give roles to members, one request per assignment
+   */
+  async massAssignRoles(guildId, assignments, operation = null) {
+    const results = [];
+
+    for (const { userId, roleId } of assignments) {
+      try {
+        await this.client.addMemberRole(guildId, userId, roleId, this.getAuditReason(operation, `Assign role ${roleId}`));
+        results.push({ action: 'role_assigned', user: userId, role: roleId });
+      } catch (error) {
+        results.push({ action: 'assign_failed', user: userId, role: roleId, error: describeError(error), code: error.code });
+      }
+    }
+
+    return results;
+  }
+
   /**
    * Execute user management
    */
-  async executeUserManagement(parameters, guildId) {
+  async executeUserManagement(parameters, guildId, operation = null) {
     console.log(`👤 Executing user management for guild ${guildId}`);
 
     const { action, users, criteria, settings } = parameters;
@@ -589,11 +1100,12 @@ Respond with a detailed JSON execution plan:
           try {
             await this.client.api(`guilds/${guildId}/members/${userUpdate.id}`, {
               method: 'PATCH',
-              body: { nick: userUpdate.nickname }
+              body: { nick: userUpdate.nickname },
+              reason: this.getAuditReason(operation, 'Bulk nickname update')
             });
             results.push({ action: 'nickname_updated', user: userUpdate.id });
           } catch (error) {
-            results.push({ action: 'nickname_failed', user: userUpdate.id, error: error.message });
+            results.push({ action: 'nickname_failed', user: userUpdate.id, error: describeError(error), code: error.code });
           }
         }
         break;
@@ -607,6 +1119,24 @@ Respond with a detailed JSON execution plan:
         // Set up automated welcome system
         results.push(await this.setupWelcomeSystem(guildId, settings));
         break;
+
+      case 'timeout':
+      case 'remove_timeout':
+      case 'kick':
+      case 'ban':
+      case 'unban':
+        results.push(...await this.executeModeration(action, users || [], parameters, guildId, operation));
+        break;
+
+      case 'bulk_ban': {
+        const userIds = (users || []).map(user => (typeof user === 'string' ? user : user.id));
+        const banned = await this.client.bulkBanMembers(guildId, userIds, {
+          deleteMessageSeconds: parameters.delete_message_seconds || 0,
+          reason: this.getAuditReason(operation, `Bulk ban: ${parameters.reason || 'no reason given'}`)
+        });
+        results.push({ action: 'bulk_banned', banned: banned.banned_users, failed: banned.failed_users });
+        break;
+      }
     }
 
     this.metrics.usersHelped += results.filter(r => r.action.includes('updated')).length;
@@ -614,21 +1144,50 @@ Respond with a detailed JSON execution plan:
   }
 
   /**
-   * Execute permission optimization
+   * Apply a moderation action to each user
+   * Users are ids or { id, duration, reason }; parameters.duration/reason are the defaults
    */
-  async executePermissionOptimization(parameters, guildId) {
-    console.log(`🔐 Executing permission optimization for guild ${guildId}`);
+  async executeModeration(action, users, parameters, guildId, operation = null) {
+    const results = [];
 
-    const results = {
-      optimized: 0,
-      issues_fixed: 0,
-      recommendations: []
-    };
+    for (const user of users) {
+      const target = typeof user === 'string' ? { id: user } : user;
+      const reason = this.getAuditReason(operation, `${action}: ${target.reason || parameters.reason || 'no reason given'}`);
+
+      try {
+        switch (action) {
+          case 'timeout':
+            await this.client.timeoutMember(guildId, target.id, target.duration || parameters.duration || '10m', reason);
+            break;
+          case 'remove_timeout':
+            await this.client.removeTimeout(guildId, target.id, reason);
+            break;
+          case 'kick':
+            await this.client.kickMember(guildId, target.id, reason);
+            break;
+          case 'ban':
+            await this.client.banMember(guildId, target.id, {
+              delete_message_seconds: parameters.delete_message_seconds || 0,
+              reason
+            });
+            break;
+          case 'unban':
+            await this.client.unbanMember(guildId, target.id, reason);
+            break;
+        }
+
+        results.push({ action: `${action}_applied`, user: target.id });
+
+      } catch (error) {
+        results.push({ action: `${action}_failed`, user: target.id, error: describeError(error), code: error.code });
+      }
+    }
 
-    // Placeholder implementation for permission optimization
-    results.recommendations.push('Review @everyone permissions');
-    results.recommendations.push('Set up role-based channel access');
-    results.recommendations.push('Create private admin channels');
+    await this.postModLog(guildId, {
+      title: `🔨 Moderation: ${action}`,
+      description: results.map(result => `${result.error ? '❌' : '✅'} ${userMention(result.user)}${result.error ? ` — ${result.error}` : ''}`).join('\n'),
+      fields: [{ name: 'Reason', value: parameters.reason || 'No reason given' }]
+    });
 
     return results;
   }
@@ -636,7 +1195,7 @@ Respond with a detailed JSON execution plan:
   /**
    * Execute automation setup
    */
-  async executeAutomationSetup(parameters, guildId) {
+  async executeAutomationSetup(parameters, guildId, operation = null) {
     console.log(`🤖 Executing automation setup for guild ${guildId}`);
 
     const { automation_type, settings } = parameters;
@@ -650,7 +1209,7 @@ Respond with a detailed JSON execution plan:
         results.push(await this.setupAutoRoles(guildId, settings));
         break;
       case 'moderation':
-        results.push(await this.setupAutoModeration(guildId, settings));
+        results.push(await this.setupAutoModeration(guildId, settings, operation));
         break;
       default:
         results.push({ action: 'unknown_automation', type: automation_type });
@@ -659,10 +1218,182 @@ Respond with a detailed JSON execution plan:
     return results;
   }
 
+  /**
+   * Create or update the framework's native AutoMod rules
+   *
+   * @param {Object} settings
+   * @param {string[]} settings.keywords - Blocked keywords (supports * wildcards)
+   * @param {string[]} settings.regex_patterns - Blocked regex patterns
+   * @param {string[]} settings.allow_list - Keywords exempt from keyword and preset rules
+   * @param {string[]} settings.presets - profanity, sexual_content and/or slurs (default profanity, slurs)
+   * @param {boolean} settings.spam - Block suspected spam (default true)
+   * @param {number} settings.mention_limit - Unique mentions per message, 0 disables (default 5)
+   * @param {string[]} settings.actions - block, alert and/or timeout (default block, alert)
+   * @param {string} settings.alert_channel - Alert channel (defaults to the mod-log channel)
+   * @param {string} settings.timeout - Timeout length for keyword and mention rules (default 10m)
+   */
+  async setupAutoModeration(guildId, settings = {}, operation = null) {
+    console.log(`🛡️ Configuring AutoMod rules for guild ${guildId}`);
+
+    const existing = await this.client.getAutoModRules(guildId);
+    const results = [];
+
+    for (const rule of this.buildAutoModRules(guildId, settings)) {
+      const owned = existing.find(item => item.name === rule.name);
+      const reason = this.getAuditReason(operation, `Configure AutoMod rule "${rule.name}"`);
+
+      // Spam, preset and mention rules are limited to one per guild, don't clobber the admin's own
+      const conflicting = rule.trigger_type !== AutoModTriggerType.KEYWORD &&
+        existing.find(item => item.trigger_type === rule.trigger_type && item.name !== rule.name);
+
+      try {
+        if (owned) {
+          const updated = await this.client.modifyAutoModRule(guildId, owned.id, rule, reason);
+          results.push({ action: 'automod_rule_updated', rule: rule.name, id: updated.id });
+        } else if (conflicting) {
+          results.push({ action: 'automod_rule_skipped', rule: rule.name, existing: conflicting.name });
+        } else {
+          const created = await this.client.createAutoModRule(guildId, rule, reason);
+          results.push({ action: 'automod_rule_created', rule: rule.name, id: created.id });
+        }
+      } catch (error) {
+        results.push({ action: 'automod_rule_failed', rule: rule.name, error: describeError(error), code: error.code });
+      }
+    }
+
+    await this.postModLog(guildId, {
+      title: '🛡️ AutoMod configured',
+      description: results.map(result => `${result.error ? '❌' : '✅'} ${result.rule} — ${result.action.replace('automod_rule_', '')}`).join('\n')
+    });
+
+    return { action: 'auto_moderation_configured', rules: results };
+  }
+
+  /**
+   * Build AutoMod rule bodies from setup settings
+   */
+  buildAutoModRules(guildId, settings) {
+    const rules = [];
+    const allowList = settings.allow_list || [];
+
+    if (settings.keywords?.length || settings.regex_patterns?.length) {
+      rules.push({
+        name: `${AUTOMOD_RULE_PREFIX}: Blocked keywords`,
+        trigger_type: AutoModTriggerType.KEYWORD,
+        trigger_metadata: {
+          keyword_filter: settings.keywords || [],
+          regex_patterns: settings.regex_patterns || [],
+          allow_list: allowList
+        }
+      });
+    }
+
+    if (settings.spam !== false) {
+      rules.push({
+        name: `${AUTOMOD_RULE_PREFIX}: Spam`,
+        trigger_type: AutoModTriggerType.SPAM,
+        trigger_metadata: {}
+      });
+    }
+
+    const presets = (settings.presets || ['profanity', 'slurs'])
+      .map(preset => AutoModKeywordPreset[preset.toUpperCase()])
+      .filter(Boolean);
+
+    if (presets.length > 0) {
+      rules.push({
+        name: `${AUTOMOD_RULE_PREFIX}: Filtered language`,
+        trigger_type: AutoModTriggerType.KEYWORD_PRESET,
+        trigger_metadata: { presets, allow_list: allowList }
+      });
+    }
+
+    if (settings.mention_limit !== 0) {
+      rules.push({
+        name: `${AUTOMOD_RULE_PREFIX}: Mention spam`,
+        trigger_type: AutoModTriggerType.MENTION_SPAM,
+        trigger_metadata: {
+          mention_total_limit: settings.mention_limit || 5,
+          mention_raid_protection_enabled: settings.mention_raid_protection ?? true
+        }
+      });
+    }
+
+    return rules.map(rule => ({
+      ...rule,
+      actions: this.buildAutoModActions(guildId, rule.trigger_type, settings),
+      exempt_roles: settings.exempt_roles || [],
+      exempt_channels: settings.exempt_channels || []
+    }));
+  }
+
+  /**
+   * Build the actions a rule takes when it triggers
+   */
+  buildAutoModActions(guildId, triggerType, settings) {
+    const wanted = settings.actions || ['block', 'alert'];
+    const alertChannel = settings.alert_channel || this.modLogChannels.get(guildId);
+    const actions = [];
+
+    if (wanted.includes('block')) {
+      actions.push({
+        type: AutoModActionType.BLOCK_MESSAGE,
+        metadata: settings.custom_message ? { custom_message: settings.custom_message.slice(0, 150) } : {}
+      });
+    }
+
+    if (wanted.includes('alert') && alertChannel) {
+      actions.push({ type: AutoModActionType.SEND_ALERT_MESSAGE, metadata: { channel_id: alertChannel } });
+    }
+
+    // Discord only allows timeouts on keyword and mention spam rules
+    const canTimeout = triggerType === AutoModTriggerType.KEYWORD || triggerType === AutoModTriggerType.MENTION_SPAM;
+
+    if (wanted.includes('timeout') && canTimeout) {
+      const seconds = Math.round((parseDuration(settings.timeout || '10m') ?? 600000) / 1000);
+      actions.push({
+        type: AutoModActionType.TIMEOUT,
+        metadata: { duration_seconds: Math.min(seconds, AUTOMOD_MAX_TIMEOUT_SECONDS) }
+      });
+    }
+
+    return actions;
+  }
+
+  /**
+   * React to an AUTO_MODERATION_ACTION_EXECUTION dispatch
+   */
+  async handleAutoModExecution(execution) {
+    const key = `${execution.rule_id}:${execution.user_id}:${execution.message_id || execution.content}`;
+    if (this.recentAutoModExecutions.has(key)) return null;
+
+    this.recentAutoModExecutions.add(key);
+    setTimeout(() => this.recentAutoModExecutions.delete(key), 10000).unref?.();
+
+    this.metrics.issuesPrevented++;
+
+    const rule = this.client.guilds.get(execution.guild_id)?.auto_moderation_rules
+      ?.find(item => item.id === execution.rule_id);
+
+    console.log(`🛡️ AutoMod rule ${rule?.name || execution.rule_id} triggered by ${execution.user_id}`);
+
+    const fields = [
+      { name: 'Matched', value: execution.matched_keyword || execution.matched_content },
+      { name: 'Content', value: execution.content?.slice(0, 1024) }
+    ].filter(field => field.value);
+
+    return this.postModLog(execution.guild_id, {
+      title: `🛡️ AutoMod: ${rule?.name || `rule ${execution.rule_id}`}`,
+      description: `${userMention(execution.user_id)}${execution.channel_id ? ` in ${channelMention(execution.channel_id)}` : ''}`,
+      color: 0xed4245,
+      fields
+    });
+  }
+
   /**
    * Execute server customization
    */
-  async executeServerCustomization(parameters, guildId) {
+  async executeServerCustomization(parameters, guildId, operation = null) {
     console.log(`🎨 Executing server customization for guild ${guildId}`);
 
     const { updates } = parameters;
@@ -680,7 +1411,8 @@ Respond with a detailed JSON execution plan:
 
         await this.client.api(`guilds/${guildId}`, {
           method: 'PATCH',
-          body: guildUpdates
+          body: guildUpdates,
+          reason: this.getAuditReason(operation, `Update server ${Object.keys(guildUpdates).join(', ')}`)
         });
 
         results.push({ action: 'basic_info_updated', updates: Object.keys(guildUpdates) });
@@ -701,37 +1433,16 @@ Respond with a detailed JSON execution plan:
   /**
    * Execute support ticket creation
    */
-  async executeSupportTicket(parameters, guildId) {
+  async executeSupportTicket(parameters, guildId, operation = null) {
     console.log(`🎫 Creating support ticket for guild ${guildId}`);
 
-    const { userId, issue, priority = 'normal' } = parameters;
+    const { userId, issue, priority = 'normal', channelId = null } = parameters;
 
     try {
-      // Create private support channel
-      const ticketChannel = await this.client.api(`guilds/${guildId}/channels`, {
-        method: 'POST',
-        body: {
-          name: `ticket-${userId.slice(-4)}`,
-          type: 0, // Text channel
-          topic: `Support ticket - Priority: ${priority}`,
-          permission_overwrites: [
-            // Hide from @everyone
-            {
-              id: guildId,
-              type: 0,
-              allow: '0',
-              deny: '1024' // VIEW_CHANNEL
-            },
-            // Allow ticket creator
-            {
-              id: userId,
-              type: 1,
-              allow: '1024', // VIEW_CHANNEL
-              deny: '0'
-            }
-          ]
-        }
-      });
+      // With a support channel, tickets are private threads instead of new channels
+      const ticketChannel = channelId
+        ? await this.createTicketThread(channelId, userId, priority, operation)
+        : await this.createTicketChannel(guildId, userId, priority, operation);
 
       // Send ticket information
       await this.client.sendMessage(ticketChannel.id, {
@@ -772,31 +1483,96 @@ Respond with a detailed JSON execution plan:
   }
 
   /**
-   * Execute custom AI action
+   * Post an announcement through a webhook with a custom identity
    */
-  async executeCustomAIAction(action, guildId) {
-    console.log(`🤖 Executing custom AI action: ${action.description}`);
+  async executeAnnouncement(parameters, guildId) {
+    const { channelId, message, username = 'Announcements', avatar_url: avatarURL, threadId = null } = parameters;
 
-    // Placeholder for AI-generated custom actions
-    return {
-      action: 'custom_ai_action',
-      description: action.description,
-      status: 'placeholder_executed'
-    };
+    const channel = await this.client.fetchChannel(channelId);
+    if (channel.guild_id !== guildId) {
+      throw new Error(`Channel ${channelId} is not in this server`);
+    }
+
+    const posted = await this.webhooks.send(channelId, message, { username, avatarURL, threadId });
+    return { action: 'announced', channelId, messageId: posted?.id };
   }
 
   /**
-   * Get AI action implementation for unknown actions
+   * Set the channel mod-log entries are posted to
    */
-  async getAIActionImplementation(action, guildId) {
-    console.log(`🧠 Getting AI implementation for: ${action.type}`);
+  setModLogChannel(guildId, channelId) {
+    if (channelId) {
+      this.modLogChannels.set(guildId, channelId);
+    } else {
+      this.modLogChannels.delete(guildId);
+    }
+  }
 
-    // Placeholder for AI-generated action implementations
-    return {
-      action: action.type,
-      description: action.description,
-      status: 'ai_implemented'
-    };
+  /**
+   * Post a mod-log embed for a guild, if a mod-log channel is configured
+   */
+  async postModLog(guildId, entry) {
+    const channelId = this.modLogChannels.get(guildId);
+    if (!channelId) return null;
+
+    try {
+      return await this.webhooks.send(channelId, {
+        embeds: [{
+          color: 0x5865f2,
+          timestamp: new Date().toISOString(),
+          ...entry
+        }]
+      }, { name: 'Mod Log', username: 'Mod Log' });
+    } catch (error) {
+      console.warn(`⚠️ Failed to post mod-log for guild ${guildId}: ${describeError(error)}`);
+      return null;
+    }
+  }
+
+  /**
+   * Create a private ticket channel visible only to the user (and admins)
+   */
+  async createTicketChannel(guildId, userId, priority, operation = null) {
+    return this.client.api(`guilds/${guildId}/channels`, {
+      method: 'POST',
+      body: {
+        name: `ticket-${userId.slice(-4)}`,
+        type: 0, // Text channel
+        topic: `Support ticket - Priority: ${priority}`,
+        permission_overwrites: [
+          // Hide from @everyone
+          {
+            id: guildId,
+            type: 0,
+            allow: '0',
+            deny: String(PermissionFlags.VIEW_CHANNEL)
+          },
+          // Allow ticket creator
+          {
+            id: userId,
+            type: 1,
+            allow: String(PermissionFlags.VIEW_CHANNEL),
+            deny: '0'
+          }
+        ]
+      },
+      reason: this.getAuditReason(operation, `Support ticket for user ${userId}`)
+    });
+  }
+
+  /**
+   * Create a private ticket thread in a support channel and add the user
+   */
+  async createTicketThread(channelId, userId, priority, operation = null) {
+    const thread = await this.client.startThread(channelId, {
+      name: `ticket-${userId.slice(-4)}-${priority}`,
+      type: 12, // Private thread
+      invitable: false,
+      auto_archive_duration: 10080
+    }, this.getAuditReason(operation, `Support ticket for user ${userId}`));
+
+    await this.client.addThreadMember(thread.id, userId);
+    return thread;
   }
 
   /**
@@ -868,6 +1644,15 @@ Respond with a detailed JSON execution plan:
    * Get all guild members (handles pagination)
    */
   async getAllGuildMembers(guildId) {
+    // One gateway request streams every member in chunks, far faster than paging REST
+    if (this.client.isGuildConnected(guildId)) {
+      try {
+        return await this.client.requestGuildMembers({ guildId });
+      } catch (error) {
+        console.warn(`⚠️ Gateway member request failed for guild ${guildId}, falling back to REST: ${error.message}`);
+      }
+    }
+
     let allMembers = [];
     let after = '0';
 
@@ -881,8 +1666,7 @@ Respond with a detailed JSON execution plan:
 
         if (members.length < 1000) break;
 
-        // Rate limiting
-        await this.delay(1000);
+        // Pacing is handled by the client's per-bucket rate limiter
       } catch (error) {
         console.error('❌ Failed to get guild members:', error);
         break;
@@ -914,10 +1698,9 @@ Respond with a detailed JSON execution plan:
    * Analyze role permissions
    */
   analyzeRolePermissions(roles) {
-    const adminRoles = roles.filter(r => (BigInt(r.permissions) & (1n << 3n)) !== 0n).length;
+    const adminRoles = roles.filter(r => new Permissions(r.permissions).has('ADMINISTRATOR', false)).length;
     const moderatorRoles = roles.filter(r =>
-      (BigInt(r.permissions) & (1n << 1n)) !== 0n || // KICK_MEMBERS
-      (BigInt(r.permissions) & (1n << 2n)) !== 0n    // BAN_MEMBERS
+      new Permissions(r.permissions).any(['KICK_MEMBERS', 'BAN_MEMBERS'], false)
     ).length;
 
     return {
@@ -1206,9 +1989,10 @@ Respond with a detailed JSON execution plan:
 
   /**
    * Process image for Discord API
+   * Accepts http(s) URLs, image data URIs, Buffers and streams; never reads local files
    */
   async processImage(imageData) {
-    if (typeof imageData === 'string' && imageData.startsWith('http')) {
+    if (typeof imageData === 'string' && /^https?:\/\//i.test(imageData)) {
       try {
         const fetch = globalThis.fetch || (await import('node-fetch')).default;
         const response = await fetch(imageData);
@@ -1221,7 +2005,38 @@ Respond with a detailed JSON execution plan:
         return null;
       }
     }
-    return imageData;
+
+    if (typeof imageData === 'string') {
+      if (imageData.startsWith('data:image/')) return imageData;
+
+      // Never treat AI-supplied strings as local file paths
+      console.warn('⚠️ Ignoring image that is not an http(s) URL or data URI');
+      return null;
+    }
+
+    // Buffers and streams become data URIs
+    if (imageData instanceof Uint8Array || typeof imageData?.[Symbol.asyncIterator] === 'function') {
+      try {
+        const buffer = await this.client.resolveFile(imageData);
+        return `data:${this.getImageMimeType(buffer)};base64,${buffer.toString('base64')}`;
+      } catch (error) {
+        console.error('❌ Failed to read image:', error);
+        return null;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Detect an image MIME type from its magic bytes
+   */
+  getImageMimeType(buffer) {
+    if (buffer.subarray(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47]))) return 'image/png';
+    if (buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff]))) return 'image/jpeg';
+    if (buffer.subarray(0, 4).toString('ascii') === 'GIF8') return 'image/gif';
+    if (buffer.subarray(8, 12).toString('ascii') === 'WEBP') return 'image/webp';
+    return 'application/octet-stream';
   }
 
   /**
@@ -0,0 +1,706 @@
+// modules/shard-manager.js - Discord AI Core Gateway Sharding
+/**
+ * Shard Manager - Runs one gateway connection per shard
+ * Reads the recommended shard count from Discord, identifies within
+ * session start limits and aggregates caches and health across shards
+ */
+
+import { EventEmitter } from 'events';
+import { fork } from 'child_process';
+import { fileURLToPath } from 'url';
+import { DiscordClient } from './discord-client.js';
+
+// Discord allows one identify per rate limit bucket every 5 seconds
+const IDENTIFY_INTERVAL = 5000;
+
+const WORKER_PATH = fileURLToPath(new URL('./shard-worker.js', import.meta.url));
+
+/**
+ * One entity cache viewed across the in-process shards
+ * Reads check every shard; writes go to the shard that owns the entity's guild.
+ * Worker shards keep their caches in the child process, so using the view with
+ * one running throws instead of silently missing
+ */
+class ShardedCache {
+  constructor(manager, name) {
+    this.manager = manager;
+    this.name = name;
+  }
+
+  *caches() {
+    for (const shard of this.manager.shards.values()) {
+      if (!shard.client) {
+        throw new Error(`The ${this.name} cache is not available for shard ${shard.id}, it runs in a child process`);
+      }
+
+      yield shard.client[this.name];
+    }
+  }
+
+  get(key) {
+    for (const cache of this.caches()) {
+      const value = cache.get(key);
+      if (value !== undefined) return value;
+    }
+
+    return undefined;
+  }
+
+  has(key) {
+    return [...this.caches()].some(cache => cache.has(key));
+  }
+
+  set(key, value) {
+    const guildId = this.name === 'guilds' ? key : value?.guild_id;
+    const cache = (guildId && this.manager.getShardForGuild(guildId)?.client?.[this.name]) ||
+      [...this.caches()].find(candidate => candidate.has(key)) ||
+      this.caches().next().value;
+
+    cache?.set(key, value);
+    return this;
+  }
+
+  delete(key) {
+    let deleted = false;
+
+    for (const cache of this.caches()) {
+      deleted = cache.delete(key) || deleted;
+    }
+
+    return deleted;
+  }
+
+  get size() {
+    let size = 0;
+
+    for (const cache of this.caches()) {
+      size += cache.size;
+    }
+
+    return size;
+  }
+
+  *entries() {
+    for (const cache of this.caches()) {
+      yield* cache.entries();
+    }
+  }
+
+  *keys() {
+    for (const [key] of this.entries()) yield key;
+  }
+
+  *values() {
+    for (const [, value] of this.entries()) yield value;
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+
+  getStats() {
+    return {
+      enabled: true,
+      size: this.size,
+      shards: [...this.caches()].map(cache => cache.getStats())
+    };
+  }
+}
+
+/**
+ * DiscordClient backed by a ShardManager
+ * REST calls run here, caches span the shards and gateway calls go to the manager,
+ * so the rest of the framework can use it like a single client
+ */
+export class ShardedClient extends DiscordClient {
+  constructor(manager, options = {}) {
+    super(options);
+
+    this.manager = manager;
+    this.guilds = new ShardedCache(manager, 'guilds');
+    this.channels = new ShardedCache(manager, 'channels');
+    this.users = new ShardedCache(manager, 'users');
+  }
+
+  /**
+   * Entities live in the shards' caches, viewed through ShardedCache
+   */
+  createCaches() {}
+
+  async login(token) {
+    return this.manager.login(token);
+  }
+
+  async setPresence(presence) {
+    return this.manager.setPresence(presence);
+  }
+
+  async requestGuildMembers(options) {
+    return this.manager.requestGuildMembers(options);
+  }
+
+  async reconnect() {
+    return this.manager.reconnect();
+  }
+
+  isReconnecting() {
+    return this.manager.isReconnecting();
+  }
+
+  /**
+   * Only the shard that owns the guild matters, not whether every shard is up
+   */
+  isGuildConnected(guildId) {
+    return this.manager.isGuildConnected(guildId);
+  }
+
+  disconnect() {
+    this.manager.disconnect();
+    this.connected = false;
+  }
+}
+
+export class ShardManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      totalShards: options.totalShards || 'auto',
+      shardList: options.shardList || null,
+      mode: options.mode || 'in-process', // in-process, process
+      intents: options.intents || 0,
+      readyTimeout: options.readyTimeout || 60000,
+      respawnDelay: options.respawnDelay || 1000,
+      ...options
+    };
+
+    // REST client and cache view shared by every shard (never connects to the gateway)
+    this.rest = new ShardedClient(this, { intents: this.options.intents });
+
+    this.shards = new Map();
+    this.connectedShards = new Set();
+    this.shardCount = 0;
+
+    // Crashed worker shards waiting to be respawned, and their backoff state
+    this.respawning = new Set();
+    this.respawnTimers = new Map();
+    this.respawnAttempts = new Map();
+    this.disconnecting = false;
+    this.maxConcurrency = 1;
+
+    // Next free identify time per max_concurrency bucket
+    this.identifyBuckets = new Map();
+    this.gatewayURL = null;
+    this.user = null;
+  }
+
+  /**
+   * Compute which shard receives events for a guild
+   */
+  static shardIdForGuild(guildId, shardCount) {
+    return Number((BigInt(guildId) >> 22n) % BigInt(shardCount));
+  }
+
+  /**
+   * Group shards into identify rounds that respect max_concurrency
+   */
+  static getIdentifyRounds(shardIds, maxConcurrency = 1) {
+    const rounds = [];
+
+    for (const shardId of shardIds) {
+      const round = Math.floor(shardId / maxConcurrency);
+      if (!rounds[round]) rounds[round] = [];
+      rounds[round].push(shardId);
+    }
+
+    return rounds.filter(Boolean);
+  }
+
+  /**
+   * Login and spawn all shards
+   */
+  async login(token) {
+    this.rest.setToken(token);
+    this.token = this.rest.token;
+
+    console.log('🔐 Shard Manager: Authenticating with Discord...');
+
+    this.user = await this.rest.api('users/@me');
+    this.rest.user = this.user;
+    await this.spawn();
+
+    return this.user;
+  }
+
+  /**
+   * Fetch gateway info and connect every shard
+   */
+  async spawn() {
+    this.disconnecting = false;
+
+    const gateway = await this.rest.getGatewayBot();
+    const sessionLimit = gateway.session_start_limit || {};
+
+    this.gatewayURL = gateway.url;
+    this.shardCount = this.options.totalShards === 'auto' ? gateway.shards : this.options.totalShards;
+    this.maxConcurrency = sessionLimit.max_concurrency || 1;
+
+    const shardIds = this.options.shardList ||
+      Array.from({ length: this.shardCount }, (_, index) => index);
+
+    if (sessionLimit.remaining !== undefined && sessionLimit.remaining < shardIds.length) {
+      throw new Error(`Not enough session starts remaining (${sessionLimit.remaining}/${shardIds.length}), resets in ${sessionLimit.reset_after}ms`);
+    }
+
+    console.log(`🧩 Shard Manager: Spawning ${shardIds.length}/${this.shardCount} shards (max concurrency ${this.maxConcurrency})`);
+
+    // Identifies are spaced by waitForIdentify(), rounds only bound how many connect at once
+    for (const round of ShardManager.getIdentifyRounds(shardIds, this.maxConcurrency)) {
+      await Promise.all(round.map(shardId => this.spawnShard(shardId)));
+    }
+
+    console.log(`✅ Shard Manager: All ${shardIds.length} shards ready`);
+    this.emit('allReady');
+    this.rest.emit('ready', this.user);
+  }
+
+  /**
+   * Wait for an identify slot in the shard's max_concurrency bucket
+   * Every identify goes through here, including re-identifies after reconnects
+   */
+  async waitForIdentify(shardId) {
+    const bucket = shardId % this.maxConcurrency;
+    const now = Date.now();
+    const slot = Math.max(now, this.identifyBuckets.get(bucket) || 0);
+
+    this.identifyBuckets.set(bucket, slot + IDENTIFY_INTERVAL);
+
+    if (slot > now) {
+      await this.delay(slot - now);
+    }
+  }
+
+  /**
+   * Re-emit a shard event on the manager and the sharded client, tagged with its shard id
+   * The client's own 'ready' fires once every shard is ready
+   */
+  forwardEvent(shardId, event, ...args) {
+    if (event === 'ready' || event === 'reconnect') {
+      this.connectedShards.add(shardId);
+    } else if (event === 'disconnect') {
+      this.connectedShards.delete(shardId);
+    }
+
+    this.updateConnected();
+
+    const name = event === 'error' ? 'shardError' : event;
+    this.emit(name, ...args, shardId);
+
+    if (event !== 'ready') {
+      this.rest.emit(name, ...args, shardId);
+    }
+  }
+
+  /**
+   * The sharded client is connected only while every shard is
+   */
+  updateConnected() {
+    this.rest.connected = this.shards.size > 0 && this.connectedShards.size === this.shards.size;
+  }
+
+  /**
+   * Create and connect a single shard
+   */
+  async spawnShard(shardId) {
+    const shard = this.options.mode === 'process'
+      ? this.createProcessShard(shardId)
+      : this.createShard(shardId);
+
+    let timeout;
+
+    try {
+      await Promise.race([
+        shard.connect(),
+        new Promise((_, reject) => {
+          timeout = setTimeout(
+            () => reject(new Error(`Shard ${shardId} did not become ready within ${this.options.readyTimeout}ms`)),
+            this.options.readyTimeout
+          );
+        })
+      ]);
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    shard.ready = true;
+    console.log(`🟢 Shard ${shardId}: ready`);
+    this.emit('shardReady', shardId);
+
+    return shard;
+  }
+
+  /**
+   * Create an in-process shard backed by its own DiscordClient
+   */
+  createShard(shardId) {
+    const client = new DiscordClient({
+      intents: this.options.intents,
+      shardId,
+      shardCount: this.shardCount,
+      gatewayURL: this.gatewayURL || undefined,
+      compress: this.options.compress,
+      codec: this.options.codec,
+      cache: this.options.cache,
+      identifyQueue: (id) => this.waitForIdentify(id)
+    });
+
+    client.token = this.token;
+    client.user = this.user;
+
+    // Errors surface on the manager as 'shardError'
+    client.on('error', () => {});
+
+    // Re-emit every client event on the manager and the sharded client
+    const emit = client.emit.bind(client);
+    client.emit = (event, ...args) => {
+      const handled = emit(event, ...args);
+      this.forwardEvent(shardId, event, ...args);
+      return handled;
+    };
+
+    const shard = {
+      id: shardId,
+      mode: 'in-process',
+      client,
+      connect: () => client.connectGateway(),
+      reconnect: () => client.reconnect(),
+      disconnect: () => client.disconnect(),
+      send: (payload) => client.sendPayload(payload),
+      setPresence: (presence) => client.setPresence(presence),
+      requestGuildMembers: (options) => client.requestGuildMembers(options),
+      getStats: async () => this.getClientStats(shardId, client)
+    };
+
+    this.shards.set(shardId, shard);
+    return shard;
+  }
+
+  /**
+   * Create a shard running in a child process
+   */
+  createProcessShard(shardId) {
+    const child = fork(WORKER_PATH, [], { env: process.env });
+    const pending = new Map();
+    const memberRequests = new Map();
+    let nonce = 0;
+
+    // A worker that exited can't be messaged, and it is respawned as a new shard anyway
+    const send = (message) => {
+      if (child.connected) child.send(message);
+    };
+
+    const shard = {
+      id: shardId,
+      mode: 'process',
+      process: child,
+      stats: { id: shardId, connected: false, reconnecting: false, ping: -1, guilds: 0, channels: 0, users: 0 },
+      connect: () => new Promise((resolve, reject) => {
+        const onMessage = (message) => {
+          if (message.op === 'event' && message.name === 'ready') {
+            child.off('message', onMessage);
+            resolve();
+          }
+        };
+
+        child.on('message', onMessage);
+        child.once('exit', (code) => reject(new Error(`Shard ${shardId} process exited (${code})`)));
+
+        child.send({
+          op: 'connect',
+          token: this.token,
+          user: this.user,
+          intents: this.options.intents,
+          shardId,
+          shardCount: this.shardCount,
+          gatewayURL: this.gatewayURL,
+          compress: this.options.compress,
+          cache: this.options.cache
+        });
+      }),
+      reconnect: () => {
+        send({ op: 'reconnect' });
+      },
+      disconnect: () => {
+        send({ op: 'disconnect' });
+      },
+      send: (payload) => {
+        send({ op: 'send', payload });
+      },
+      setPresence: (presence) => {
+        send({ op: 'presence', presence });
+      },
+      requestGuildMembers: (options) => new Promise((resolve, reject) => {
+        if (!child.connected) {
+          reject(new Error(`Shard ${shardId} process is not running`));
+          return;
+        }
+
+        const id = ++nonce;
+        memberRequests.set(id, { resolve, reject });
+        child.send({ op: 'members', nonce: id, options });
+      }),
+      getStats: () => new Promise((resolve) => {
+        if (!child.connected) {
+          resolve(shard.stats);
+          return;
+        }
+
+        const id = ++nonce;
+        pending.set(id, resolve);
+        child.send({ op: 'stats', nonce: id });
+
+        // Fall back to the last known stats if the worker doesn't answer
+        setTimeout(() => {
+          if (pending.delete(id)) resolve(shard.stats);
+        }, 5000);
+      })
+    };
+
+    child.on('message', (message) => {
+      switch (message.op) {
+        case 'event':
+          this.forwardEvent(shardId, message.name, message.data);
+          break;
+
+        case 'identify':
+          this.waitForIdentify(shardId).then(() => send({ op: 'identify', nonce: message.nonce }));
+          break;
+
+        case 'members': {
+          const request = memberRequests.get(message.nonce);
+          memberRequests.delete(message.nonce);
+
+          if (message.error) {
+            request?.reject(new Error(message.error));
+          } else {
+            request?.resolve(message.members);
+          }
+          break;
+        }
+
+        // Answers to getStats(), or state the worker pushes after lifecycle events (nonce null)
+        case 'stats':
+          shard.stats = message.stats;
+          pending.get(message.nonce)?.(message.stats);
+          pending.delete(message.nonce);
+          break;
+      }
+    });
+
+    child.on('exit', (code) => {
+      console.warn(`⚠️ Shard ${shardId}: process exited (${code})`);
+
+      for (const request of memberRequests.values()) {
+        request.reject(new Error(`Shard ${shardId} process exited before all guild members arrived`));
+      }
+      memberRequests.clear();
+
+      shard.stats = { ...shard.stats, connected: false, reconnecting: false };
+      this.connectedShards.delete(shardId);
+      this.updateConnected();
+      this.emit('shardDisconnect', code, shardId);
+
+      // Shards that never became ready fail spawn() instead
+      if (!this.disconnecting && (shard.ready || this.respawning.has(shardId))) {
+        this.respawnShard(shardId);
+      }
+    });
+
+    this.shards.set(shardId, shard);
+    return shard;
+  }
+
+  /**
+   * Respawn a crashed worker shard with exponential backoff
+   */
+  respawnShard(shardId) {
+    const attempts = this.respawnAttempts.get(shardId) || 0;
+    const delay = Math.min(this.options.respawnDelay * 2 ** attempts, 60000);
+
+    this.respawnAttempts.set(shardId, attempts + 1);
+    this.respawning.add(shardId);
+    console.log(`🔄 Shard ${shardId}: respawning worker in ${delay}ms (attempt ${attempts + 1})`);
+
+    this.respawnTimers.set(shardId, setTimeout(async () => {
+      this.respawnTimers.delete(shardId);
+
+      try {
+        await this.spawnShard(shardId);
+        this.respawning.delete(shardId);
+        this.respawnAttempts.delete(shardId);
+      } catch (error) {
+        console.error(`❌ Shard ${shardId}: respawn failed:`, error.message);
+
+        // A worker that never became ready is still running, its exit schedules the next attempt
+        this.shards.get(shardId)?.process?.kill();
+      }
+    }, delay));
+  }
+
+  /**
+   * Get the shard responsible for a guild
+   */
+  getShardForGuild(guildId) {
+    return this.shards.get(ShardManager.shardIdForGuild(guildId, this.shardCount));
+  }
+
+  /**
+   * Whether the shard that owns a guild is connected
+   */
+  isGuildConnected(guildId) {
+    const shard = this.getShardForGuild(guildId);
+    return Boolean(shard) && this.connectedShards.has(shard.id);
+  }
+
+  /**
+   * Aggregated guild cache across in-process shards
+   */
+  get guilds() {
+    return this.rest.guilds;
+  }
+
+  /**
+   * Aggregated channel cache across in-process shards
+   */
+  get channels() {
+    return this.rest.channels;
+  }
+
+  /**
+   * Aggregated user cache across in-process shards
+   */
+  get users() {
+    return this.rest.users;
+  }
+
+  /**
+   * Proxy REST calls through the shared REST client
+   */
+  async api(endpoint, options = {}) {
+    return this.rest.api(endpoint, options);
+  }
+
+  /**
+   * Request guild members through the shard that owns the guild (in-process or worker)
+   */
+  async requestGuildMembers(options) {
+    const shard = this.getShardForGuild(options.guildId);
+
+    if (!shard) {
+      throw new Error(`No shard is running for guild ${options.guildId}`);
+    }
+
+    return shard.requestGuildMembers(options);
+  }
+
+  /**
+   * Set presence on every shard (validated, and kept across shard reconnects)
+   */
+  async setPresence(presence) {
+    const validated = this.rest.buildPresence(presence);
+
+    for (const shard of this.shards.values()) {
+      await shard.setPresence(validated);
+    }
+
+    return validated;
+  }
+
+  getClientStats(shardId, client) {
+    return {
+      id: shardId,
+      connected: client.connected,
+      ping: client.ping,
+      guilds: client.guilds.size,
+      channels: client.channels.size,
+      users: client.users.size
+    };
+  }
+
+  /**
+   * Get health across all shards
+   */
+  async getHealthStatus() {
+    const shards = await Promise.all(
+      Array.from(this.shards.values()).map(shard => shard.getStats())
+    );
+
+    const connected = shards.filter(shard => shard.connected);
+    const pings = connected.map(shard => shard.ping).filter(ping => ping >= 0);
+
+    return {
+      isHealthy: shards.length > 0 && connected.length === shards.length,
+      shardCount: this.shardCount,
+      shardsConnected: connected.length,
+      averagePing: pings.length > 0 ? pings.reduce((sum, ping) => sum + ping, 0) / pings.length : -1,
+      guilds: shards.reduce((sum, shard) => sum + shard.guilds, 0),
+      channels: shards.reduce((sum, shard) => sum + shard.channels, 0),
+      users: shards.reduce((sum, shard) => sum + shard.users, 0),
+      shards
+    };
+  }
+
+  /**
+   * Reconnect every disconnected shard that isn't already reconnecting
+   */
+  async reconnect() {
+    for (const shard of this.shards.values()) {
+      if (!this.connectedShards.has(shard.id) && !this.isShardReconnecting(shard)) {
+        await shard.reconnect();
+      }
+    }
+  }
+
+  /**
+   * Whether any shard is reconnecting or waiting to be respawned
+   */
+  isReconnecting() {
+    return [...this.shards.values()].some(shard => this.isShardReconnecting(shard));
+  }
+
+  isShardReconnecting(shard) {
+    if (shard.client) {
+      return shard.client.isReconnecting();
+    }
+
+    // Worker shards report their state over IPC
+    return this.respawning.has(shard.id) || Boolean(shard.stats?.reconnecting);
+  }
+
+  /**
+   * Disconnect all shards
+   */
+  disconnect() {
+    this.disconnecting = true;
+
+    for (const timer of this.respawnTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.respawnTimers.clear();
+    this.respawning.clear();
+    this.respawnAttempts.clear();
+
+    for (const shard of this.shards.values()) {
+      shard.disconnect();
+    }
+
+    console.log('🔌 Shard Manager: All shards disconnected');
+  }
+
+  /**
+   * Utility delay function
+   */
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
@@ -0,0 +1,148 @@
+// modules/shard-worker.js - Discord AI Core Shard Child Process
+/**
+ * Shard Worker - Runs a single shard inside a child process
+ * Spawned by ShardManager in "process" mode and driven over IPC
+ */
+
+import { DiscordClient } from './discord-client.js';
+
+let client = null;
+
+// Identify slots requested from the manager, keyed by nonce
+const identifySlots = new Map();
+let identifyNonce = 0;
+
+/**
+ * Ask the manager for an identify slot in this shard's max_concurrency bucket
+ */
+function waitForIdentify() {
+  return new Promise((resolve) => {
+    const nonce = ++identifyNonce;
+    identifySlots.set(nonce, resolve);
+    process.send({ op: 'identify', nonce });
+  });
+}
+
+/**
+ * Current shard state, sent in reply to 'stats' and pushed after lifecycle events
+ */
+function getStats() {
+  return {
+    id: client?.options.shardId ?? null,
+    connected: client?.connected || false,
+    reconnecting: client?.isReconnecting() || false,
+    ping: client?.ping ?? -1,
+    guilds: client?.guilds.size || 0,
+    channels: client?.channels.size || 0,
+    users: client?.users.size || 0
+  };
+}
+
+/**
+ * Forward a client event to the parent process
+ */
+function forwardEvent(name, data) {
+  if (!process.connected) return;
+
+  // Errors don't survive structured cloning, send their message instead
+  const payload = data instanceof Error ? { message: data.message } : data;
+  process.send({ op: 'event', name, data: payload });
+
+  // Report the reconnecting state once the client has acted on the event
+  if (name === 'ready' || name === 'reconnect' || name === 'disconnect') {
+    setImmediate(() => {
+      if (process.connected) process.send({ op: 'stats', nonce: null, stats: getStats() });
+    });
+  }
+}
+
+/**
+ * Close the gateway socket and flush pending IPC messages before exiting
+ */
+async function shutdown() {
+  const ws = client?.ws;
+  client?.disconnect();
+
+  if (ws && ws.readyState !== ws.CLOSED) {
+    await new Promise((resolve) => {
+      const timeout = setTimeout(resolve, 5000);
+      ws.once('close', () => {
+        clearTimeout(timeout);
+        resolve();
+      });
+    });
+  }
+
+  if (process.connected) {
+    process.send({ op: 'stats', nonce: null, stats: getStats() }, () => process.exit(0));
+  } else {
+    process.exit(0);
+  }
+}
+
+process.on('message', async (message) => {
+  switch (message.op) {
+    case 'connect': {
+      client = new DiscordClient({
+        intents: message.intents,
+        shardId: message.shardId,
+        shardCount: message.shardCount,
+        gatewayURL: message.gatewayURL,
+        compress: message.compress,
+        cache: message.cache,
+        identifyQueue: waitForIdentify
+      });
+
+      client.token = message.token;
+      client.user = message.user;
+
+      const emit = client.emit.bind(client);
+      client.emit = (event, ...args) => {
+        forwardEvent(event, args[0]);
+        return event === 'error' ? true : emit(event, ...args);
+      };
+
+      try {
+        await client.connectGateway();
+      } catch (error) {
+        forwardEvent('error', error);
+      }
+      break;
+    }
+
+    case 'identify':
+      identifySlots.get(message.nonce)?.();
+      identifySlots.delete(message.nonce);
+      break;
+
+    case 'reconnect':
+      client?.reconnect().catch(error => forwardEvent('error', error));
+      break;
+
+    case 'members':
+      if (!client) {
+        process.send({ op: 'members', nonce: message.nonce, error: 'Shard is not connected' });
+        break;
+      }
+
+      client.requestGuildMembers(message.options)
+        .then(members => process.send({ op: 'members', nonce: message.nonce, members }))
+        .catch(error => process.send({ op: 'members', nonce: message.nonce, error: error.message }));
+      break;
+
+    case 'send':
+      client?.sendPayload(message.payload);
+      break;
+
+    case 'presence':
+      client?.setPresence(message.presence).catch(error => forwardEvent('error', error));
+      break;
+
+    case 'stats':
+      process.send({ op: 'stats', nonce: message.nonce, stats: getStats() });
+      break;
+
+    case 'disconnect':
+      await shutdown();
+  }
+});
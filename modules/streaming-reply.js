@@ -0,0 +1,163 @@
+// modules/streaming-reply.js - Discord AI Core Streaming Interaction Replies
+/**
+ * Streaming Reply - Shows text while it is generated by editing a deferred
+ * interaction reply, throttled to stay under the edit rate limit; text past
+ * the message limit continues in follow-up messages
+ */
+
+import { EMBED_DESCRIPTION_LIMIT, MESSAGE_CONTENT_LIMIT, splitMessage } from './discord-utils.js';
+
+// Shown at the end of the text while more is coming
+const CURSOR = ' ▌';
+
+export class StreamingReply {
+  /**
+   * @param {DiscordClient} discordClient
+   * @param {Object} interaction - Deferred interaction to reply to
+   * @param {Object} options
+   * @param {Object} options.embed - Embed template (title on the first page, footer on the last); plain content without it
+   * @param {number} options.interval - Minimum ms between edits
+   * @param {boolean} options.ephemeral - Make follow-up messages ephemeral too
+   */
+  constructor(discordClient, interaction, { embed = null, interval = 1000, ephemeral = false } = {}) {
+    this.client = discordClient;
+    this.interaction = interaction;
+    this.embed = embed;
+    this.interval = interval;
+    this.ephemeral = ephemeral;
+
+    // Pages are cut short enough to fit the cursor
+    this.pageLength = (embed ? EMBED_DESCRIPTION_LIMIT : MESSAGE_CONTENT_LIMIT) - CURSOR.length;
+
+    this.text = '';
+    this.finished = false;
+
+    // Error of the latest render, cleared by the next successful one
+    this.lastError = null;
+
+    // Sent pages in order, the first is the original reply
+    this.messages = [];
+
+    // Edits run one at a time; at most one more waits behind the running one
+    this.queue = Promise.resolve();
+    this.pending = false;
+    this.timer = null;
+    this.lastFlush = 0;
+  }
+
+  get webhookEndpoint() {
+    return `webhooks/${this.client.user.id}/${this.interaction.token}`;
+  }
+
+  /**
+   * Append text, scheduling an edit if none is due
+   */
+  push(text) {
+    if (this.finished || !text) return;
+
+    this.text += text;
+
+    if (!this.timer) {
+      const wait = Math.max(0, this.lastFlush + this.interval - Date.now());
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.flush();
+      }, wait);
+    }
+  }
+
+  /**
+   * Send the latest text, returning when the edit is done
+   */
+  flush(final = false) {
+    this.lastFlush = Date.now();
+
+    if (this.pending) return this.queue;
+    this.pending = true;
+
+    this.queue = this.queue.then(async () => {
+      this.pending = false;
+      await this.render(final || this.finished);
+      this.lastError = null;
+    }).catch(error => {
+      this.lastError = error;
+      console.warn(`⚠️ Failed to update streaming reply ${this.interaction.id}: ${error.message}`);
+    });
+
+    return this.queue;
+  }
+
+  /**
+   * Send the complete text without the cursor, returning the ids of the messages used
+   * Throws the render error when the final text could not be sent
+   */
+  async finish() {
+    this.finished = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    await this.flush(true);
+
+    if (this.lastError) {
+      throw this.lastError;
+    }
+
+    return this.messages.map(message => message.id);
+  }
+
+  /**
+   * Stream every chunk of an async iterable into the reply
+   */
+  async pipe(chunks) {
+    for await (const chunk of chunks) {
+      this.push(chunk);
+    }
+
+    return this.finish();
+  }
+
+  /**
+   * Edit the pages that changed since the last render and post new ones
+   */
+  async render(final) {
+    const pages = splitMessage(this.text || '…', this.pageLength);
+
+    for (const [index, page] of pages.entries()) {
+      const last = index === pages.length - 1;
+      const body = this.buildMessage(last && !final ? page + CURSOR : page, index, final && last);
+      const serialized = JSON.stringify(body);
+      const sent = this.messages[index];
+
+      if (sent?.serialized === serialized) continue;
+
+      let message;
+      if (index === 0) {
+        message = await this.client.api(`${this.webhookEndpoint}/messages/@original`, { method: 'PATCH', body });
+      } else if (sent) {
+        message = await this.client.api(`${this.webhookEndpoint}/messages/${sent.id}`, { method: 'PATCH', body });
+      } else {
+        message = await this.client.api(this.webhookEndpoint, {
+          method: 'POST',
+          body: this.ephemeral ? { ...body, flags: 64 } : body
+        });
+      }
+
+      this.messages[index] = { id: message?.id ?? sent?.id ?? null, serialized };
+    }
+  }
+
+  buildMessage(text, index, final) {
+    if (!this.embed) return { content: text };
+
+    const { title, footer, ...embed } = this.embed;
+
+    return {
+      embeds: [{
+        ...embed,
+        ...(index === 0 && title ? { title } : {}),
+        description: text,
+        ...(final && footer ? { footer, timestamp: new Date().toISOString() } : {})
+      }]
+    };
+  }
+}
@@ -0,0 +1,205 @@
+// modules/structured-output.js - Discord AI Core Structured AI Output
+/**
+ * Structured Output - Turns model replies into validated data
+ * Extracts JSON from code fences and surrounding prose, repairs the usual
+ * near-misses (trailing commas, comments, smart quotes) and validates the
+ * result against a JSON Schema subset:
+ * type, enum, const, properties, required, additionalProperties, items,
+ * minItems, maxItems, minLength, maxLength, pattern, minimum, maximum, anyOf
+ */
+
+/**
+ * Reply that couldn't be turned into valid data
+ */
+export class StructuredOutputError extends Error {
+  constructor(message, { errors = [], response = null } = {}) {
+    super(errors.length ? `${message}: ${errors.join('; ')}` : message);
+
+    this.name = 'StructuredOutputError';
+    this.errors = errors;
+    this.response = response;
+  }
+}
+
+/**
+ * Find the first complete JSON object or array in text, skipping brackets inside strings
+ */
+function findBalancedJSON(text) {
+  for (let start = 0; start < text.length; start++) {
+    if (text[start] !== '{' && text[start] !== '[') continue;
+
+    const stack = [];
+    let inString = false;
+
+    for (let index = start; index < text.length; index++) {
+      const char = text[index];
+
+      if (inString) {
+        if (char === '\\') index++;
+        else if (char === '"') inString = false;
+        continue;
+      }
+
+      if (char === '"') inString = true;
+      else if (char === '{' || char === '[') stack.push(char === '{' ? '}' : ']');
+      else if (char === '}' || char === ']') {
+        if (stack.pop() !== char) break;
+        if (stack.length === 0) return text.slice(start, index + 1);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Fix the mistakes models make most often in otherwise valid JSON:
+ * smart-quoted strings, comments and trailing commas
+ * String contents are copied unchanged
+ */
+export function repairJSON(text) {
+  let output = '';
+  let closing = null; // Quote that ends the string being copied
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+
+    if (closing) {
+      if (char === '\\') {
+        output += char + (text[++index] ?? '');
+      } else if (char === closing || (closing === '”' && char === '“')) {
+        output += '"';
+        closing = null;
+      } else {
+        // A plain quote inside a smart-quoted string is content
+        output += char === '"' ? '\\"' : char;
+      }
+      continue;
+    }
+
+    if (char === '"' || char === '“' || char === '”') {
+      output += '"';
+      closing = char === '"' ? '"' : '”';
+    } else if (char === '/' && text[index + 1] === '/') {
+      while (index + 1 < text.length && text[index + 1] !== '\n') index++;
+    } else if (char === '/' && text[index + 1] === '*') {
+      const end = text.indexOf('*/', index + 2);
+      index = end === -1 ? text.length : end + 1;
+    } else if (char === '}' || char === ']') {
+      output = output.replace(/,\s*$/, '') + char;
+    } else {
+      output += char;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Parse the JSON in a model reply
+ * Tries the whole reply, then fenced code blocks, then the first object or array in the prose
+ */
+export function extractJSON(text) {
+  const source = String(text ?? '').trim();
+  const candidates = [source];
+
+  for (const [, block] of source.matchAll(/```(?:json|JSON)?\s*\n?([\s\S]*?)```/g)) {
+    candidates.push(block.trim());
+  }
+
+  const balanced = findBalancedJSON(source);
+  if (balanced) candidates.push(balanced);
+
+  for (const candidate of candidates) {
+    for (const attempt of [candidate, repairJSON(candidate)]) {
+      try {
+        return JSON.parse(attempt);
+      } catch {
+        // Try the next candidate
+      }
+    }
+  }
+
+  throw new StructuredOutputError('Response contains no valid JSON', { response: source });
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a schema, returning "path: problem" strings (empty when valid)
+ */
+export function validateSchema(value, schema = {}, path = '$') {
+  const errors = [];
+
+  if (schema.anyOf) {
+    const branches = schema.anyOf.map(branch => validateSchema(value, branch, path));
+    if (!branches.some(branch => branch.length === 0)) {
+      errors.push(`${path}: does not match any allowed shape (${branches.map(branch => branch[0]).join(' | ')})`);
+    }
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if ('const' in schema && schema.const !== value) {
+    errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: shorter than ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: longer than ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path}: does not match ${schema.pattern}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: less than ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: greater than ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: fewer than ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: more than ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key}: is required`);
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(item, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(item, schema.additionalProperties, `${path}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
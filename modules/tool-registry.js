@@ -0,0 +1,183 @@
+// modules/tool-registry.js - Discord AI Core Tool Registry
+/**
+ * Tool Registry - Named bot actions the AI is allowed to call
+ * Each tool declares JSON Schema parameters, the Discord permissions it needs
+ * and a risk level; calls are validated before their handler runs
+ */
+
+import { validateSchema } from './structured-output.js';
+
+// OpenAI's limit on function names
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+export const ToolRisk = Object.freeze({
+  LOW: 'low',
+  MEDIUM: 'medium',
+  HIGH: 'high'
+});
+
+/**
+ * Tool call that was refused or failed
+ */
+export class ToolError extends Error {
+  constructor(message, { tool = null, errors = [], cause } = {}) {
+    super(errors.length ? `${message}: ${errors.join('; ')}` : message, { cause });
+
+    this.name = 'ToolError';
+    this.tool = tool;
+    this.errors = errors;
+  }
+}
+
+export class ToolRegistry {
+  /**
+   * @param {Object} options
+   * @param {PermissionResolver} options.permissions - Checks the requesting member has each tool's permissions
+   */
+  constructor({ permissions = null } = {}) {
+    this.tools = new Map();
+    this.resolver = permissions;
+  }
+
+  /**
+   * Register a tool
+   *
+   * @param {Object} tool
+   * @param {string} tool.name - Letters, digits, _ and -
+   * @param {string} tool.description - What the tool does, shown to the model
+   * @param {Object} tool.parameters - JSON Schema of the arguments (an object schema)
+   * @param {string[]|Function} tool.permissions - Permission names, or (args) => ({ permissions, channelId })
+   * @param {string} tool.risk - low, medium or high
+   * @param {Function} tool.handler - async (args, context) => result
+   */
+  register({ name, description, parameters = { type: 'object', properties: {} }, permissions = [], risk = ToolRisk.LOW, handler }) {
+    if (!TOOL_NAME_PATTERN.test(name || '')) {
+      throw new TypeError(`Invalid tool name "${name}"`);
+    }
+    if (this.tools.has(name)) {
+      throw new TypeError(`Tool "${name}" is already registered`);
+    }
+    if (typeof handler !== 'function') {
+      throw new TypeError(`Tool "${name}" needs a handler`);
+    }
+    if (!Object.values(ToolRisk).includes(risk)) {
+      throw new TypeError(`Unknown risk level "${risk}" for tool "${name}"`);
+    }
+
+    const tool = Object.freeze({ name, description: description || name, parameters, permissions, risk, handler });
+    this.tools.set(name, tool);
+
+    return tool;
+  }
+
+  unregister(name) {
+    return this.tools.delete(name);
+  }
+
+  get(name) {
+    return this.tools.get(name) || null;
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  get names() {
+    return [...this.tools.keys()];
+  }
+
+  get size() {
+    return this.tools.size;
+  }
+
+  [Symbol.iterator]() {
+    return this.tools.values();
+  }
+
+  /**
+   * Problems with a call, empty when it can run
+   */
+  validate(name, args) {
+    const tool = this.get(name);
+    if (!tool) return [`unknown tool "${name}" (available: ${this.names.join(', ') || 'none'})`];
+
+    return validateSchema(args, tool.parameters, '$');
+  }
+
+  /**
+   * Permissions the bot needs for a call, and the channel they apply in (if any)
+   */
+  getRequiredPermissions(name, args = {}) {
+    const tool = this.get(name);
+    if (!tool) return { permissions: [] };
+
+    return typeof tool.permissions === 'function'
+      ? { permissions: [], ...tool.permissions(args) }
+      : { permissions: tool.permissions };
+  }
+
+  /**
+   * Problems with the requesting member running a call, empty when allowed
+   * Tools that need permissions are refused when the member is unknown
+   *
+   * @param {Object} context - { guildId, userId } of the request
+   */
+  async checkAccess(name, args, { guildId = null, userId = null } = {}) {
+    const { permissions, channelId } = this.getRequiredPermissions(name, args);
+    if (permissions.length === 0) return [];
+
+    if (!this.resolver || !guildId || !userId) {
+      return [`${name} needs ${permissions.join(', ')} and the requesting member is unknown`];
+    }
+
+    try {
+      const granted = await this.resolver.permissionsFor(guildId, userId, channelId);
+      return granted.missing(permissions).map(permission => `Requester lacks ${permission}`);
+    } catch (error) {
+      return [`Could not check the requester's permissions: ${error.message}`];
+    }
+  }
+
+  /**
+   * Validate and run a call for the member in context.userId
+   * Throws ToolError for unknown tools, invalid arguments and missing member permissions
+   *
+   * @param {Object} context - { guildId, channelId, userId, ... }, passed on to the handler
+   */
+  async execute(name, args = {}, context = {}) {
+    const errors = this.validate(name, args);
+    if (errors.length > 0) {
+      throw new ToolError(`Invalid call to ${name}`, { tool: name, errors });
+    }
+
+    const denied = await this.checkAccess(name, args, context);
+    if (denied.length > 0) {
+      throw new ToolError(`Not allowed to call ${name}`, { tool: name, errors: denied });
+    }
+
+    return this.get(name).handler(args, context);
+  }
+
+  /**
+   * Tools in the OpenAI "tools" request format
+   */
+  toDefinitions() {
+    return [...this].map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters
+      }
+    }));
+  }
+
+  /**
+   * Tool list for models without native tool calls
+   */
+  describe() {
+    return [...this]
+      .map(tool => `- ${tool.name} (${tool.risk} risk): ${tool.description}\n  Parameters: ${JSON.stringify(tool.parameters)}`)
+      .join('\n');
+  }
+}
@@ -0,0 +1,163 @@
+// modules/webhook-manager.js - Discord AI Core Webhook Client
+/**
+ * Webhook Manager - Channel webhooks on top of DiscordClient.api()
+ * Creates, lists and deletes webhooks and posts through them with custom
+ * identities (username/avatar), thread targeting and message edits
+ */
+
+export class WebhookManager {
+  constructor(discordClient) {
+    this.client = discordClient;
+
+    // Webhooks owned by the bot, keyed by `${channelId}:${name}`
+    this.ownedWebhooks = new Map();
+  }
+
+  /**
+   * Create a webhook in a channel (avatar accepts a data URI)
+   */
+  async createWebhook(channelId, { name, avatar = null }, reason = null) {
+    const webhook = await this.client.api(`channels/${channelId}/webhooks`, {
+      method: 'POST',
+      body: { name, avatar },
+      reason
+    });
+
+    this.ownedWebhooks.set(`${channelId}:${name}`, webhook);
+    return webhook;
+  }
+
+  /**
+   * List webhooks in a channel
+   */
+  async getChannelWebhooks(channelId) {
+    return this.client.api(`channels/${channelId}/webhooks`);
+  }
+
+  /**
+   * List webhooks in a guild
+   */
+  async getGuildWebhooks(guildId) {
+    return this.client.api(`guilds/${guildId}/webhooks`);
+  }
+
+  /**
+   * Get a webhook by id
+   */
+  async getWebhook(webhookId) {
+    return this.client.api(`webhooks/${webhookId}`);
+  }
+
+  /**
+   * Modify a webhook's name, avatar or channel
+   */
+  async modifyWebhook(webhookId, options, reason = null) {
+    return this.client.api(`webhooks/${webhookId}`, {
+      method: 'PATCH',
+      body: options,
+      reason
+    });
+  }
+
+  /**
+   * Delete a webhook
+   */
+  async deleteWebhook(webhookId, reason = null) {
+    for (const [key, webhook] of this.ownedWebhooks) {
+      if (webhook.id === webhookId) {
+        this.ownedWebhooks.delete(key);
+      }
+    }
+
+    return this.client.api(`webhooks/${webhookId}`, {
+      method: 'DELETE',
+      reason
+    });
+  }
+
+  /**
+   * Find the bot's webhook with this name in a channel, creating it if missing
+   */
+  async getOrCreateWebhook(channelId, name, reason = null) {
+    const key = `${channelId}:${name}`;
+
+    if (this.ownedWebhooks.has(key)) {
+      return this.ownedWebhooks.get(key);
+    }
+
+    // Only webhooks created by the bot come back with a token
+    const existing = (await this.getChannelWebhooks(channelId)).find(webhook =>
+      webhook.name === name && webhook.token && webhook.user?.id === this.client.user?.id
+    );
+
+    if (existing) {
+      this.ownedWebhooks.set(key, existing);
+      return existing;
+    }
+
+    return this.createWebhook(channelId, { name }, reason);
+  }
+
+  /**
+   * Execute a webhook
+   *
+   * @param {Object} webhook - { id, token }
+   * @param {string|Object} message - Content or message body (username, avatar_url, embeds, files...)
+   * @param {Object} options
+   * @param {boolean} options.wait - Return the created message instead of null
+   * @param {string} options.threadId - Post into a thread of the webhook's channel
+   * @param {string} options.username - Override the webhook's username
+   * @param {string} options.avatarURL - Override the webhook's avatar
+   */
+  async execute(webhook, message, { wait = false, threadId = null, username, avatarURL } = {}) {
+    const body = typeof message === 'string' ? { content: message } : { ...message };
+
+    if (username) body.username = username;
+    if (avatarURL) body.avatar_url = avatarURL;
+
+    return this.client.executeWebhook(webhook.id, webhook.token, body, { wait, threadId });
+  }
+
+  /**
+   * Post to a channel through the bot's named webhook, returning the message
+   */
+  async send(channelId, message, { name = 'Discord AI Core', threadId = null, username, avatarURL } = {}) {
+    const webhook = await this.getOrCreateWebhook(channelId, name);
+
+    return this.execute(webhook, message, { wait: true, threadId, username, avatarURL });
+  }
+
+  /**
+   * Get a message sent by a webhook
+   */
+  async getMessage(webhook, messageId, { threadId = null } = {}) {
+    return this.client.api(this.getMessageEndpoint(webhook, messageId, threadId));
+  }
+
+  /**
+   * Edit a message sent by a webhook
+   */
+  async editMessage(webhook, messageId, content, { threadId = null } = {}) {
+    const { files, ...body } = typeof content === 'string' ? { content } : content;
+
+    return this.client.api(this.getMessageEndpoint(webhook, messageId, threadId), {
+      method: 'PATCH',
+      body,
+      files
+    });
+  }
+
+  /**
+   * Delete a message sent by a webhook
+   */
+  async deleteMessage(webhook, messageId, { threadId = null } = {}) {
+    return this.client.api(this.getMessageEndpoint(webhook, messageId, threadId), {
+      method: 'DELETE'
+    });
+  }
+
+  getMessageEndpoint(webhook, messageId, threadId) {
+    const endpoint = `webhooks/${webhook.id}/${webhook.token}/messages/${messageId}`;
+    return threadId ? `${endpoint}?thread_id=${threadId}` : endpoint;
+  }
+}
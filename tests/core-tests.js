@@ -5,13 +5,37 @@
  * Run with: node tests/core-tests.js
  */
 
+import { WebSocketServer } from 'ws';
 import { DiscordCore } from '../modules/core.js';
-import { DiscordClient } from '../modules/discord-client.js';
+import { DiscordClient, toEventName } from '../modules/discord-client.js';
 import { AIEngine } from '../modules/ai-engine.js';
 import { CommandHandler } from '../modules/command-handler.js';
 import { ServerManager } from '../modules/server-manager.js';
 import { NLPEngine } from '../modules/nlp-engine.js';
 import { EventSystem } from '../modules/event-system.js';
+import { ShardManager } from '../modules/shard-manager.js';
+import { ZlibStreamInflater } from '../modules/gateway-codec.js';
+import { EntityCache } from '../modules/entity-cache.js';
+import { PresenceManager } from '../modules/presence-manager.js';
+import { AIProvider, ProviderRegistry } from '../modules/ai-providers.js';
+import { StreamingReply } from '../modules/streaming-reply.js';
+import { computePermissions } from '../modules/permission-resolver.js';
+import { extractJSON, validateSchema } from '../modules/structured-output.js';
+import { ToolRegistry } from '../modules/tool-registry.js';
+import {
+  Permissions,
+  compareSnowflakes,
+  escapeMarkdown,
+  extractMentions,
+  getSnowflakeTimestamp,
+  parseDuration,
+  parseMention,
+  splitMessage,
+  timestampToSnowflake
+} from '../modules/discord-utils.js';
+import { DiscordAPIError, DiscordError, HTTPError, NetworkError } from '../modules/discord-errors.js';
+import { WebhookManager } from '../modules/webhook-manager.js';
+import { Readable } from 'stream';
 import dotenv from 'dotenv';
 
 // Load test environment
@@ -205,6 +229,35 @@ class CoreTestSuite {
       this.assert(typeof core.shutdown === 'function', 'Should have shutdown method');
     });
     
+    await this.test('Discord error recovery by code', async () => {
+      const core = new DiscordCore({});
+      core.client.channels.set('123', { id: '123' });
+
+      const unknownChannel = new DiscordAPIError({ message: 'Unknown Channel', code: 10003 }, {
+        status: 404, method: 'GET', route: 'GET channels/:id', endpoint: 'channels/123'
+      });
+
+      const recovery = await core.recoverFromDiscordError(unknownChannel);
+      const unrelated = await core.recoverFromDiscordError(new Error('Something else'));
+
+      this.assert(recovery.action === 'evict_channel' && !core.client.channels.has('123'), 'Unknown channel should evict the stale cache entry');
+      this.assert(unrelated === null, 'Other errors should fall through to AI analysis');
+
+      let reconnects = 0;
+      core.client.reconnect = async () => { reconnects++; };
+      core.client.reconnectTimeout = setTimeout(() => {}, 1000);
+
+      const networkError = new NetworkError(new Error('fetch failed'), { method: 'GET', endpoint: 'users/@me' });
+      await core.recoverFromDiscordError(networkError);
+      await core.attemptSelfHealing({ resolution_steps: ['reconnect to the gateway'] });
+
+      clearTimeout(core.client.reconnectTimeout);
+      core.client.reconnectTimeout = null;
+      await core.recoverFromDiscordError(networkError);
+
+      this.assert(reconnects === 1, 'Should not race a pending reconnect');
+    });
+    
     console.log('✅ Core Framework Tests Complete\n');
   }
 
@@ -246,6 +299,946 @@ class CoreTestSuite {
       this.assert(routeKey1 === 'guilds/123', 'Guild route key should be correct');
       this.assert(routeKey2 === 'channels/456', 'Channel route key should be correct');
     });
+
+    await this.test('Rate limit bucket identification', () => {
+      const client = new DiscordClient();
+
+      const route1 = client.getRouteIdentifier('DELETE', 'channels/123/messages/456');
+      const route2 = client.getRouteIdentifier('DELETE', 'channels/789/messages/999');
+      const webhookRoute = client.getRouteIdentifier('PATCH', 'webhooks/123/abc-token/messages/@original');
+
+      this.assert(route1 === 'DELETE channels/:id/messages/:id', 'Minor ids should be stripped from routes');
+      this.assert(route1 === route2, 'Same route should share an identifier');
+      this.assert(webhookRoute === 'PATCH webhooks/:id/:token/messages/@original', 'Tokens should be stripped from routes');
+
+      this.assert(client.getMajorParameter('channels/123/messages') === '123', 'Channel id should be the major parameter');
+      this.assert(client.getMajorParameter('webhooks/123/abc-token') === '123/abc-token', 'Webhook id and token should be the major parameter');
+      this.assert(client.getMajorParameter('users/@me') === 'global', 'Unscoped routes should share a global key');
+
+      const headers = new Headers({
+        'x-ratelimit-bucket': 'abcd1234',
+        'x-ratelimit-limit': '5',
+        'x-ratelimit-remaining': '0',
+        'x-ratelimit-reset-after': '1.5'
+      });
+      client.updateRateLimit(route1, '123', headers);
+
+      const bucket = client.rateLimits.get('abcd1234:123');
+      this.assert(client.getBucketKey(route1, '123') === 'abcd1234:123', 'Bucket hash should key the limit');
+      this.assert(bucket && bucket.remaining === 0 && bucket.limit === 5, 'Bucket state should be recorded');
+    });
+
+    await this.test('Rate limited requests are retried', async () => {
+      const client = new DiscordClient();
+      const originalFetch = globalThis.fetch;
+      const rateLimitEvents = [];
+      let calls = 0;
+
+      client.on('rateLimit', (info) => rateLimitEvents.push(info));
+      globalThis.fetch = async () => {
+        calls++;
+        if (calls === 1) {
+          return new Response(JSON.stringify({ message: 'You are being rate limited.', retry_after: 0.01, global: false }), {
+            status: 429,
+            headers: { 'x-ratelimit-scope': 'user' }
+          });
+        }
+        return new Response(JSON.stringify({ id: '1' }), { status: 200 });
+      };
+
+      try {
+        const result = await client.api('channels/123/messages', { method: 'POST', body: { content: 'hi' } });
+        this.assert(result.id === '1', 'Should return the retried response');
+        this.assert(calls === 2, 'Should retry once after the 429');
+        this.assert(rateLimitEvents.length === 1 && rateLimitEvents[0].scope === 'user', 'Should emit rate limit details');
+      } finally {
+        globalThis.fetch = originalFetch;
+      }
+    });
+
+    await this.test('Global rate limit handling', async () => {
+      const client = new DiscordClient();
+      const originalFetch = globalThis.fetch;
+
+      globalThis.fetch = async () => new Response(JSON.stringify({ retry_after: 0.01, global: true }), {
+        status: 429,
+        headers: { 'x-ratelimit-global': 'true', 'x-ratelimit-scope': 'global' }
+      });
+
+      try {
+        let failed = false;
+        try {
+          await client.api('users/@me', { retries: 0 });
+        } catch {
+          failed = true;
+        }
+        this.assert(failed, 'Should throw once retries are exhausted');
+        this.assert(client.globalRateLimitReset > 0, 'Should record the global reset time');
+      } finally {
+        globalThis.fetch = originalFetch;
+      }
+    });
+
+    await this.test('Requests in a bucket are serialized', async () => {
+      const client = new DiscordClient();
+      const originalFetch = globalThis.fetch;
+      let inFlight = 0;
+      let maxInFlight = 0;
+
+      globalThis.fetch = async () => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        inFlight--;
+        return new Response(null, { status: 204 });
+      };
+
+      try {
+        await Promise.all([
+          client.api('guilds/123/members?limit=1000'),
+          client.api('guilds/123/members?limit=1000&after=5'),
+          client.api('guilds/123/members?limit=1000&after=9')
+        ]);
+        this.assert(maxInFlight === 1, 'Requests sharing a bucket should not run concurrently');
+        this.assert(client.requestQueue.length === 0, 'Request queue should drain');
+
+        // Different routes in one (not yet known) bucket
+        maxInFlight = 0;
+        await Promise.all([
+          client.api('channels/77/messages', { method: 'POST', body: { content: 'a' } }),
+          client.api('channels/77/messages/5', { method: 'PATCH', body: { content: 'b' } })
+        ]);
+        this.assert(maxInFlight === 1, 'Routes with unknown buckets should share a queue per major parameter');
+
+        client.bucketHashes.set('POST channels/:id/messages', 'shared');
+        client.bucketHashes.set('PATCH channels/:id/messages/:id', 'shared');
+        this.assert(client.getQueueKey('POST channels/:id/messages', '77') === client.getQueueKey('PATCH channels/:id/messages/:id', '77'), 'Known buckets should key the queue by hash');
+      } finally {
+        globalThis.fetch = originalFetch;
+      }
+    });
+
+    await this.test('Gateway close code classification', () => {
+      const client = new DiscordClient();
+      client.sessionId = 'session_abc';
+      client.lastSequence = 42;
+
+      this.assert(client.classifyCloseCode(4004) === 'fatal', 'Authentication failure should be fatal');
+      this.assert(client.classifyCloseCode(4014) === 'fatal', 'Disallowed intents should be fatal');
+      this.assert(client.classifyCloseCode(4009) === 'reidentify', 'Session timeout should re-identify');
+      this.assert(client.classifyCloseCode(1006) === 'resume', 'Abnormal closure should resume');
+
+      client.resetSession();
+      this.assert(client.classifyCloseCode(1006) === 'reidentify', 'Should re-identify without a session');
+    });
+
+    await this.test('Gateway resume after hello', () => {
+      const client = new DiscordClient();
+      const sent = [];
+      client.ws = { readyState: 1, send: (data) => sent.push(JSON.parse(data)), close: () => {} };
+      client.token = 'Bot test_token';
+      client.sessionId = 'session_abc';
+      client.lastSequence = 42;
+      client.resuming = true;
+
+      client.handleGatewayMessage({ op: 10, d: { heartbeat_interval: 45000 } });
+      client.stopHeartbeat();
+
+      this.assert(sent.length === 1, 'Should send a single payload');
+      this.assert(sent[0].op === 6, 'Should send RESUME instead of IDENTIFY');
+      this.assert(sent[0].d.session_id === 'session_abc', 'Should resume the tracked session');
+      this.assert(sent[0].d.seq === 42, 'Should resume from the last sequence');
+    });
+
+    await this.test('Fatal close stops reconnecting', () => {
+      const client = new DiscordClient();
+      let errorEmitted = false;
+      client.on('error', () => {
+        errorEmitted = true;
+      });
+      client.shouldReconnect = true;
+
+      client.handleGatewayClose(4004);
+
+      this.assert(errorEmitted, 'Should emit an error for fatal close codes');
+      this.assert(client.shouldReconnect === false, 'Should stop reconnecting');
+      this.assert(client.reconnectTimeout === null, 'Should not schedule a reconnect');
+    });
+
+    await this.test('Fatal close rejects a pending login', async () => {
+      const client = new DiscordClient();
+      client.on('error', () => {});
+      client.openGatewaySocket = () => null;
+
+      const connecting = client.connectGateway();
+      client.handleGatewayClose(4014);
+
+      let rejected = null;
+      await connecting.catch(error => { rejected = error; });
+      this.assert(rejected && /4014/.test(rejected.message), 'Should reject instead of waiting for READY');
+      this.assert(client.rejectConnect === null && client.listenerCount('ready') === 0, 'Should settle once');
+
+      client.ws = { readyState: 1, send: () => {}, close: () => {} };
+      client.handleInvalidSession(false);
+      this.assert(client.invalidSessionTimeout !== null, 'Should track the re-identify delay');
+      client.disconnect();
+      this.assert(client.invalidSessionTimeout === null, 'Disconnecting should cancel the re-identify');
+    });
+
+    await this.test('Heartbeat ACK latency tracking', () => {
+      const client = new DiscordClient();
+      const sent = [];
+      client.ws = { readyState: 1, send: (data) => sent.push(JSON.parse(data)), close: () => {} };
+      client.lastSequence = 7;
+
+      client.sendHeartbeat();
+      this.assert(sent[0].op === 1 && sent[0].d === 7, 'Should send heartbeat with last sequence');
+      this.assert(client.lastHeartbeatAcked === false, 'Should await an ACK');
+
+      client.lastHeartbeatSent -= 25;
+      client.handleGatewayMessage({ op: 11 });
+
+      this.assert(client.lastHeartbeatAcked === true, 'Should record the ACK');
+      this.assert(client.ping >= 25, 'Should measure gateway latency');
+    });
+
+    await this.test('Zombie connection detection', () => {
+      const client = new DiscordClient();
+      let closeCode = null;
+      client.ws = { readyState: 1, send: () => {}, close: (code) => { closeCode = code; } };
+      client.shouldReconnect = true;
+      client.sessionId = 'session_abc';
+      client.lastSequence = 42;
+
+      client.sendHeartbeat();
+      client.sendHeartbeat();
+
+      this.assert(closeCode === 4000, 'Should close the zombied socket with a resumable code');
+      this.assert(client.resuming === true, 'Should schedule a resumable reconnect');
+      this.assert(client.reconnectTimeout !== null, 'Should schedule a reconnect');
+      client.disconnect();
+    });
+
+    await this.test('Single heartbeat timer per connection', () => {
+      const client = new DiscordClient();
+      client.startHeartbeat(45000);
+      const firstTimer = client.heartbeatTimeout;
+      client.startHeartbeat(45000);
+
+      this.assert(client.heartbeatTimeout !== firstTimer, 'Should replace the previous timer');
+      client.stopHeartbeat();
+      this.assert(client.heartbeatTimeout === null && client.heartbeatInterval === null, 'Should clear all timers');
+    });
+
+    await this.test('Gateway zlib-stream decompression', async () => {
+      // Recorded frames from a single zlib-stream connection
+      const frames = [
+        'eJyqVsovULIyNNBRSlGyqlbKSE0sKklKTSyJz8wrSS0qS8xRsjIxNDI1qNVRKlayyivNydFRKoEwagEAAAD//w==',
+        'LIzLCsIwEEX/5a77sHWXnaA/4E5EyqQZQiC2kElaRPLv0pjtueeeb/meyjIUjPvtcn2gxrZ/WFjErcvkDBRIz8N4RoPAkt48WYq802dKwUNhF1F9X1mbpGWSOLS6M07mNZjOWjRIwuHol+BQwUJvhoJeI3IDm5w3AvWs1nhYC23kPGnPUDEkzq+cfwAAAP//',
+        'gvjB0BDTe2BPgP0JAAAA//8='
+      ].map(frame => Buffer.from(frame, 'base64'));
+
+      const client = new DiscordClient({ compress: 'zlib-stream' });
+      this.assert(client.gatewayURL.includes('compress=zlib-stream'), 'Gateway URL should request zlib-stream');
+
+      const inflater = new ZlibStreamInflater();
+      const decode = async (data) => {
+        const message = await inflater.push(data);
+        return message === null ? null : client.codec.decode(message);
+      };
+
+      const hello = await decode(frames[0]);
+      const partial = await decode(frames[1].subarray(0, 10));
+      const ready = await decode(frames[1].subarray(10));
+      const ack = await decode(frames[2]);
+      inflater.close();
+
+      this.assert(hello.op === 10 && hello.d.heartbeat_interval === 41250, 'Should inflate Hello');
+      this.assert(partial === null, 'Should buffer frames until the zlib suffix');
+      this.assert(ready.t === 'READY' && ready.d.session_id === 'abc123', 'Should inflate split READY with shared context');
+      this.assert(ack.op === 11, 'Should inflate ACK with shared context');
+    });
+
+    await this.test('Corrupt zlib-stream frames', async () => {
+      const server = new WebSocketServer({ port: 0 });
+      await new Promise(resolve => server.once('listening', resolve));
+
+      const closed = new Promise(resolve => server.once('connection', (socket) => {
+        socket.once('close', resolve);
+        // Invalid deflate block followed by the Z_SYNC_FLUSH suffix
+        socket.send(Buffer.from([0x78, 0x9c, 0xff, 0xff, 0xff, 0x00, 0x00, 0xff, 0xff]));
+      }));
+
+      const client = new DiscordClient({ compress: 'zlib-stream' });
+      client.shouldReconnect = false;
+      client.openGatewaySocket(`ws://127.0.0.1:${server.address().port}`);
+
+      try {
+        const code = await closed;
+        this.assert(code === 4000, 'Should close with a resumable code so the next connection gets a fresh zlib context');
+      } finally {
+        client.disconnect();
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+
+    await this.test('Custom gateway codec', () => {
+      const codec = {
+        encoding: 'etf',
+        binary: true,
+        encode: (payload) => Buffer.from(JSON.stringify(payload)),
+        decode: (data) => JSON.parse(data.toString())
+      };
+
+      const client = new DiscordClient({ codec });
+      const sent = [];
+      client.ws = { readyState: 1, send: (data) => sent.push(data), close: () => {} };
+      client.sendHeartbeat(true);
+
+      this.assert(client.gatewayURL.includes('encoding=etf'), 'Gateway URL should use the codec encoding');
+      this.assert(Buffer.isBuffer(sent[0]) && codec.decode(sent[0]).op === 1, 'Payloads should be encoded by the codec');
+      this.assert(!client.gatewayURL.includes('compress='), 'Compression should be off by default');
+    });
+
+    await this.test('Dispatch event names', () => {
+      const client = new DiscordClient();
+      const received = [];
+      client.on('guildScheduledEventCreate', () => received.push('guildScheduledEventCreate'));
+      client.on('messageReactionAdd', () => received.push('messageReactionAdd'));
+
+      client.handleDispatch('GUILD_SCHEDULED_EVENT_CREATE', { id: '1' });
+      client.handleDispatch('MESSAGE_REACTION_ADD', { message_id: '1' });
+
+      this.assert(toEventName('GUILD_DELETE') === 'guildDelete', 'Should camelCase dispatch names');
+      this.assert(received.join() === 'guildScheduledEventCreate,messageReactionAdd', 'Should emit camelCase events');
+    });
+
+    await this.test('Dispatch cache maintenance', () => {
+      const client = new DiscordClient();
+      const events = [];
+      ['guildCreate', 'guildAvailable', 'guildUnavailable', 'guildDelete'].forEach(name => {
+        client.on(name, () => events.push(name));
+      });
+
+      client.guilds.set('10', { id: '10', unavailable: true });
+      client.handleDispatch('GUILD_CREATE', {
+        id: '10',
+        name: 'Test',
+        channels: [{ id: '20', name: 'general' }],
+        roles: [{ id: '10', name: '@everyone' }],
+        members: [{ user: { id: '30', username: 'member' }, roles: [] }]
+      });
+
+      client.handleDispatch('CHANNEL_CREATE', { id: '21', guild_id: '10', name: 'new' });
+      client.handleDispatch('CHANNEL_UPDATE', { id: '20', guild_id: '10', name: 'renamed' });
+      client.handleDispatch('GUILD_ROLE_CREATE', { guild_id: '10', role: { id: '40', name: 'mod' } });
+      client.handleDispatch('GUILD_ROLE_DELETE', { guild_id: '10', role_id: '10' });
+      client.handleDispatch('GUILD_MEMBER_UPDATE', { guild_id: '10', user: { id: '30', username: 'renamed' }, roles: ['40'] });
+      client.handleDispatch('GUILD_UPDATE', { id: '10', name: 'Updated' });
+
+      const guild = client.guilds.get('10');
+      this.assert(events[0] === 'guildAvailable', 'READY guilds should become available, not joined');
+      this.assert(client.channels.get('20').name === 'renamed' && client.channels.has('21'), 'Channels should be cached');
+      this.assert(guild.roles.length === 1 && guild.roles[0].id === '40', 'Roles should be cached');
+      this.assert(guild.members[0].roles[0] === '40' && client.users.get('30').username === 'renamed', 'Members should be cached');
+      this.assert(guild.name === 'Updated' && guild.channels.length === 2, 'Guild updates should keep collections');
+
+      guild.member_count = 1;
+      client.handleDispatch('GUILD_MEMBER_ADD', { guild_id: '10', user: { id: '31', username: 'joined' }, roles: [] });
+      this.assert(guild.member_count === 2 && guild.members.length === 2, 'Joins should count and cache the member');
+      client.handleDispatch('GUILD_MEMBER_REMOVE', { guild_id: '10', user: { id: '31' } });
+      this.assert(guild.member_count === 1 && guild.members.length === 1, 'Leaves should count and uncache the member');
+
+      client.handleDispatch('GUILD_DELETE', { id: '10', unavailable: true });
+      this.assert(client.guilds.get('10').unavailable === true, 'Outages should keep the guild cached');
+
+      client.handleDispatch('GUILD_DELETE', { id: '10' });
+      this.assert(!client.guilds.has('10') && client.channels.size === 0, 'Leaving a guild should clear its cache');
+      this.assert(events.join() === 'guildAvailable,guildUnavailable,guildDelete', 'Guild lifecycle events should be emitted');
+    });
+
+    await this.test('Cache policies', async () => {
+      const lru = new EntityCache({ maxSize: 2 });
+      lru.set('a', 1).set('b', 2);
+      lru.get('a');
+      lru.set('c', 3);
+
+      const disabled = new EntityCache({ enabled: false });
+      disabled.set('a', 1);
+
+      const ttl = new EntityCache({ ttl: 1000, sweepInterval: 60000 });
+      ttl.set('a', 1);
+      ttl.timestamps.set('a', Date.now() - 2000);
+      ttl.set('b', 2);
+      const swept = ttl.sweep();
+      const sweptLookups = [ttl.get('a'), ttl.get('b')];
+      ttl.destroy();
+
+      // Expired entries disappear from lookups and iteration before any sweep runs
+      const shortLived = new EntityCache({ ttl: 20, sweepInterval: 60000 });
+      shortLived.set('a', 1);
+      await new Promise(resolve => setTimeout(resolve, 30));
+      shortLived.set('b', 2);
+      const live = [...shortLived.keys()];
+      const expiredLookup = shortLived.get('a');
+      shortLived.destroy();
+
+      const uncovered = new DiscordClient({ intents: 1 << 0, cache: { users: { requireIntents: true } } });
+      const bounded = new DiscordClient({ cache: { maxSize: 10, ttl: 5000, guilds: false } });
+
+      this.assert(lru.has('a') && !lru.has('b') && lru.stats.evictions === 1, 'LRU should evict the least recently used entry');
+      this.assert(disabled.size === 0, 'Disabled caches should not store entries');
+      this.assert(swept === 1 && sweptLookups[0] === undefined && sweptLookups[1] === 2, 'TTL sweep should drop expired entries');
+      this.assert(live.join() === 'b' && expiredLookup === undefined, 'Expired entries should not be returned');
+      this.assert(uncovered.users.policy.enabled === false && uncovered.channels.policy.enabled, 'Caches should respect intent coverage');
+      this.assert(bounded.users.policy.maxSize === 10 && bounded.channels.policy.maxSize === Infinity, 'Global limits should apply to users');
+      this.assert(bounded.guilds.policy.enabled === false, 'false should disable a cache');
+    });
+
+    await this.test('Fetch-through cache', async () => {
+      const originalFetch = globalThis.fetch;
+      let requests = 0;
+      globalThis.fetch = async () => {
+        requests++;
+        return new Response(JSON.stringify({ id: '5', username: 'fetched' }), { status: 200 });
+      };
+
+      try {
+        const client = new DiscordClient();
+        client.token = 'Bot test';
+
+        const first = await client.fetchUser('5');
+        const second = await client.fetchUser('5');
+        await client.fetchUser('5', { force: true });
+        const health = client.getHealthStatus();
+
+        this.assert(first.username === 'fetched' && second.username === 'fetched', 'Should cache fetched users');
+        this.assert(requests === 2, 'Cache hits should not call the API');
+        this.assert(health.caches.users.size === 1 && health.caches.users.hits > 0, 'Health should expose cache stats');
+      } finally {
+        globalThis.fetch = originalFetch;
+      }
+    });
+
+    await this.test('Typed API errors', async () => {
+      const originalFetch = globalThis.fetch;
+      const responses = [
+        new Response(JSON.stringify({ message: 'Missing Permissions', code: 50013 }), { status: 403 }),
+        new Response(JSON.stringify({
+          message: 'Invalid Form Body',
+          code: 50035,
+          errors: { embeds: { 0: { description: { _errors: [{ code: 'BASE_TYPE_MAX_LENGTH', message: 'Must be 4096 or fewer in length.' }] } } } }
+        }), { status: 400 }),
+        new Response('<html>Bad Gateway</html>', { status: 502 })
+      ];
+      globalThis.fetch = async () => {
+        const response = responses.shift();
+        if (!response) throw new TypeError('fetch failed');
+        return response;
+      };
+
+      try {
+        const client = new DiscordClient();
+        client.token = 'Bot test';
+        const errors = [];
+
+        for (let i = 0; i < 4; i++) {
+          try {
+            await client.api('channels/123/messages', { method: 'POST', body: { content: 'hi' } });
+          } catch (error) {
+            errors.push(error);
+          }
+        }
+
+        const [forbidden, invalid, gateway, network] = errors;
+        this.assert(forbidden instanceof DiscordAPIError && forbidden.code === 50013 && forbidden.status === 403, 'Should carry status and code');
+        this.assert(forbidden.describe() === 'Missing Permissions on channel 123', 'Should describe the failing resource');
+        this.assert(forbidden.route === 'POST channels/:id/messages' && forbidden.requestBody.content === 'hi', 'Should carry request details');
+        this.assert(invalid.fieldErrors[0] === 'embeds[0].description: Must be 4096 or fewer in length.', 'Should flatten field errors');
+        this.assert(gateway instanceof HTTPError && gateway.status === 502, 'Non-JSON responses should be HTTP errors');
+        this.assert(network instanceof NetworkError, 'Fetch failures should be network errors');
+        this.assert(errors.every(error => error instanceof DiscordError && error.endpoint === 'channels/123/messages' && error.requestBody.content === 'hi'), 'Every REST error should share the DiscordError base');
+
+        const unnamed = new DiscordAPIError({ code: 0 }, { status: 400, endpoint: 'channels/123/messages' });
+        this.assert(unnamed.describe() === 'HTTP 400 on channel 123', 'Should describe errors without a message');
+      } finally {
+        globalThis.fetch = originalFetch;
+      }
+    });
+
+    await this.test('Multipart file uploads', async () => {
+      const originalFetch = globalThis.fetch;
+      const requests = [];
+      globalThis.fetch = async (url, init) => {
+        requests.push(init);
+        return new Response(JSON.stringify({ id: '1' }), { status: 200 });
+      };
+
+      try {
+        const client = new DiscordClient({ maxUploadSize: 16 });
+        client.token = 'Bot test';
+
+        await client.sendMessage('123', {
+          content: 'report',
+          files: [
+            { attachment: Buffer.from('hello'), name: 'report.txt', description: 'Report' },
+            Readable.from([Buffer.from('str'), Buffer.from('eam')])
+          ]
+        });
+
+        await client.api('interactions/1/token/callback', {
+          method: 'POST',
+          body: { type: 4, data: { content: 'done' } },
+          files: [{ attachment: Buffer.from('x'), name: 'x.txt' }]
+        });
+
+        let oversized = null;
+        try {
+          await client.sendMessage('123', { files: [Buffer.alloc(17)] });
+        } catch (error) {
+          oversized = error;
+        }
+
+        const [message, callback] = requests;
+        const payload = JSON.parse(message.body.get('payload_json'));
+        const callbackPayload = JSON.parse(callback.body.get('payload_json'));
+
+        this.assert(message.body instanceof FormData && !message.headers['Content-Type'], 'Should send multipart without a JSON content type');
+        this.assert(payload.content === 'report' && payload.attachments[0].filename === 'report.txt', 'payload_json should describe attachments');
+        this.assert(await message.body.get('files[1]').text() === 'stream', 'Streams should be uploaded');
+        this.assert(callbackPayload.data.attachments[0].filename === 'x.txt', 'Interaction callbacks should nest attachments under data');
+        this.assert(oversized instanceof RangeError && requests.length === 2, 'Oversized files should be rejected before sending');
+
+        let pathError = null;
+        try {
+          await client.sendMessage('123', { files: ['package.json'] });
+        } catch (error) {
+          pathError = error;
+        }
+
+        const manager = new ServerManager(client, new AIEngine('test', 'test'));
+        this.assert(pathError instanceof TypeError && requests.length === 2, 'Plain path strings should not be read from disk');
+        this.assert(await manager.processImage('package.json') === null, 'Images should not be read from local paths');
+      } finally {
+        globalThis.fetch = originalFetch;
+      }
+    });
+
+    await this.test('Message history pagination', async () => {
+      const client = new DiscordClient();
+      const history = Array.from({ length: 250 }, (_, index) => ({ id: String(1000 + index) }));
+      const queries = [];
+
+      client.getMessages = async (channelId, { limit, before }) => {
+        queries.push(before);
+        const older = history.filter(message => !before || Number(message.id) < Number(before));
+        return older.slice(-limit).reverse();
+      };
+
+      const messages = [];
+      for await (const message of client.iterateMessages('1', { limit: 230 })) {
+        messages.push(message);
+      }
+
+      this.assert(messages.length === 230 && messages[0].id === '1249', 'Should iterate newest first across pages');
+      this.assert(queries.length === 3 && queries[1] === '1150', 'Should page with before cursors');
+    });
+
+    await this.test('Bulk delete constraints', async () => {
+      const client = new DiscordClient();
+      const calls = [];
+      client.api = async (endpoint, options = {}) => {
+        calls.push({ endpoint, ...options });
+        return null;
+      };
+
+      const snowflake = (time) => String((BigInt(time) - 1420070400000n) << 22n);
+      const recent = Array.from({ length: 101 }, (_, index) => snowflake(Date.now() - index * 1000));
+      const old = snowflake(Date.now() - 15 * 24 * 60 * 60 * 1000);
+
+      const result = await client.bulkDeleteMessages('1', [...recent, old, recent[0]], { reason: 'cleanup' });
+      await client.addReaction('1', '2', '<:blob:123>');
+
+      this.assert(result.deleted.length === 101 && result.tooOld[0] === old, 'Should skip messages older than 14 days');
+      this.assert(calls[0].endpoint.endsWith('bulk-delete') && calls[0].body.messages.length === 100, 'Should chunk bulk deletes at 100');
+      this.assert(calls[1].method === 'DELETE' && calls[1].endpoint === `channels/1/messages/${recent[100]}`, 'Single leftovers should use a normal delete');
+      this.assert(calls[0].reason === 'cleanup', 'Should pass the audit log reason');
+      this.assert(calls[2].endpoint === 'channels/1/messages/2/reactions/blob%3A123/@me', 'Custom emojis should be encoded as name:id');
+    });
+
+    await this.test('Thread dispatch caching', () => {
+      const client = new DiscordClient();
+      client.user = { id: '99' };
+      client.guilds.set('10', { id: '10', channels: [] });
+
+      const thread = (id, parentId) => ({ id, guild_id: '10', parent_id: parentId, type: 11, thread_metadata: { archived: false } });
+
+      client.handleDispatch('THREAD_CREATE', thread('1', '50'));
+      client.handleDispatch('THREAD_CREATE', thread('2', '60'));
+      client.handleDispatch('THREAD_LIST_SYNC', {
+        guild_id: '10',
+        channel_ids: ['50'],
+        threads: [thread('3', '50')],
+        members: [{ id: '3', user_id: '99' }]
+      });
+      client.handleDispatch('THREAD_MEMBERS_UPDATE', { id: '2', guild_id: '10', member_count: 4, removed_member_ids: ['99'] });
+
+      this.assert(!client.channels.has('1') && client.channels.get('3').member.user_id === '99', 'List sync should replace threads in synced parents');
+      this.assert(client.channels.get('2').member_count === 4 && client.channels.get('2').member === null, 'Member updates should track membership');
+      this.assert(client.guilds.get('10').threads.map(t => t.id).join() === '2,3', 'Guild thread list should follow the cache');
+    });
+
+    await this.test('Member timeouts and bans', async () => {
+      const client = new DiscordClient();
+      const calls = [];
+      client.api = async (endpoint, options = {}) => {
+        calls.push({ endpoint, ...options });
+        return { banned_users: options.body?.user_ids || [], failed_users: [] };
+      };
+
+      this.assert(parseDuration('10m') === 600000 && parseDuration('1h30m') === 5400000, 'Should parse compound durations');
+      this.assert(parseDuration('2 days') === 172800000 && parseDuration('soon') === null, 'Should parse words and reject text');
+
+      await client.timeoutMember('10', '1', '1h', 'spam');
+      await client.removeTimeout('10', '1');
+      const until = Date.parse(calls[0].body.communication_disabled_until);
+      this.assert(Math.abs(until - Date.now() - 3600000) < 5000 && calls[0].reason === 'spam', 'Timeouts should send an ISO end time and reason');
+      this.assert(calls[1].method === 'PATCH' && calls[1].body.communication_disabled_until === null, 'Removing a timeout should clear the end time');
+
+      let rejected = false;
+      try {
+        await client.timeoutMember('10', '1', '29d');
+      } catch (error) {
+        rejected = error instanceof RangeError;
+      }
+      this.assert(rejected && calls.length === 2, 'Timeouts over 28 days should be rejected before calling Discord');
+
+      const ids = Array.from({ length: 250 }, (_, index) => String(index + 1));
+      const result = await client.bulkBanMembers('10', ids, { reason: 'raid' });
+      this.assert(calls[2].body.user_ids.length === 200 && calls[3].body.user_ids.length === 50, 'Bulk bans should chunk at 200 users');
+      this.assert(result.banned_users.length === 250 && calls[3].reason === 'raid', 'Bulk bans should merge results and pass the reason');
+    });
+
+    await this.test('Scheduled event caching', async () => {
+      const client = new DiscordClient();
+      const calls = [];
+      client.api = async (endpoint, options = {}) => {
+        calls.push({ endpoint, ...options });
+        return { id: '5', ...options.body };
+      };
+      client.guilds.set('10', { id: '10' });
+
+      client.handleDispatch('GUILD_SCHEDULED_EVENT_CREATE', { id: '5', guild_id: '10', name: 'Game night', user_count: 0 });
+      client.handleDispatch('GUILD_SCHEDULED_EVENT_USER_ADD', { guild_id: '10', guild_scheduled_event_id: '5', user_id: '1' });
+      client.handleDispatch('GUILD_SCHEDULED_EVENT_USER_ADD', { guild_id: '10', guild_scheduled_event_id: '5', user_id: '2' });
+      client.handleDispatch('GUILD_SCHEDULED_EVENT_USER_REMOVE', { guild_id: '10', guild_scheduled_event_id: '5', user_id: '1' });
+      this.assert(client.guilds.get('10').guild_scheduled_events[0].user_count === 1, 'Subscriber dispatches should track user counts');
+
+      client.handleDispatch('GUILD_SCHEDULED_EVENT_DELETE', { id: '5', guild_id: '10' });
+      this.assert(client.guilds.get('10').guild_scheduled_events.length === 0, 'Deleted events should leave the cache');
+
+      const start = new Date('2030-01-01T20:00:00Z');
+      await client.createScheduledEvent('10', { name: 'Launch', entity_type: 3, scheduled_start_time: start }, 'planning');
+      await client.cancelScheduledEvent('10', '5');
+      this.assert(calls[0].body.scheduled_start_time === start.toISOString() && calls[0].body.privacy_level === 2, 'Should serialize times and default to guild-only');
+      this.assert(calls[1].method === 'PATCH' && calls[1].body.status === 4, 'Canceling should set the canceled status');
+    });
+
+    await this.test('Gateway member requests', async () => {
+      const client = new DiscordClient();
+      const payloads = [];
+      client.guilds.set('10', { id: '10', members: [] });
+      client.sendPayload = (payload) => {
+        payloads.push(payload);
+        return true;
+      };
+
+      const member = (id) => ({ user: { id, username: `user${id}` }, roles: [] });
+      const request = client.requestGuildMembers({ guildId: '10', presences: true });
+      const { nonce } = payloads[0].d;
+
+      client.handleDispatch('GUILD_MEMBERS_CHUNK', { guild_id: '10', nonce, chunk_index: 0, chunk_count: 2, members: [member('1')] });
+      client.handleDispatch('GUILD_MEMBERS_CHUNK', { guild_id: '10', nonce: 'other', chunk_index: 0, chunk_count: 1, members: [member('9')] });
+      client.handleDispatch('GUILD_MEMBERS_CHUNK', {
+        guild_id: '10', nonce, chunk_index: 1, chunk_count: 2, members: [member('2')],
+        presences: [{ user: { id: '2' }, status: 'online' }]
+      });
+
+      const members = await request;
+      this.assert(payloads[0].op === 8 && payloads[0].d.query === '' && payloads[0].d.limit === 0, 'Should request every member');
+      this.assert(members.map(m => m.user.id).join() === '1,2' && members[1].presence.status === 'online', 'Should assemble chunks by nonce');
+      this.assert(client.guilds.get('10').members.length === 3 && client.memberRequests.size === 0, 'Chunks should be cached');
+
+      client.requestGuildMembers({ guildId: '10', userIds: Array.from({ length: 150 }, (_, index) => String(index)) }).catch(() => {});
+      this.assert(payloads[1].d.user_ids.length === 100 && payloads[2].d.user_ids.length === 50, 'Should batch user ids by 100');
+
+      let timedOut = false;
+      await client.requestGuildMembers({ guildId: '10', query: 'ali', limit: 5, timeout: 10 }).catch(() => { timedOut = true; });
+      this.assert(timedOut && payloads[3].d.query === 'ali', 'Should time out when chunks stop arriving');
+    });
+
+    await this.test('Gateway send rate limit', async () => {
+      const client = new DiscordClient();
+      const sent = [];
+      client.ws = { readyState: 1, send: (data) => sent.push(JSON.parse(data)), close: () => {} };
+
+      // The window is nearly used up and frees its oldest slot in ~20ms
+      const now = Date.now();
+      client.gatewaySendTimes = Array.from({ length: 110 }, () => now - 59980);
+
+      const member = (id) => ({ user: { id, username: `user${id}` }, roles: [] });
+      const request = client.requestGuildMembers({ guildId: '10', query: '' });
+      this.assert(sent.length === 0 && client.gatewayQueue.length === 1, 'Member requests should wait for room');
+
+      await new Promise(resolve => setTimeout(resolve, 40));
+      this.assert(sent.length === 1 && sent[0].op === 8, 'Should send once the window frees up');
+
+      const { nonce } = sent[0].d;
+      client.handleDispatch('GUILD_MEMBERS_CHUNK', { guild_id: '10', nonce, chunk_index: 1, chunk_count: 2, members: [member('2')] });
+      this.assert(client.memberRequests.has(nonce), 'An early last chunk should not complete the request');
+      client.handleDispatch('GUILD_MEMBERS_CHUNK', { guild_id: '10', nonce, chunk_index: 0, chunk_count: 2, members: [member('1')] });
+
+      const members = await request;
+      this.assert(members.length === 2, 'Should complete once every chunk arrived');
+
+      client.gatewaySendTimes = Array.from({ length: 110 }, () => Date.now());
+      const queued = client.queuePayload({ op: 8, d: {} });
+      client.disconnect();
+      this.assert(await queued === false && client.gatewayQueueTimer === null, 'Disconnecting should drop queued sends');
+    });
+
+    await this.test('Presence validation and rotation', async () => {
+      const client = new DiscordClient();
+      const payloads = [];
+      client.sendPayload = (payload) => {
+        payloads.push(payload);
+        return true;
+      };
+
+      const presence = await client.setPresence({ status: 'dnd', activity: { name: 'the logs', type: 'watching' } });
+      this.assert(presence.activities[0].type === 3 && payloads[0].op === 3, 'Should resolve activity type names');
+
+      const invalid = [
+        { status: 'busy' },
+        { activities: [{ name: 'x', type: 'dancing' }] },
+        { activities: [{ name: 'live', type: 'streaming', url: 'https://example.com' }] }
+      ];
+      for (const input of invalid) {
+        let rejected = false;
+        try {
+          client.buildPresence(input);
+        } catch {
+          rejected = true;
+        }
+        this.assert(rejected, `Should reject ${JSON.stringify(input)}`);
+      }
+
+      client.handleResumed();
+      this.assert(payloads[1].d.status === 'dnd', 'Should re-apply presence after resuming');
+
+      const manager = new PresenceManager(client, {
+        activities: ['{guilds} servers', { name: '{commands} commands | {unknown}', type: 'listening' }],
+        getStats: () => ({ guilds: 12, metrics: { commandsExecuted: 40 } })
+      });
+      await manager.start();
+      manager.index = 1;
+      await manager.apply();
+      manager.stop();
+
+      this.assert(client.presence.activities[0].name === '40 commands | {unknown}' && client.presence.activities[0].type === 2, 'Should fill templates with stats');
+      this.assert(payloads[2].d.activities[0].name === '12 servers' && payloads[2].d.status === 'online', 'Should apply configured defaults');
+    });
+
+    await this.test('Shared Discord utilities', () => {
+      const permissions = new Permissions('SEND_MESSAGES', 'VIEW_CHANNEL');
+
+      this.assert(permissions.has(['SEND_MESSAGES', 'VIEW_CHANNEL']) && !permissions.has('MANAGE_ROLES'), 'Should check flags');
+      this.assert(permissions.missing(['VIEW_CHANNEL', 'BAN_MEMBERS']).join() === 'BAN_MEMBERS', 'Should list missing flags');
+      this.assert(new Permissions('8').has('BAN_MEMBERS') && !new Permissions('8').has('BAN_MEMBERS', false), 'Administrator should imply every flag');
+      this.assert(permissions.toString() === '3072' && permissions.serialize().SEND_MESSAGES === true, 'Should serialize bitfields');
+
+      const snowflake = timestampToSnowflake(Date.UTC(2024, 0, 1));
+      this.assert(getSnowflakeTimestamp(snowflake) === Date.UTC(2024, 0, 1), 'Should round-trip snowflake timestamps');
+      this.assert(compareSnowflakes('99', '100') === -1, 'Should compare snowflakes numerically');
+
+      this.assert(parseMention('<@!123>').type === 'user' && parseMention('<@&5>').type === 'role' && parseMention('hi') === null, 'Should parse mentions');
+      const mentions = extractMentions('<@1> and <@!1> in <#2> for <@&3>');
+      this.assert(mentions.users.join() === '1' && mentions.channels[0] === '2' && mentions.roles[0] === '3', 'Should extract unique mentions');
+      this.assert(escapeMarkdown('**hi**_') === '\\*\\*hi\\*\\*\\_', 'Should escape markdown');
+    });
+
+    await this.test('Shard routing and identify payload', () => {
+      // Snowflake 175928847299117063 >> 22 = 41944705796
+      this.assert(ShardManager.shardIdForGuild('175928847299117063', 1) === 0, 'Single shard should receive every guild');
+      this.assert(ShardManager.shardIdForGuild('175928847299117063', 4) === 41944705796 % 4, 'Guild should route by (id >> 22) % shards');
+
+      const client = new DiscordClient({ shardId: 3, shardCount: 4 });
+      const sent = [];
+      client.ws = { readyState: 1, send: (data) => sent.push(JSON.parse(data)), close: () => {} };
+      client.sendIdentify();
+
+      this.assert(sent[0].d.shard[0] === 3 && sent[0].d.shard[1] === 4, 'Identify should use the configured shard');
+    });
+
+    await this.test('Shard identify concurrency rounds', () => {
+      const serial = ShardManager.getIdentifyRounds([0, 1, 2], 1);
+      const concurrent = ShardManager.getIdentifyRounds([0, 1, 2, 3, 4, 5, 6, 7], 4);
+
+      this.assert(serial.length === 3, 'max_concurrency 1 should identify one shard per round');
+      this.assert(concurrent.length === 2, 'max_concurrency 4 should identify four shards per round');
+      this.assert(concurrent[0].join() === '0,1,2,3', 'First round should contain one shard per bucket');
+    });
+
+    await this.test('Shard cache aggregation', async () => {
+      const manager = new ShardManager({ totalShards: 2 });
+      manager.shardCount = 2;
+
+      const shard0 = manager.createShard(0);
+      const shard1 = manager.createShard(1);
+      shard0.client.guilds.set('1', { id: '1' });
+      shard1.client.guilds.set('2', { id: '2' });
+      shard1.client.connected = true;
+
+      let forwardedShard = null;
+      manager.on('guildCreate', (guild, shardId) => {
+        forwardedShard = shardId;
+      });
+      shard1.client.emit('guildCreate', { id: '2' });
+
+      const health = await manager.getHealthStatus();
+
+      this.assert(manager.guilds.size === 2, 'Guild caches should be combined');
+      this.assert(forwardedShard === 1, 'Events should be tagged with their shard id');
+      this.assert(health.shardsConnected === 1 && health.guilds === 2, 'Health should aggregate shard stats');
+      this.assert(health.isHealthy === false, 'Disconnected shards should make the manager unhealthy');
+    });
+
+    await this.test('Sharded client', async () => {
+      const core = new DiscordCore({ botToken: 'test', shardCount: 2 });
+      const manager = core.shards;
+      manager.shardCount = 2;
+
+      const shard0 = manager.createShard(0);
+      const shard1 = manager.createShard(1);
+      core.client.guilds.set('4194304', { id: '4194304' });
+      shard0.client.channels.set('20', { id: '20' });
+
+      let joined = null;
+      core.client.on('guildCreate', (guild, shardId) => {
+        joined = shardId;
+      });
+      shard1.client.emit('guildCreate', { id: '4194304' });
+      shard0.client.emit('ready');
+      shard1.client.emit('ready');
+
+      this.assert(core.client === manager.rest, 'Core should use the sharded client');
+      this.assert(shard1.client.guilds.has('4194304') && !shard0.client.guilds.has('4194304'), 'Guild writes should go to the owning shard');
+      this.assert(core.client.channels.get('20') && core.client.guilds.size === 1, 'Reads should span shards');
+      this.assert(joined === 1 && core.client.connected, 'Shard events should reach the client');
+
+      const handled = [];
+      core.handleSystemError = async (error, context) => handled.push({ error, context });
+      core.setupEventHandlers();
+      shard1.client.shouldReconnect = true;
+      shard1.client.handleGatewayClose(4014);
+      await new Promise(resolve => setImmediate(resolve));
+      this.assert(handled.length === 1 && handled[0].context.shardId === 1 && /4014/.test(handled[0].error.message), 'Fatal shard errors should reach core');
+
+      const createCache = DiscordClient.prototype.createCache;
+      let built = 0;
+      DiscordClient.prototype.createCache = function (...args) {
+        built++;
+        return createCache.apply(this, args);
+      };
+      try {
+        new ShardManager({ cache: { ttl: 1000 } });
+      } finally {
+        DiscordClient.prototype.createCache = createCache;
+      }
+      this.assert(built === 0, 'The sharded client should not build caches it never uses');
+
+      let refused = false;
+      try {
+        new DiscordCore({ botToken: 'test', shardCount: 2, shardMode: 'process' });
+      } catch (error) {
+        refused = /process/.test(error.message);
+      }
+      manager.shards.set(2, { id: 2, mode: 'process' });
+      const lookup = (() => {
+        try {
+          core.client.guilds.get('1');
+        } catch (error) {
+          return error.message;
+        }
+      })();
+      manager.shards.delete(2);
+      this.assert(refused && /child process/.test(lookup), 'Worker shard caches should not silently miss');
+
+      manager.forwardEvent(1, 'disconnect', 1006);
+      const servers = new ServerManager(core.client, new AIEngine('test', 'test'));
+      let gatewayRequests = 0;
+      core.client.requestGuildMembers = async () => {
+        gatewayRequests++;
+        return [];
+      };
+      core.client.api = async () => [{ user: { id: '5' } }];
+      const members = await servers.getAllGuildMembers('4194304');
+      this.assert(core.client.isGuildConnected('1') && !core.client.isGuildConnected('4194304'), 'Guild connectivity should follow the owning shard');
+      this.assert(gatewayRequests === 0 && members.length === 1, 'Guilds on a down shard should page members over REST');
+
+      manager.maxConcurrency = 1;
+      const started = Date.now();
+      await manager.waitForIdentify(0);
+      manager.identifyBuckets.set(0, Date.now() + 30);
+      await manager.waitForIdentify(0);
+      this.assert(Date.now() - started >= 25, 'Identifies should wait for their bucket');
+
+      const sent = [];
+      let release;
+      const client = new DiscordClient({ identifyQueue: () => new Promise(resolve => { release = resolve; }) });
+      client.ws = { readyState: 1, send: (data) => sent.push(JSON.parse(data)), close: () => {} };
+      client.token = 'Bot test_token';
+      client.handleGatewayMessage({ op: 10, d: { heartbeat_interval: 45000 } });
+      client.stopHeartbeat();
+
+      this.assert(sent.length === 0, 'Re-identifies should queue');
+      release();
+      await new Promise(resolve => setImmediate(resolve));
+      this.assert(sent[0]?.op === 2, 'Should identify once the queue allows it');
+    });
+
+    await this.test('Worker shard respawn', async () => {
+      const manager = new ShardManager({ mode: 'process', respawnDelay: 10 });
+      const respawned = [];
+      manager.spawnShard = async (shardId) => {
+        respawned.push(shardId);
+        manager.createShard(shardId);
+      };
+
+      const shard = manager.createProcessShard(0);
+      shard.ready = true;
+      manager.forwardEvent(0, 'ready');
+      shard.process.emit('message', { op: 'stats', nonce: null, stats: { ...shard.stats, connected: true, reconnecting: true } });
+      this.assert(manager.isReconnecting(), 'Workers should report their reconnecting state');
+
+      shard.process.emit('message', { op: 'stats', nonce: null, stats: { ...shard.stats, reconnecting: false } });
+      this.assert(!manager.isReconnecting(), 'Connected workers should not count as reconnecting');
+
+      shard.process.kill();
+      await new Promise(resolve => shard.process.once('exit', resolve));
+      this.assert(!manager.connectedShards.has(0) && !manager.rest.connected, 'An exited worker should no longer count as connected');
+      this.assert(manager.isReconnecting(), 'An exited worker should be waiting to respawn');
+
+      await manager.delay(30);
+      this.assert(respawned[0] === 0 && !manager.respawning.has(0), 'An exited worker should be respawned');
+
+      const worker = manager.createProcessShard(1);
+      worker.ready = true;
+      manager.disconnect();
+      await new Promise(resolve => worker.process.once('exit', resolve));
+      await manager.delay(30);
+      this.assert(respawned.length === 1 && !manager.respawning.has(1), 'Intentionally disconnected workers should stay down');
+    });
     
     // Integration test (skip if no token)
     if (!this.testConfig.skipIntegrationTests) {
@@ -307,6 +1300,352 @@ class CoreTestSuite {
       this.assert(ai.providerStatus.fallback.available === true, 'Fallback should start available');
     });
     
+    await this.test('Configurable AI providers', async () => {
+      const ai = new AIEngine(null, null, {
+        maxRetries: 0,
+        providers: [
+          { type: 'openai', name: 'vendor', url: 'https://ai.example/v1/chat/completions', apiKey: 'key', model: 'm1', timeout: 5000 },
+          { type: 'local', name: 'ollama', model: 'llama3.2' },
+          { type: 'offline' }
+        ]
+      });
+      const originalFetch = globalThis.fetch;
+      const requests = [];
+      globalThis.fetch = async (url, init) => {
+        requests.push({ url, body: JSON.parse(init.body) });
+        return new Response('{}', { status: url.includes('example') ? 503 : 500, statusText: 'Unavailable' });
+      };
+
+      try {
+        const response = await ai.processIntelligence('help me with roles', {}, 100);
+
+        this.assert(requests[0].url === 'https://ai.example/v1/chat/completions' && requests[0].body.model === 'm1', 'Should call the first provider first');
+        this.assert(requests[1].url === 'http://localhost:11434/api/chat' && requests[1].body.options.num_predict === 100, 'Should fall back to the local server');
+        this.assert(response === ai.generateBuiltInResponse('help me with roles', {}), 'Offline provider should answer deterministically');
+        this.assert(ai.metrics.providerUsage.offline === 1 && ai.providerStatus.vendor.errorCount === 1, 'Usage and errors should be tracked per provider');
+        this.assert((await ai.getHealthStatus()).providers.length === 3, 'Health status should list providers');
+      } finally {
+        globalThis.fetch = originalFetch;
+      }
+
+      let threw = false;
+      try {
+        new AIEngine(null, null, { providers: [{ type: 'carrier-pigeon', name: 'coo' }] });
+      } catch (error) {
+        threw = error.message.includes('carrier-pigeon');
+      }
+      this.assert(threw, 'Unknown provider types should be rejected');
+    });
+
+    await this.test('AI provider config parsing and health checks', async () => {
+      const configError = (text) => {
+        try {
+          ProviderRegistry.parseConfig(text);
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      };
+
+      this.assert(ProviderRegistry.parseConfig('').length === 0, 'Unset AI_PROVIDERS should mean no custom providers');
+      this.assert(ProviderRegistry.parseConfig('[{"type":"offline"}]')[0].type === 'offline', 'Valid entries should parse');
+      this.assert(/not valid JSON/.test(configError('[{type: openai}]')), 'Malformed JSON should say so');
+      this.assert(/JSON array/.test(configError('{"type":"offline"}')), 'Non-arrays should be rejected');
+      this.assert(/AI_PROVIDERS\[0\] \(groq\)\.url: required/.test(configError('[{"name":"groq"}]')), 'Missing urls should name the entry');
+      this.assert(/AI_PROVIDERS\[1\]\.weight/.test(configError('[{"type":"offline"},{"type":"offline","weight":"high"}]')), 'Bad fields should name the entry');
+      this.assert(/unknown provider type/.test(configError('[{"type":"pigeon"}]')), 'Unknown types should be rejected');
+
+      const ai = new AIEngine(null, null, {
+        maxRetries: 3,
+        providers: [{ type: 'openai', name: 'openrouter', url: 'https://openrouter.ai/api/v1/chat/completions', apiKey: 'bad' }]
+      });
+      const originalFetch = globalThis.fetch;
+      const urls = [];
+      globalThis.fetch = async (url) => {
+        urls.push(url);
+        return new Response('{}', { status: 503 });
+      };
+
+      try {
+        // Throws once every provider is offline
+        await ai.testProviderConnections().catch(() => {});
+        this.assert(urls.join() === 'https://openrouter.ai/api/v1/key', 'OpenRouter health checks should verify the key once');
+        this.assert(!ai.providerStatus.openrouter.available, 'Failed health checks should mark the provider offline');
+      } finally {
+        globalThis.fetch = originalFetch;
+      }
+    });
+
+    await this.test('Weighted provider ordering', () => {
+      const provider = (name, weight) => new AIProvider({ name, weight });
+      const registry = new ProviderRegistry([provider('a', 0), provider('b', 3), provider('c', 0), provider('d', 1)]);
+      const originalRandom = Math.random;
+
+      try {
+        Math.random = () => 0.9;
+        this.assert(registry.getAttemptOrder().map(p => p.name).join() === 'd,b,a,c', 'Weighted providers go first, the rest in order');
+        Math.random = () => 0;
+        this.assert(registry.getAttemptOrder().map(p => p.name).join() === 'b,d,a,c', 'Weights should decide the draw');
+      } finally {
+        Math.random = originalRandom;
+      }
+
+      registry.get('b').breaker.open();
+      this.assert(registry.getAttemptOrder().map(p => p.name).join() === 'd,a,c', 'Unavailable providers should be skipped');
+    });
+
+    await this.test('Provider retries and circuit breaker', async () => {
+      const ai = new AIEngine(null, null, {
+        retryDelay: 1,
+        providers: [
+          { type: 'openai', name: 'flaky', url: 'https://ai.example/v1/chat/completions', breaker: { failureThreshold: 2, resetTimeout: 50 } },
+          { type: 'offline' }
+        ]
+      });
+      const flaky = ai.providers.get('flaky');
+      const originalFetch = globalThis.fetch;
+      const statuses = [429, 503, 200, 500, 500, 500, 500, 200];
+      let calls = 0;
+      globalThis.fetch = async () => {
+        const status = statuses[calls++];
+        const body = status === 200 ? { choices: [{ message: { content: 'hi' } }] } : {};
+        return new Response(JSON.stringify(body), { status, headers: status === 429 ? { 'retry-after': '0' } : {} });
+      };
+
+      try {
+        this.assert(await ai.processIntelligence('one', {}, 10) === 'hi' && calls === 3, '429 and 5xx should be retried');
+
+        flaky.maxRetries = 0;
+        await ai.processIntelligence('two', {}, 10);
+        await ai.processIntelligence('three', {}, 10);
+        this.assert(flaky.breaker.state === 'open' && !ai.providerStatus.flaky.available, 'Repeated failures should open the circuit');
+
+        await ai.processIntelligence('four', {}, 10);
+        this.assert(calls === 5, 'Open circuits should not be called');
+        this.assert((await ai.getHealthStatus()).circuitBreakers.flaky.state === 'open', 'Breaker state should be in the health status');
+
+        await new Promise(resolve => setTimeout(resolve, 60));
+        await ai.processIntelligence('five', {}, 10);
+        this.assert(flaky.breaker.state === 'open' && flaky.breaker.currentResetTimeout === 100, 'Failed probes should reopen with a longer wait');
+
+        flaky.breaker.openedAt -= 100;
+        statuses[6] = 200;
+        this.assert(await ai.processIntelligence('six', {}, 10) === 'hi' && flaky.breaker.state === 'closed', 'Successful probes should close the circuit');
+      } finally {
+        globalThis.fetch = originalFetch;
+      }
+
+      const provider = new AIProvider({ name: 'slow', timeout: 20, maxRetries: 0 });
+      globalThis.fetch = (url, init) => new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(init.signal.reason));
+      });
+
+      try {
+        await provider.request('https://ai.example/slow');
+        this.assert(false, 'Slow requests should time out');
+      } catch (error) {
+        this.assert(error.timeout && error.message.includes('timed out after 20ms'), 'Timeouts should abort the request');
+      }
+
+      const vendor = new AIProvider({ name: 'vendor', timeout: 30000, maxRetries: 3, retryDelay: 1 });
+      let attempts = 0;
+      globalThis.fetch = async () => {
+        attempts++;
+        return new Response('{}', { status: 503 });
+      };
+
+      try {
+        await vendor.request('https://ai.example/busy', { maxRetries: 0 }).catch(() => {});
+        this.assert(attempts === 1, 'Per-call maxRetries should override the provider');
+
+        globalThis.fetch = (url, init) => new Promise((resolve, reject) => {
+          init.signal.addEventListener('abort', () => reject(init.signal.reason));
+        });
+        const error = await vendor.request('https://ai.example/slow', { timeout: 10, maxRetries: 0 }).catch(caught => caught);
+        this.assert(error.timeout && error.message.includes('timed out after 10ms'), 'Per-call timeouts should override the provider');
+      } finally {
+        globalThis.fetch = originalFetch;
+      }
+    });
+
+    await this.test('Stopped streams settle the circuit probe', async () => {
+      const ai = new AIEngine(null, null, { providers: [{ type: 'offline', name: 'probe' }] });
+      const provider = ai.providers.get('probe');
+      provider.stream = async function* () {
+        yield 'first';
+        yield 'second';
+      };
+
+      provider.breaker.open();
+      provider.breaker.openedAt -= provider.breaker.currentResetTimeout + 1;
+
+      const received = [];
+      for await (const chunk of ai.streamIntelligence('hello')) {
+        received.push(chunk);
+        break;
+      }
+
+      this.assert(received.join() === 'first', 'Should stop after the first chunk');
+      this.assert(provider.breaker.probing === false && provider.breaker.state === 'closed', 'An answered probe should close the circuit');
+      this.assert(provider.breaker.allowRequest(), 'The provider should take requests again');
+    });
+
+    await this.test('Streaming completions', async () => {
+      const ai = new AIEngine(null, null, {
+        maxRetries: 0,
+        providers: [
+          { type: 'openai', name: 'down', url: 'https://down.example/v1/chat/completions' },
+          { type: 'openai', name: 'sse', url: 'https://sse.example/v1/chat/completions' }
+        ]
+      });
+      const originalFetch = globalThis.fetch;
+      let streamRequest = null;
+      globalThis.fetch = async (url, init) => {
+        if (url.includes('down')) return new Response('{}', { status: 502 });
+
+        streamRequest = JSON.parse(init.body);
+        const encoder = new TextEncoder();
+        const parts = [
+          ': keep-alive\n\ndata: {"choices":[{"delta":{"role":"assistant"}}]}\n\n',
+          'data: {"choices":[{"delta":{"content":"Hel"}}]}\n\ndata: {"choices":[{"del',
+          'ta":{"content":"lo!"}}]}\n\ndata: [DONE]\n\n'
+        ];
+        return new Response(new ReadableStream({
+          start(controller) {
+            parts.forEach(part => controller.enqueue(encoder.encode(part)));
+            controller.close();
+          }
+        }), { status: 200, headers: { 'content-type': 'text/event-stream' } });
+      };
+
+      try {
+        const chunks = [];
+        for await (const chunk of ai.streamIntelligence('say hello', {}, 50)) {
+          chunks.push(chunk);
+        }
+
+        this.assert(streamRequest.stream === true && streamRequest.max_tokens === 50, 'Should request a stream');
+        this.assert(chunks.join('|') === 'Hel|lo!', 'Should yield deltas split across network chunks');
+        this.assert(ai.providerStatus.down.errorCount === 1 && ai.metrics.providerUsage.sse === 1, 'Should fall back before the first chunk');
+      } finally {
+        globalThis.fetch = originalFetch;
+      }
+    });
+
+    await this.test('Structured output repair and validation', () => {
+      const fenced = extractJSON('Here you go:\n```json\n{"severity": "high", "steps": ["restart",],}\n```');
+      this.assert(fenced.severity === 'high' && fenced.steps.length === 1, 'Should repair fenced JSON with trailing commas');
+
+      const prose = extractJSON('Sure! The answer is {"note": "use {braces}", "count": 2} as requested.');
+      this.assert(prose.note === 'use {braces}' && prose.count === 2, 'Should find JSON inside prose');
+
+      const strings = extractJSON('{"url": "https://example.com/a", "text": "a, ] b /* c */", "quote": "“hi”", // note\n "tags": ["x",],}');
+      this.assert(strings.url === 'https://example.com/a' && strings.text === 'a, ] b /* c */', 'Repairs should leave strings alone');
+      this.assert(strings.quote === '“hi”' && strings.tags.length === 1, 'Smart quotes inside strings are content');
+      this.assert(extractJSON('{“name”: “say \\"hi\\"”}').name === 'say "hi"', 'Should repair smart-quoted strings');
+
+      const schema = {
+        type: 'object',
+        required: ['severity', 'steps'],
+        properties: {
+          severity: { enum: ['low', 'high'] },
+          steps: { type: 'array', items: { type: 'string' } }
+        }
+      };
+      this.assert(validateSchema(fenced, schema).length === 0, 'Valid data should have no errors');
+
+      const errors = validateSchema({ severity: 'extreme', steps: [1] }, schema);
+      this.assert(errors.length === 2 && errors[0].startsWith('$.severity') && errors[1].startsWith('$.steps[0]'), 'Should report each invalid path');
+    });
+
+    await this.test('Structured output re-prompting', async () => {
+      const ai = new AIEngine(null, null);
+      const prompts = [];
+      const responses = ['not json at all', '{"severity": "extreme"}', '{"severity": "low"}'];
+      ai.processIntelligence = async (prompt, context, maxTokens, options) => {
+        prompts.push({ prompt, options });
+        return responses.shift();
+      };
+
+      const schema = { type: 'object', required: ['severity'], properties: { severity: { enum: ['low', 'high'] } } };
+      const result = await ai.generateStructured('Classify this', schema);
+
+      this.assert(result.severity === 'low', 'Should return the first valid response');
+      this.assert(ai.metrics.structuredRetries === 2, 'Should count each re-prompt');
+      this.assert(prompts[0].options.json === true && prompts[0].options.builtInFallback === false, 'Should ask providers for JSON');
+      this.assert(prompts[2].prompt.includes('$.severity: must be one of'), 'Should tell the model what was wrong');
+
+      await ai.generateStructured('Classify this', schema, { timeout: 2500, maxRetries: 0 }).catch(() => {});
+      this.assert(prompts[3].options.timeout === 2500 && prompts[3].options.maxRetries === 0, 'Should pass per-call provider limits on');
+
+      responses.push('nope');
+      let failed = null;
+      try {
+        await ai.generateStructured('Classify this', schema, { retries: 0 });
+      } catch (error) {
+        failed = error;
+      }
+      this.assert(failed?.name === 'StructuredOutputError' && failed.response === 'nope', 'Should throw once retries are used up');
+    });
+
+    await this.test('Tool calling loop', async () => {
+      const tools = new ToolRegistry();
+      const added = [];
+      tools.register({
+        name: 'add',
+        description: 'Add two numbers',
+        parameters: { type: 'object', required: ['a', 'b'], properties: { a: { type: 'integer' }, b: { type: 'integer' } } },
+        handler: ({ a, b }) => {
+          added.push([a, b]);
+          return { sum: a + b };
+        }
+      });
+
+      const nativeAI = new AIEngine(null, null, {
+        maxRetries: 0,
+        providers: [{ type: 'openai', name: 'native', url: 'https://native.example/v1/chat/completions', capabilities: ['chat', 'tools'] }]
+      });
+      const emulatedAI = new AIEngine(null, null, {
+        maxRetries: 0,
+        providers: [{ type: 'openai', name: 'plain', url: 'https://plain.example/v1/chat/completions' }]
+      });
+
+      const originalFetch = globalThis.fetch;
+      const requests = [];
+      const replies = [
+        { tool_calls: [
+          { id: 'a1', type: 'function', function: { name: 'add', arguments: '{"a": 2, "b": 3}' } },
+          { id: 'a2', type: 'function', function: { name: 'drop_tables', arguments: '{}' } }
+        ] },
+        { content: 'The sum is 5' },
+        { content: 'Sure: {"tool_calls": [{"name": "add", "arguments": {"a": "two", "b": 1}}]}' },
+        { content: '{"content": "Could not add"}' }
+      ];
+      globalThis.fetch = async (url, init) => {
+        requests.push(JSON.parse(init.body));
+        return new Response(JSON.stringify({ choices: [{ message: { content: null, ...replies.shift() } }] }), { status: 200 });
+      };
+
+      try {
+        const native = await nativeAI.runTools('What is 2 + 3?', tools, {});
+        const toolMessages = requests[1].messages.filter(message => message.role === 'tool');
+
+        this.assert(requests[0].tools[0].function.name === 'add' && requests[0].tool_choice === 'auto', 'Should send native tool definitions');
+        this.assert(native.complete && native.content === 'The sum is 5' && added.length === 1, 'Should run valid calls and return the final answer');
+        this.assert(toolMessages[0].tool_call_id === 'a1' && JSON.parse(toolMessages[0].content).result.sum === 5, 'Should send results back by call id');
+        this.assert(native.calls[1].error.includes('unknown tool "drop_tables"'), 'Unknown tools should be refused');
+
+        const emulated = await emulatedAI.runTools('What is two + 1?', tools, {});
+        const feedback = requests[3].messages.at(-1).content;
+
+        this.assert(!requests[2].tools && requests[2].messages[0].content.includes('"tool_calls"'), 'Should describe tools in the prompt without native support');
+        this.assert(added.length === 1 && feedback.startsWith('Tool results:') && feedback.includes('$.a: expected integer'), 'Invalid arguments should be reported to the model');
+        this.assert(emulated.content === 'Could not add' && nativeAI.metrics.toolCalls === 1, 'Should parse the emulated final answer');
+      } finally {
+        globalThis.fetch = originalFetch;
+      }
+    });
+
     await this.test('System prompt generation', () => {
       const ai = new AIEngine('test', 'test');
       const systemPrompt = ai.generateIntelligentSystemPrompt({ type: 'command_processing' });
@@ -440,6 +1779,101 @@ class CoreTestSuite {
       this.assert(testUsage.count === 2, 'Should track multiple uses');
     });
     
+    await this.test('Streaming AI chat replies', async () => {
+      const client = new DiscordClient();
+      const handler = new CommandHandler(client, new AIEngine('test', 'test'));
+      const calls = [];
+
+      client.user = { id: '99' };
+      client.api = async (endpoint, options = {}) => {
+        calls.push({ endpoint, ...options });
+        return { id: String(calls.length) };
+      };
+      handler.ai.streamIntelligentResponse = async function* () {
+        for (let index = 0; index < 60; index++) {
+          yield `Paragraph ${index} ${'word '.repeat(20)}\n\n`;
+        }
+      };
+
+      await handler.handleAIChat({ id: '1', token: 'tok', guild_id: '10', channel_id: '20' }, { options: [{ name: 'message', value: 'hi' }] });
+
+      const [original, followUp] = calls;
+      this.assert(original.endpoint === 'webhooks/99/tok/messages/@original' && original.method === 'PATCH', 'Should edit the original reply');
+      this.assert(original.body.embeds[0].title === '🤖 AI Response' && original.body.embeds[0].description.length <= 4096, 'First page should fit an embed');
+      this.assert(followUp.method === 'POST' && followUp.endpoint === 'webhooks/99/tok', 'Overflow should go to a follow-up');
+      this.assert(followUp.body.embeds[0].footer && !followUp.body.embeds[0].description.endsWith('▌'), 'Last page should be final');
+
+      const edits = [];
+      const reply = new StreamingReply(client, { id: '2', token: 'tok' }, { interval: 30 });
+      client.api = async (endpoint, options = {}) => {
+        edits.push(options.body.content);
+        return { id: '5' };
+      };
+
+      reply.push('Hello');
+      await new Promise(resolve => setTimeout(resolve, 5));
+      reply.push(' there');
+      reply.push(' world');
+      await new Promise(resolve => setTimeout(resolve, 10));
+      this.assert(edits.join('|') === 'Hello ▌', 'Should edit right away, then wait for the interval');
+      await new Promise(resolve => setTimeout(resolve, 40));
+      await reply.finish();
+      this.assert(edits.join('|') === 'Hello ▌|Hello there world ▌|Hello there world', 'Should batch chunks into throttled edits');
+      this.assert(splitMessage('a'.repeat(2500)).map(page => page.length).join() === '2000,500', 'Should split at the content limit');
+
+      const failing = new StreamingReply(client, { id: '3', token: 'tok' }, { interval: 0 });
+      let failures = 1;
+      client.api = async () => {
+        if (failures-- > 0) throw new Error('Unknown Webhook');
+        return { id: '6' };
+      };
+
+      failing.push('Partial');
+      await failing.flush();
+      this.assert(failing.lastError?.message === 'Unknown Webhook', 'Failed edits should be kept');
+
+      const recovered = await failing.finish();
+      this.assert(recovered.join() === '6' && failing.lastError === null, 'A later successful render should clear the error');
+
+      client.api = async () => { throw new Error('Missing Access'); };
+      const broken = new StreamingReply(client, { id: '4', token: 'tok' });
+      broken.push('Never shown');
+      const finishError = await broken.finish().catch(error => error);
+      this.assert(finishError?.message === 'Missing Access', 'finish() should surface a failed final render');
+    });
+
+    await this.test('Event create command', async () => {
+      const client = new DiscordClient();
+      const ai = new AIEngine('test', 'test');
+      const commands = new CommandHandler(client, ai, new NLPEngine(ai));
+      const created = [];
+      const replies = [];
+
+      client.createScheduledEvent = async (guildId, scheduledEvent, reason) => {
+        created.push({ guildId, scheduledEvent, reason });
+        return { id: '5', ...scheduledEvent };
+      };
+      commands.editReply = async (interaction, data) => replies.push(data);
+
+      const interaction = (time) => ({
+        guild_id: '10',
+        member: { user: { id: '1', username: 'alice' } },
+        data: {
+          name: 'event',
+          options: [{ type: 1, name: 'create', options: [{ name: 'name', value: 'Game night' }, { name: 'time', value: time }, { name: 'duration', value: '2h' }] }]
+        }
+      });
+
+      await commands.handleEventCommand(interaction('in 3 hours'));
+      await commands.handleEventCommand(interaction('5'));
+
+      const { scheduledEvent, reason } = created[0];
+      this.assert(scheduledEvent.entity_type === 3 && scheduledEvent.entity_metadata.location, 'Events without a channel should be external');
+      this.assert(scheduledEvent.scheduled_end_time - scheduledEvent.scheduled_start_time === 7200000, 'Duration should set the end time');
+      this.assert(reason.includes('alice') && created.length === 1, 'Should pass an audit reason and skip unparseable times');
+      this.assert(replies[1].content.includes("Couldn't understand the time"), 'Should explain unparseable times');
+    });
+
     await this.test('Health status', () => {
       const client = new DiscordClient();
       const ai = new AIEngine('test', 'test');
@@ -521,6 +1955,338 @@ class CoreTestSuite {
       this.assert(typeof analysis.hasProperHierarchy === 'boolean', 'Should analyze hierarchy');
     });
     
+    await this.test('Audit log reasons on mutations', async () => {
+      const client = new DiscordClient();
+      const ai = new AIEngine('test', 'test');
+      const manager = new ServerManager(client, ai);
+      const calls = [];
+
+      client.guilds.set('10', { id: '10', owner_id: '1', roles: [{ id: '10', position: 0, permissions: '0' }], members: [{ user: { id: '1' }, roles: [] }] });
+      client.api = async (endpoint, options = {}) => {
+        calls.push({ endpoint, ...options });
+        return { id: '1', name: options.body?.name };
+      };
+      manager.delay = async () => {};
+
+      await manager.executeAIPlan({
+        intent: 'create channels',
+        actions: [{ type: 'channel_management', description: 'Create', parameters: { action: 'create', channels: [{ name: 'rules' }] } }]
+      }, '10', '20', 'alice', { userId: '1' });
+
+      const reason = calls[0].reason;
+      this.assert(reason.includes('Create channel #rules') && reason.includes('requested by alice'), 'Reason should name the action and admin');
+      this.assert(/AI plan operation_\d+/.test(reason), 'Reason should include the operation id');
+    });
+
+    await this.test('Audit log reason header encoding', async () => {
+      const originalFetch = globalThis.fetch;
+      let headers = null;
+      globalThis.fetch = async (url, init) => {
+        headers = init.headers;
+        return new Response(null, { status: 204 });
+      };
+
+      try {
+        const client = new DiscordClient();
+        client.token = 'Bot test';
+        await client.kickMember('10', '30', 'Spam – requested by ädmin');
+
+        this.assert(headers['X-Audit-Log-Reason'] === encodeURIComponent('Spam – requested by ädmin'), 'Reason should be URL-encoded');
+      } finally {
+        globalThis.fetch = originalFetch;
+      }
+    });
+
+    await this.test('Mass clean channels', async () => {
+      const client = new DiscordClient();
+      const handler = new CommandHandler(client, new AIEngine('test', 'test'));
+      const deletions = [];
+
+      client.fetchChannel = async (channelId) => ({ id: channelId, guild_id: channelId === '5' ? '10' : '99' });
+      client.iterateMessages = async function* () {
+        yield { id: '1', pinned: true, author: { id: '7' } };
+        yield { id: '2', pinned: false, author: { id: '7' } };
+        yield { id: '3', pinned: false, author: { id: '8' } };
+      };
+      client.bulkDeleteMessages = async (channelId, messages, options) => {
+        deletions.push({ channelId, ids: messages.map(message => message.id), reason: options.reason });
+        return { deleted: messages.map(message => message.id), tooOld: [] };
+      };
+
+      const results = await handler.executeCleanChannels('10', { channels: ['<#5>', '6'], user_id: '7' }, 'test');
+
+      this.assert(deletions.length === 1 && deletions[0].ids.join() === '2', 'Should skip pinned and other users\' messages');
+      this.assert(results[0].deleted === 1 && results[1].error, 'Channels from other guilds should be refused');
+    });
+
+    await this.test('Support tickets in threads', async () => {
+      const client = new DiscordClient();
+      const manager = new ServerManager(client, new AIEngine('test', 'test'));
+      const calls = [];
+
+      client.api = async (endpoint, options = {}) => {
+        calls.push({ endpoint, ...options });
+        if (endpoint === 'channels/50/threads') return { id: '70', guild_id: '10', parent_id: '50', type: 12, thread_metadata: {} };
+        if (endpoint === 'guilds/10') return { id: '10', owner_id: '1' };
+        if (endpoint === 'users/@me/channels') return { id: '80' };
+        return { id: '0' };
+      };
+
+      const result = await manager.executeSupportTicket({ userId: '123456', issue: 'Help', channelId: '50' }, '10');
+
+      this.assert(calls[0].body.type === 12 && calls[0].body.invitable === false, 'Ticket should be a private thread');
+      this.assert(calls[1].endpoint === 'channels/70/thread-members/123456', 'User should be added to the ticket thread');
+      this.assert(calls[2].endpoint === 'channels/70/messages', 'Ticket details should be posted in the thread');
+      this.assert(result.ticketId === '70', 'Ticket id should be the thread');
+    });
+
+    await this.test('Webhook posting with custom identities', async () => {
+      const client = new DiscordClient();
+      client.user = { id: '99' };
+      const webhooks = new WebhookManager(client);
+      const calls = [];
+
+      client.api = async (endpoint, options = {}) => {
+        calls.push({ endpoint, ...options });
+        if (endpoint === 'channels/5/webhooks' && !options.method) {
+          return [{ id: '1', name: 'Mod Log', token: 'other', user: { id: '42' } }];
+        }
+        if (endpoint === 'channels/5/webhooks') return { id: '2', name: 'Mod Log', token: 'secret' };
+        return { id: '300' };
+      };
+
+      const message = await webhooks.send('5', 'Hello', { name: 'Mod Log', username: 'Moderator', avatarURL: 'https://a/b.png', threadId: '7' });
+      await webhooks.send('5', 'Again', { name: 'Mod Log' });
+      await webhooks.editMessage({ id: '2', token: 'secret' }, '300', 'Edited', { threadId: '7' });
+
+      const execute = calls[2];
+      this.assert(calls[1].method === 'POST' && calls[1].body.name === 'Mod Log', 'Should create a webhook when the bot owns none');
+      this.assert(execute.endpoint === 'webhooks/2/secret?wait=true&thread_id=7', 'Should wait for the message and target the thread');
+      this.assert(execute.body.username === 'Moderator' && execute.body.avatar_url === 'https://a/b.png', 'Should override the identity');
+      this.assert(message.id === '300' && calls[3].endpoint.startsWith('webhooks/2/secret'), 'Should reuse the owned webhook');
+      this.assert(calls[4].method === 'PATCH' && calls[4].endpoint === 'webhooks/2/secret/messages/300?thread_id=7', 'Should edit webhook messages');
+    });
+
+    await this.test('Moderation actions', async () => {
+      const client = new DiscordClient();
+      const ai = new AIEngine('test', 'test');
+      const manager = new ServerManager(client, ai);
+      const calls = [];
+
+      client.api = async (endpoint, options = {}) => {
+        calls.push({ endpoint, ...options });
+        if (endpoint.endsWith('/2')) {
+          throw new DiscordAPIError({ code: 10007, message: 'Unknown Member' }, { status: 404, endpoint });
+        }
+        return null;
+      };
+
+      const results = await manager.executeUserManagement(
+        { action: 'timeout', users: ['1', { id: '2' }], duration: '30m', reason: 'spam' },
+        '10',
+        { id: 'operation_1', admin: 'alice' }
+      );
+
+      this.assert(calls[0].method === 'PATCH' && calls[0].body.communication_disabled_until, 'Should time out the member');
+      this.assert(calls[0].reason.includes('timeout: spam') && calls[0].reason.includes('requested by alice'), 'Should attach the audit reason');
+      this.assert(results[0].action === 'timeout_applied' && results[1].code === 10007, 'Failures should be reported per user');
+    });
+
+    await this.test('AutoMod rule management', async () => {
+      const client = new DiscordClient();
+      const ai = new AIEngine('test', 'test');
+      const manager = new ServerManager(client, ai);
+      const calls = [];
+
+      client.guilds.set('10', { id: '10' });
+      client.api = async (endpoint, options = {}) => {
+        calls.push({ endpoint, ...options });
+        if (!options.method) {
+          return [
+            { id: '1', name: 'Discord AI Core: Spam', trigger_type: 3 },
+            { id: '2', name: 'Admin mention filter', trigger_type: 5 }
+          ];
+        }
+        return { id: '3', ...options.body };
+      };
+      manager.modLogChannels.set('10', '99');
+      manager.postModLog = async (guildId, entry) => entry;
+
+      const { rules } = await manager.setupAutoModeration('10', {
+        keywords: ['scam*'],
+        actions: ['block', 'alert', 'timeout'],
+        timeout: '1h'
+      }, { id: 'operation_1', admin: 'alice' });
+
+      const keywordRule = calls.find(call => call.body?.trigger_type === 1);
+      this.assert(rules.map(rule => rule.action.replace('automod_rule_', '')).join() === 'created,updated,created,skipped', 'Should create, update owned rules and skip conflicts');
+      this.assert(keywordRule.body.event_type === 1 && keywordRule.body.actions[2].metadata.duration_seconds === 3600, 'Keyword rules should time out');
+      this.assert(keywordRule.body.actions[1].metadata.channel_id === '99', 'Alerts should default to the mod-log channel');
+      this.assert(calls[2].method === 'PATCH' && calls[2].body.trigger_type === undefined, 'Updates should not send the trigger type');
+      this.assert(!calls.find(call => call.body?.trigger_type === 4).body.actions.some(action => action.type === 3), 'Preset rules cannot time out');
+
+      client.handleDispatch('AUTO_MODERATION_RULE_CREATE', { id: '7', guild_id: '10', name: 'Links' });
+      const execution = { guild_id: '10', rule_id: '7', user_id: '5', content: 'bad link', matched_keyword: 'link' };
+      const entry = await manager.handleAutoModExecution({ ...execution, action: { type: 1 } });
+      const duplicate = await manager.handleAutoModExecution({ ...execution, action: { type: 2 } });
+      this.assert(entry.title.includes('Links') && duplicate === null, 'Should log each trigger once by rule name');
+    });
+
+    await this.test('Effective permission resolution', () => {
+      const guild = {
+        id: '10',
+        owner_id: '1',
+        roles: [
+          { id: '10', position: 0, permissions: String(1n << 10n | 1n << 11n) }, // VIEW_CHANNEL + SEND_MESSAGES
+          { id: '20', position: 1, permissions: String(1n << 28n) }, // MANAGE_ROLES
+          { id: '30', position: 2, permissions: '8' } // ADMINISTRATOR
+        ]
+      };
+      const member = { user: { id: '5' }, roles: ['20'] };
+      const channel = {
+        permission_overwrites: [
+          { id: '10', type: 0, allow: '0', deny: String(1n << 11n | 1n << 14n) },
+          { id: '20', type: 0, allow: String(1n << 14n), deny: '0' },
+          { id: '5', type: 1, allow: String(1n << 11n), deny: '0' }
+        ]
+      };
+
+      const base = computePermissions(member, guild);
+      const inChannel = computePermissions(member, guild, channel);
+      const hidden = computePermissions(member, guild, { permission_overwrites: [{ id: '10', type: 0, allow: '0', deny: String(1n << 10n) }] });
+
+      this.assert(base.has('MANAGE_ROLES') && !base.has('KICK_MEMBERS'), 'Base permissions should combine @everyone and member roles');
+      this.assert(inChannel.has(['SEND_MESSAGES', 'EMBED_LINKS']), 'Role and member overwrites should apply after @everyone');
+      this.assert(hidden.bitfield === 0n, 'Without VIEW_CHANNEL nothing else applies');
+      this.assert(computePermissions({ ...member, roles: ['30'] }, guild, { permission_overwrites: [{ id: '10', type: 0, allow: '0', deny: String(1n << 10n) }] }).has('VIEW_CHANNEL', false), 'Administrators ignore overwrites');
+      this.assert(computePermissions({ user: { id: '1' }, roles: [] }, guild).has('BAN_MEMBERS', false), 'The owner has every permission');
+      this.assert(computePermissions({ ...member, communication_disabled_until: new Date(Date.now() + 60000).toISOString() }, guild).toArray().join() === 'VIEW_CHANNEL', 'Timed out members keep only read access');
+    });
+
+    await this.test('AI plan pre-flight checks', async () => {
+      const client = new DiscordClient();
+      const manager = new ServerManager(client, new AIEngine('test', 'test'));
+      const calls = [];
+
+      client.user = { id: '99' };
+      client.guilds.set('10', {
+        id: '10',
+        owner_id: '1',
+        roles: [
+          { id: '10', position: 0, permissions: '0' },
+          { id: '20', position: 1, permissions: String(1n << 28n | 1n << 40n) }, // MANAGE_ROLES + MODERATE_MEMBERS
+          { id: '30', position: 2, permissions: '0' }
+        ],
+        members: [
+          { user: { id: '1' }, roles: [] },
+          { user: { id: '99' }, roles: ['20'] },
+          { user: { id: '5' }, roles: ['30'] },
+          { user: { id: '6' }, roles: [] }
+        ]
+      });
+      client.api = async (endpoint, options = {}) => {
+        calls.push({ endpoint, ...options });
+        return { id: '1' };
+      };
+      manager.delay = async () => {};
+      manager.postModLog = async () => null;
+
+      const results = await manager.executeAIPlan({
+        intent: 'moderate',
+        actions: [
+          { type: 'user_management', description: 'Kick', parameters: { action: 'kick', users: ['6'] } },
+          { type: 'role_management', description: 'Assign', parameters: { action: 'mass_assign', assignments: [{ roleId: '30', userId: '6' }] } },
+          { type: 'user_management', description: 'Timeout', parameters: { action: 'timeout', users: ['5', '6'] } },
+          { type: 'user_management', description: 'Timeout', parameters: { action: 'timeout', users: ['6'] } }
+        ]
+      }, '10', '20', null, { confirmed: true, userId: '1' });
+
+      this.assert(results[0].error === 'Pre-flight check failed: Bot lacks KICK_MEMBERS', 'Missing permissions should be reported by name');
+      this.assert(results[1].error.includes('Bot lacks MANAGE_ROLES above <@&30>'), 'Roles above the bot should be refused');
+      this.assert(results[2].error.includes('<@5>') && !results[2].error.includes('<@6>'), 'Members above the bot should be refused');
+      this.assert(results[3].success && calls.length === 1 && calls[0].endpoint === 'guilds/10/members/6', 'Allowed actions should still run');
+    });
+
+    await this.test('AI plans use registered tools', async () => {
+      const client = new DiscordClient();
+      const manager = new ServerManager(client, new AIEngine('test', 'test'));
+      const calls = [];
+
+      client.guilds.set('10', {
+        id: '10',
+        owner_id: '1',
+        roles: [{ id: '10', position: 0, permissions: '0' }],
+        members: [{ user: { id: '1' }, roles: [] }, { user: { id: '2' }, roles: [] }]
+      });
+
+      const kick = { id: '1', name: 'user_management', arguments: { action: 'kick', users: ['6'], reason: 'Spam' } };
+      const replies = [
+        { content: null, toolCalls: [kick] },
+        { content: 'You cannot kick members.', toolCalls: [] },
+        { content: null, toolCalls: [
+          kick,
+          { id: '2', name: 'delete_server', arguments: {} },
+          { id: '3', name: 'channel_management', arguments: { action: 'organize' } }
+        ] },
+        { content: 'Kicking <@6> for spam.', toolCalls: [] }
+      ];
+      manager.ai.requestToolStep = async () => replies.shift();
+
+      const refused = await manager.analyzeAdminCommand('kick 6 for spam', 'bob', { guildId: '10' }, { userId: '2' });
+      this.assert(refused.actions.length === 0 && manager.ai.metrics.toolCalls === 0, 'Tools should be refused to members without their permissions');
+
+      const plan = await manager.analyzeAdminCommand('kick 6 for spam', 'alice', { guildId: '10' }, { userId: '1' });
+
+      this.assert(plan.actions.length === 1 && plan.actions[0].type === 'user_management', 'Only valid tool calls should be planned');
+      this.assert(plan.actions[0].risk_level === 'high' && plan.requires_confirmation, 'Risk should come from the tool');
+      this.assert(plan.user_feedback === 'Kicking <@6> for spam.', 'Final answer should be the admin feedback');
+
+      client.api = async (endpoint, options = {}) => {
+        calls.push({ endpoint, ...options });
+        return null;
+      };
+      manager.delay = async () => {};
+
+      const results = await manager.executeAIPlan({
+        intent: 'invented actions',
+        actions: [
+          { type: 'ai_custom_action', description: 'Anything' },
+          { type: 'user_management', description: 'Kick nobody', parameters: { action: 'kick' } },
+          ...plan.actions
+        ]
+      }, '10', '20');
+
+      this.assert(results[2].error.includes('needs admin confirmation') && calls.length === 0, 'High-risk actions should wait for confirmation');
+
+      const pendingId = await manager.requestPlanConfirmation(plan, { guildId: '10', channelId: '20', userId: '1' });
+      const confirmMessage = calls.pop();
+      const callbacks = [];
+      const click = (userId, choice) => manager.handlePlanComponent({
+        id: '9', token: 't', member: { user: { id: userId }, permissions: '8' },
+        data: { custom_id: `aiplan_${choice}_${pendingId}` }
+      });
+      client.api = async (endpoint, options = {}) => {
+        (endpoint.startsWith('interactions/') ? callbacks : calls).push({ endpoint, ...options });
+        return null;
+      };
+
+      await click('2', 'confirm');
+      const confirmedResults = await click('1', 'confirm');
+      await click('1', 'confirm');
+
+      this.assert(results[0].error.includes('unknown tool "ai_custom_action"'), 'Unknown actions should not run');
+      this.assert(results[1].error.includes('$.users: is required'), 'Invalid parameters should not run');
+      this.assert(confirmMessage.body.components[0].components[0].custom_id === `aiplan_confirm_${pendingId}`, 'Should ask for confirmation with buttons');
+      this.assert(callbacks[0].body.data.content.includes('Only the admin') && callbacks[2].body.data.content.includes('expired'), 'Only the requester should answer, once');
+      this.assert(confirmedResults[0].success && calls[0].endpoint === 'guilds/10/members/6', 'Confirmed plans should run');
+
+      const announcement = manager.tools.validate('announcement', {
+        channelId: '20',
+        message: { content: 'Hi', files: [{ path: '/etc/passwd' }], allowed_mentions: { parse: ['everyone'] } }
+      });
+      this.assert(announcement.length > 0 && manager.tools.validate('announcement', { channelId: '20', message: { content: 'Hi', embeds: [{ title: 'News' }] } }).length === 0, 'Messages should only carry content and embeds');
+    });
+
     await this.test('Success rate calculation', () => {
       const client = new DiscordClient();
       const ai = new AIEngine('test', 'test');
@@ -590,6 +2356,27 @@ class CoreTestSuite {
       const greetingIntent = nlp.detectPatternIntent('hello there');
       this.assert(greetingIntent !== null, 'Should detect greeting');
       this.assert(greetingIntent.intent === 'greeting', 'Should classify as greeting');
+
+      // Test moderation detection
+      const moderationIntent = nlp.detectPatternIntent('timeout user <@123> for 10m');
+      this.assert(moderationIntent?.intent === 'user_moderation', 'Should classify timeouts as moderation');
+    });
+
+    await this.test('Natural language time parsing', () => {
+      const ai = new AIEngine('test', 'test');
+      const nlp = new NLPEngine(ai);
+      const now = new Date(2030, 0, 2, 15, 0); // Wednesday 15:00 local time
+
+      const inTwoHours = nlp.parseTimeExpression('in 2 hours', now);
+      const tomorrow = nlp.parseTimeExpression('tomorrow at 8pm', now);
+      const friday = nlp.parseTimeExpression('friday 18:30', now);
+      const morning = nlp.parseTimeExpression('9am', now);
+
+      this.assert(inTwoHours.getTime() - now.getTime() === 7200000, 'Should parse relative times');
+      this.assert(tomorrow.getDate() === 3 && tomorrow.getHours() === 20, 'Should parse day and clock time');
+      this.assert(friday.getDate() === 4 && friday.getMinutes() === 30, 'Should resolve the next weekday');
+      this.assert(morning.getDate() === 3 && morning.getHours() === 9, 'Past clock times should roll to tomorrow');
+      this.assert(nlp.parseTimeExpression('5', now) === null && nlp.parseTimeExpression('whenever', now) === null, 'Should reject ambiguous input');
     });
     
     await this.test('Fallback intent generation', () => {